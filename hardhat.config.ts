@@ -6,7 +6,10 @@ const config: HardhatUserConfig = {
   networks: {
     sepolia: {
       url: "https://sepolia.infura.io/v3/YOUR_INFURA_KEY",
-      accounts: ["0xAf8a9Db8d6B73E24bFF24cD34Ce4AC580486E854"]
+      // The deployer's private key (an address is not accepted here)
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
     }
   }
 };
+
+export default config;
@@ -0,0 +1,23 @@
+import { ethers, network } from "hardhat";
+
+// Move a local Hardhat node forward in time, e.g. past BridgePay's 7-day
+// dispute window so the server's finalizer can call finalizeTx:
+//   DAYS=7 npx hardhat run scripts/advance-time.ts --network localhost
+async function main() {
+  const days = Number(process.env.DAYS || 7);
+
+  await network.provider.send("evm_increaseTime", [days * 24 * 60 * 60]);
+  await network.provider.send("evm_mine", []);
+
+  const block = await ethers.provider.getBlock("latest");
+  console.log(`⏩ Advanced ${days} day(s)`);
+  console.log("   Block:", block.number);
+  console.log("   Time:", new Date(block.timestamp * 1000).toISOString());
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
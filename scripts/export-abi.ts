@@ -0,0 +1,28 @@
+import { artifacts } from "hardhat";
+import * as fs from "fs";
+import * as path from "path";
+
+// Copy BridgePay's ABI from the Hardhat artifact into the server, which loads
+// it in server/src/bridgePayClient.js. Run after changing the contract:
+//   npm run export-abi
+const OUTPUT = path.join(__dirname, "..", "server", "src", "abi", "BridgePay.json");
+
+async function main() {
+  const artifact = await artifacts.readArtifact("BridgePay");
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify({
+    contractName: artifact.contractName,
+    sourceName: artifact.sourceName,
+    abi: artifact.abi
+  }, null, 2) + "\n");
+
+  console.log(`✅ Exported ${artifact.abi.length} ABI entries to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,52 +1,35 @@
 // Ethereum Blockchain Account Manager
-// Works with: Ethereum, BSC, Polygon, Arbitrum, Base, etc.
+// Works with: Ethereum, BSC, Polygon, Arbitrum, Base, etc. An account's key is
+// the same on every network in blockchain_config.json (see networks.js).
 
 const { ethers } = require('ethers');
 const fs = require('fs').promises;
-const path = require('path');
-const crypto = require('crypto');
-
-const USERS_FILE = path.join(__dirname, '..', 'blockchain_users.json');
-
-// Encryption helpers
-function encrypt(text, password) {
-    const key = crypto.scryptSync(password, 'salt', 32);
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
-}
-
-function decrypt(encryptedData, password) {
-    try {
-        const parts = encryptedData.split(':');
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        const key = crypto.scryptSync(password, 'salt', 32);
-        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
-    } catch (error) {
-        throw new Error('Invalid password');
+const storage = require('./storage');
+const keyVault = require('./keyVault');
+
+// Encryption helpers (see keyVault.js for the format)
+const { encrypt, decrypt } = keyVault;
+
+// Re-encrypt a user's key and mnemonic in the current vault format. Needs
+// the password, so it runs at login or from the migrate-vaults command.
+async function upgradeVault(username, userData, privateKey, password) {
+    const changes = {
+        encryptedPrivateKey: await encrypt(privateKey, password),
+        vaultUpgradedAt: new Date().toISOString()
+    };
+    if (userData.mnemonic) {
+        changes.mnemonic = await encrypt(await decrypt(userData.mnemonic, password), password);
     }
+
+    await storage.users.update(username, changes);
+    console.log(`🔐 Upgraded key vault for ${username} to v${keyVault.VAULT_VERSION}`);
 }
 
 // Create new blockchain account
 async function createAccount(username, password) {
     try {
-        // Read existing users
-        let users = {};
-        try {
-            const data = await fs.readFile(USERS_FILE, 'utf8');
-            users = JSON.parse(data);
-        } catch (error) {
-            // File doesn't exist yet, will create it
-        }
-
         // Check if user already exists
-        if (users[username]) {
+        if (await storage.users.get(username)) {
             throw new Error('User already exists');
         }
 
@@ -57,20 +40,19 @@ async function createAccount(username, password) {
         const mnemonic = wallet.mnemonic.phrase;
 
         // Encrypt private key with password
-        const encryptedPrivateKey = encrypt(privateKey, password);
+        const encryptedPrivateKey = await encrypt(privateKey, password);
 
-        // Store user data
-        users[username] = {
+        // Store user data; insert fails if the same username registered meanwhile
+        await storage.users.insert({
+            username: username,
             address: address,
             encryptedPrivateKey: encryptedPrivateKey,
-            mnemonic: encrypt(mnemonic, password), // Also encrypt mnemonic
+            mnemonic: await encrypt(mnemonic, password), // Also encrypt mnemonic
             createdAt: new Date().toISOString(),
             lastLogin: null,
-            balance: 0.0
-        };
-
-        // Save to file
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 4));
+            balance: 0.0,
+            role: 'user'
+        });
 
         console.log(`✅ Ethereum account created for ${username}`);
         console.log(`Address: ${address}`);
@@ -86,7 +68,7 @@ async function createAccount(username, password) {
         console.error('❌ Error creating account:', error.message);
         return {
             success: false,
-            error: error.message
+            error: error.code === 'DUPLICATE' ? 'User already exists' : error.message
         };
     }
 }
@@ -94,17 +76,14 @@ async function createAccount(username, password) {
 // Login (verify password and return decrypted private key)
 async function login(username, password) {
     try {
-        const data = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(data);
+        const userData = await storage.users.get(username);
 
-        if (!users[username]) {
+        if (!userData) {
             throw new Error('User not found');
         }
 
-        const userData = users[username];
-
         // Try to decrypt private key with password
-        const privateKey = decrypt(userData.encryptedPrivateKey, password);
+        const privateKey = await decrypt(userData.encryptedPrivateKey, password);
         const wallet = new ethers.Wallet(privateKey);
 
         // Verify address matches
@@ -112,9 +91,19 @@ async function login(username, password) {
             throw new Error('Invalid password');
         }
 
+        // Legacy or weaker records are upgraded now that we have the password
+        if (keyVault.needsUpgrade(userData.encryptedPrivateKey) ||
+            (userData.mnemonic && keyVault.needsUpgrade(userData.mnemonic))) {
+            try {
+                await upgradeVault(username, userData, privateKey, password);
+            } catch (error) {
+                // The old record still works; try again next login
+                console.error(`⚠ Key vault upgrade failed for ${username}:`, error.message);
+            }
+        }
+
         // Update last login
-        users[username].lastLogin = new Date().toISOString();
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 4));
+        await storage.users.update(username, { lastLogin: new Date().toISOString() });
 
         console.log(`✅ Login successful for ${username}`);
 
@@ -133,6 +122,91 @@ async function login(username, password) {
     }
 }
 
+// Change password: re-encrypt the private key and mnemonic under the new one
+async function changePassword(username, currentPassword, newPassword) {
+    try {
+        const userData = await storage.users.get(username);
+        if (!userData) {
+            throw new Error('User not found');
+        }
+
+        const privateKey = await decrypt(userData.encryptedPrivateKey, currentPassword);
+        if (new ethers.Wallet(privateKey).address.toLowerCase() !== userData.address.toLowerCase()) {
+            throw new Error('Invalid password');
+        }
+
+        const changes = {
+            encryptedPrivateKey: await encrypt(privateKey, newPassword),
+            passwordChangedAt: new Date().toISOString()
+        };
+        if (userData.mnemonic) {
+            const mnemonic = await decrypt(userData.mnemonic, currentPassword);
+            changes.mnemonic = await encrypt(mnemonic, newPassword);
+        }
+
+        await storage.users.update(username, changes);
+
+        console.log(`✅ Password changed for ${username}`);
+
+        return {
+            success: true,
+            address: userData.address,
+            privateKey: privateKey
+        };
+
+    } catch (error) {
+        console.error('❌ Password change error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Recover an account with its mnemonic and set a new password
+async function recoverAccount(username, mnemonic, newPassword) {
+    try {
+        const userData = await storage.users.get(username);
+        if (!userData) {
+            throw new Error('User not found');
+        }
+
+        // Same default derivation path createAccount's random wallet uses
+        let wallet;
+        try {
+            wallet = ethers.Wallet.fromPhrase(mnemonic.trim().toLowerCase().split(/\s+/).join(' '));
+        } catch (error) {
+            throw new Error('Invalid mnemonic');
+        }
+
+        if (wallet.address.toLowerCase() !== userData.address.toLowerCase()) {
+            throw new Error('Mnemonic does not match this account');
+        }
+
+        await storage.users.update(username, {
+            encryptedPrivateKey: await encrypt(wallet.privateKey, newPassword),
+            mnemonic: await encrypt(wallet.mnemonic.phrase, newPassword),
+            passwordChangedAt: new Date().toISOString(),
+            recoveredAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Account recovered for ${username}`);
+
+        return {
+            success: true,
+            address: userData.address,
+            privateKey: wallet.privateKey
+        };
+
+    } catch (error) {
+        console.error('❌ Recovery error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 // Get balance (works with any EVM chain)
 async function getBalance(address, rpcUrl) {
     try {
@@ -208,34 +282,113 @@ async function sendTransaction(fromPrivateKey, toAddress, amount, rpcUrl) {
 // Get user by address
 async function getUserByAddress(address) {
     try {
-        const data = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(data);
+        const [user] = await storage.users.find({ address: address });
+        return user || null;
+    } catch (error) {
+        return null;
+    }
+}
 
-        const userEntry = Object.entries(users).find(([key, value]) => 
-            value.address.toLowerCase() === address.toLowerCase()
-        );
+// Set a user's role ('user' or 'admin')
+async function setRole(username, role) {
+    try {
+        if (!['user', 'admin'].includes(role)) {
+            throw new Error('Role must be user or admin');
+        }
 
-        if (!userEntry) {
-            return null;
+        const user = await storage.users.update(username, { role: role });
+        if (!user) {
+            throw new Error('User not found');
         }
 
-        const [username, userData] = userEntry;
+        console.log(`✅ ${username} is now ${role}`);
+
         return {
+            success: true,
             username,
-            ...userData
+            role
         };
     } catch (error) {
-        return null;
+        console.error('❌ Set role error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
     }
 }
 
+// Count users by key vault version and list those still needing an upgrade
+async function getVaultStatus() {
+    const users = await storage.users.all();
+    const versions = {};
+    const pending = [];
+
+    for (const user of users) {
+        const version = `v${keyVault.getVersion(user.encryptedPrivateKey)}`;
+        versions[version] = (versions[version] || 0) + 1;
+        if (keyVault.needsUpgrade(user.encryptedPrivateKey) ||
+            (user.mnemonic && keyVault.needsUpgrade(user.mnemonic))) {
+            pending.push(user.username);
+        }
+    }
+
+    return {
+        success: true,
+        currentVersion: keyVault.VAULT_VERSION,
+        kdfParams: keyVault.KDF_PARAMS,
+        total: users.length,
+        versions,
+        pending
+    };
+}
+
+// Upgrade many users at once from a { username: password } map (e.g. service
+// or test accounts whose passwords operators hold). Everyone else is
+// upgraded on their next login.
+async function migrateVaults(credentials) {
+    const results = { upgraded: [], current: [], failed: [] };
+
+    for (const [username, password] of Object.entries(credentials)) {
+        try {
+            const userData = await storage.users.get(username);
+            if (!userData) {
+                throw new Error('User not found');
+            }
+
+            if (!keyVault.needsUpgrade(userData.encryptedPrivateKey) &&
+                !(userData.mnemonic && keyVault.needsUpgrade(userData.mnemonic))) {
+                results.current.push(username);
+                continue;
+            }
+
+            const privateKey = await decrypt(userData.encryptedPrivateKey, password);
+            if (new ethers.Wallet(privateKey).address.toLowerCase() !== userData.address.toLowerCase()) {
+                throw new Error('Invalid password');
+            }
+
+            await upgradeVault(username, userData, privateKey, password);
+            results.upgraded.push(username);
+        } catch (error) {
+            console.error(`❌ Could not upgrade ${username}: ${error.message}`);
+            results.failed.push({ username, error: error.message });
+        }
+    }
+
+    return { success: results.failed.length === 0, ...results };
+}
+
 // Export functions for use in server
 module.exports = {
     createAccount,
     login,
+    changePassword,
+    recoverAccount,
     getBalance,
     sendTransaction,
     getUserByAddress,
+    setRole,
+    getVaultStatus,
+    migrateVaults,
     decrypt
 };
 
@@ -251,27 +404,73 @@ if (require.main === module) {
                 console.log('Usage: node accountManager.js create <username> <password>');
                 process.exit(1);
             }
-            createAccount(username, password).then(result => {
+            createAccount(username, password).then(async result => {
                 if (result.success) {
                     console.log('\n🔑 SAVE THIS MNEMONIC PHRASE:');
                     console.log(result.mnemonic);
                 }
+                await storage.close();
             });
             break;
             
         case 'balance':
             const address = process.argv[3];
-            const rpcUrl = process.argv[4] || process.env.RPC_URL || 'https://sepolia.infura.io/v3/YOUR_KEY';
             if (!address) {
-                console.log('Usage: node accountManager.js balance <address> [rpcUrl]');
+                console.log('Usage: node accountManager.js balance <address> [network|rpcUrl]');
                 process.exit(1);
             }
-            getBalance(address, rpcUrl);
+            // A configured network id or chain id, else an RPC URL
+            const networks = require('./networks');
+            const network = networks.resolve(process.argv[4]);
+            getBalance(address, network ? network.rpcUrls[0] : process.argv[4]);
             break;
             
+        case 'role':
+            const roleUser = process.argv[3];
+            const role = process.argv[4];
+            if (!roleUser || !role) {
+                console.log('Usage: node accountManager.js role <username> <user|admin>');
+                process.exit(1);
+            }
+            setRole(roleUser, role).then(async result => {
+                if (result.success) {
+                    // Sessions carry the role they were issued with
+                    const sessionManager = require('./sessionManager');
+                    const revoked = await sessionManager.revokeUserSessions(roleUser);
+                    console.log(`Revoked ${revoked} session(s); ${roleUser} must log in again`);
+                }
+                await storage.close();
+            });
+            break;
+            
+        case 'vault-status':
+            getVaultStatus().then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'migrate-vaults':
+            const credentialsFile = process.argv[3];
+            if (!credentialsFile) {
+                console.log('Usage: node accountManager.js migrate-vaults <credentials.json>');
+                console.log('  credentials.json: { "<username>": "<password>", ... }');
+                process.exit(1);
+            }
+            fs.readFile(credentialsFile, 'utf8')
+                .then(data => migrateVaults(JSON.parse(data)))
+                .then(async result => {
+                    console.log(JSON.stringify(result, null, 2));
+                    await storage.close();
+                });
+            break;
+
         default:
             console.log('Available commands:');
             console.log('  create <username> <password>');
-            console.log('  balance <address> [rpcUrl]');
+            console.log('  balance <address> [network|rpcUrl]');
+            console.log('  role <username> <user|admin>');
+            console.log('  vault-status');
+            console.log('  migrate-vaults <credentials.json>');
     }
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Audit Log
+// Append-only record of security-sensitive account events (password changes,
+// recoveries, failed recovery attempts)
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// Build the request details worth keeping with an entry
+function requestContext(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        sessionId: req.user ? req.user.sessionId : null
+    };
+}
+
+// Append an entry. Failures are logged rather than thrown so an audit outage
+// does not undo an action that has already happened.
+async function record(action, details = {}) {
+    const entry = {
+        id: uuidv4(),
+        action: action,
+        timestamp: new Date().toISOString(),
+        ...details
+    };
+
+    try {
+        await storage.audit.insert(entry);
+        console.log(`📝 Audit: ${action}${details.username ? ` (${details.username})` : ''}`);
+    } catch (error) {
+        console.error(`❌ Could not write audit entry ${action}:`, error.message);
+    }
+    return entry;
+}
+
+// Newest entries first, optionally for one user or action
+async function list({ username, action, limit = 100 } = {}) {
+    const filter = {};
+    if (username) filter.username = username;
+    if (action) filter.action = action;
+
+    const entries = await storage.audit.find(filter);
+    return entries
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit);
+}
+
+module.exports = {
+    record,
+    list,
+    requestContext
+};
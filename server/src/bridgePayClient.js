@@ -0,0 +1,259 @@
+// BridgePay Contract Client
+// Calls to BridgePay as deployed on a network from networks.js, using the ABI
+// exported from its Hardhat artifact. After changing contracts/BridgePay.sol,
+// run `npm run export-abi` in the project root to refresh abi/BridgePay.json.
+//
+// Reads return plain values and writes return the sent transaction; both
+// throw on failure, as ethers does. contractManager turns them into results.
+
+const { ethers } = require('ethers');
+const artifact = require('./abi/BridgePay.json');
+const rpcProvider = require('./rpcProvider');
+
+const ABI = artifact.abi;
+const iface = new ethers.Interface(ABI);
+
+// Role ids as BridgePay computes them (AccessControl's admin role is zero)
+const ROLES = {
+    DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+    RELAYER_ROLE: ethers.id('RELAYER_ROLE'),
+    MULTISIG_ROLE: ethers.id('MULTISIG_ROLE')
+};
+
+// BridgePay.TxStatus enum, in declaration order
+const TX_STATUSES = ['PENDING', 'FINALIZED', 'REJECTED', 'AUTO_FINALIZED'];
+
+function roleId(role) {
+    return ROLES[role] || role;
+}
+
+// BridgePay.Transaction as returned by getTransaction, or null if there is
+// no transaction with that id
+function formatTransaction(onChainTxId, tx) {
+    if (tx.from === ethers.ZeroAddress) {
+        return null;
+    }
+    return {
+        onChainTxId: onChainTxId,
+        from: tx.from,
+        to: tx.to,
+        amount: ethers.formatEther(tx.amount),
+        amountWei: tx.amount.toString(),
+        nonce: Number(tx.nonce),
+        expiry: Number(tx.expiry),
+        clientTxId: tx.clientTxId,
+        submittedAt: Number(tx.submittedAt),
+        finalizedAt: Number(tx.finalizedAt),
+        status: TX_STATUSES[Number(tx.status)],
+        relayer: tx.relayer
+    };
+}
+
+// Decode the named BridgePay events in a receipt, in log order
+function parseEvents(receipt, name) {
+    const events = [];
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = iface.parseLog(log);
+        } catch (error) {
+            parsed = null;
+        }
+        if (parsed && (!name || parsed.name === name)) {
+            events.push({
+                name: parsed.name,
+                args: parsed.args,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index
+            });
+        }
+    }
+    return events;
+}
+
+// Unsigned call data, for accounts that sign with their own wallet
+function encodeCall(network, functionName, args = []) {
+    return {
+        to: network.bridgePayAddress,
+        data: iface.encodeFunctionData(functionName, args)
+    };
+}
+
+// Client for one account on one network. Without a private key it can only read.
+function connect(network, privateKey) {
+    const provider = rpcProvider.getProvider(network);
+    const wallet = privateKey ? new ethers.Wallet(privateKey, provider) : null;
+    const contract = new ethers.Contract(network.bridgePayAddress, ABI, wallet || provider);
+
+    // ----- Reads -----
+
+    async function getTransaction(onChainTxId) {
+        return formatTransaction(onChainTxId, await contract.getTransaction(onChainTxId));
+    }
+
+    // clientTxId is only indexed in events, so find the submission first
+    async function findTransactionByClientTxId(clientTxId, fromBlock = 0) {
+        const events = await contract.queryFilter(
+            contract.filters.OfflineTxSubmitted(null, clientTxId),
+            fromBlock
+        );
+        if (events.length === 0) {
+            return null;
+        }
+        return getTransaction(events[events.length - 1].args.txHash);
+    }
+
+    // The TxFinalized or TxAutoFinalized event that settled a transaction,
+    // or null if it has not been finalized
+    async function findFinalization(onChainTxId, fromBlock = 0) {
+        for (const name of ['TxFinalized', 'TxAutoFinalized']) {
+            const events = await contract.queryFilter(contract.filters[name](onChainTxId), fromBlock);
+            if (events.length > 0) {
+                return {
+                    name: name,
+                    blockNumber: events[0].blockNumber,
+                    transactionHash: events[0].transactionHash
+                };
+            }
+        }
+        return null;
+    }
+
+    async function isClientTxIdUsed(clientTxId) {
+        return contract.clientTxIdUsed(clientTxId);
+    }
+
+    async function getNonce(address) {
+        return Number(await contract.getNonce(address));
+    }
+
+    // In wei
+    async function getBalance(address) {
+        return contract.getBalance(address);
+    }
+
+    async function getForceFinalizeSigners(onChainTxId) {
+        const signers = [];
+
+        // forceFinalizeSigs is a public array getter with no length; read
+        // until it reverts on the first missing index
+        while (signers.length < 16) {
+            try {
+                signers.push(await contract.forceFinalizeSigs(onChainTxId, signers.length));
+            } catch (error) {
+                if (error.code !== 'CALL_EXCEPTION') {
+                    throw error;
+                }
+                break;
+            }
+        }
+        return signers;
+    }
+
+    // role: a name from ROLES or a role id
+    async function hasRole(role, address) {
+        return contract.hasRole(roleId(role), address);
+    }
+
+    async function isAdmin(address) {
+        return hasRole('DEFAULT_ADMIN_ROLE', address);
+    }
+
+    async function isRelayer(address) {
+        return hasRole('RELAYER_ROLE', address);
+    }
+
+    async function isMultisig(address) {
+        return hasRole('MULTISIG_ROLE', address);
+    }
+
+    // Names of the ROLES an address holds
+    async function getRoles(address) {
+        const names = Object.keys(ROLES);
+        const held = await Promise.all(names.map(name => hasRole(name, address)));
+        return names.filter((name, i) => held[i]);
+    }
+
+    // ----- Writes (need a private key) -----
+
+    function deposit(amountWei, overrides = {}) {
+        return contract.deposit({ ...overrides, value: amountWei });
+    }
+
+    function withdraw(amountWei, overrides = {}) {
+        return contract.withdraw(amountWei, overrides);
+    }
+
+    // RELAYER_ROLE
+    function submitOfflineTx({ from, to, amountWei, signature, nonce, expiry, clientTxId }, overrides = {}) {
+        return contract.submitOfflineTx(from, to, amountWei, signature, nonce, expiry, clientTxId, overrides);
+    }
+
+    // RELAYER_ROLE
+    function finalizeTx(onChainTxId, overrides = {}) {
+        return contract.finalizeTx(onChainTxId, overrides);
+    }
+
+    // Payer or payee, inside the dispute window
+    function disputeTx(onChainTxId, evidence, overrides = {}) {
+        return contract.disputeTx(onChainTxId, evidence, overrides);
+    }
+
+    // MULTISIG_ROLE
+    function forceFinalize(onChainTxId, overrides = {}) {
+        return contract.forceFinalize(onChainTxId, overrides);
+    }
+
+    // DEFAULT_ADMIN_ROLE
+    function grantRole(role, account, overrides = {}) {
+        return contract.grantRole(roleId(role), account, overrides);
+    }
+
+    // DEFAULT_ADMIN_ROLE
+    function revokeRole(role, account, overrides = {}) {
+        return contract.revokeRole(roleId(role), account, overrides);
+    }
+
+    // Drops a role from the signing account itself
+    function renounceRole(role, overrides = {}) {
+        return contract.renounceRole(roleId(role), wallet.address, overrides);
+    }
+
+    return {
+        provider,
+        wallet,
+        contract,
+        getTransaction,
+        findTransactionByClientTxId,
+        findFinalization,
+        isClientTxIdUsed,
+        getNonce,
+        getBalance,
+        getForceFinalizeSigners,
+        hasRole,
+        isAdmin,
+        isRelayer,
+        isMultisig,
+        getRoles,
+        deposit,
+        withdraw,
+        submitOfflineTx,
+        finalizeTx,
+        disputeTx,
+        forceFinalize,
+        grantRole,
+        revokeRole,
+        renounceRole
+    };
+}
+
+module.exports = {
+    ABI,
+    ROLES,
+    TX_STATUSES,
+    connect,
+    parseEvents,
+    encodeCall
+};
@@ -1,10 +1,17 @@
-// Smart Contract Manager for BridgePay Token
+// Smart Contract Manager
+// BridgePay and the optional ERC-20 token (used for online sends and funding)
+// on each network from networks.js. forNetwork() gives the functions for one
+// network; without a selector it is the default network.
 const { ethers } = require('ethers');
+const bridgePay = require('./bridgePayClient');
+const networks = require('./networks');
+const rpcProvider = require('./rpcProvider');
+const txManager = require('./txManager');
+const gasSponsor = require('./gasSponsor');
 require('dotenv').config();
 
-const RPC_URL = process.env.RPC_URL;
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const ADMIN_PRIVATE_KEY = process.env.PRIVATE_KEY;
+// The same keys act on every network; txManager sends from them
+const RELAYER_PRIVATE_KEY = txManager.SIGNER_KEYS.relayer;
 
 // Standard ERC20 Token ABI (works with most token contracts)
 const TOKEN_ABI = [
@@ -22,208 +29,1130 @@ const TOKEN_ABI = [
     
     // Common extended functions (if your contract has them)
     "function mint(address to, uint256 amount) returns (bool)",
-    "function burn(uint256 amount) returns (bool)"
+    "function burn(uint256 amount) returns (bool)",
+
+    // EIP-2612 permit, used to relay transfers when gas is sponsored
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
 ];
 
-// Get provider and contract instance
-function getContract() {
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, TOKEN_ABI, provider);
-    return { provider, contract };
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// How long a permit signed for a relayed transfer stays valid
+const PERMIT_TTL_SECONDS = 60 * 60;
+
+// Mirrors BridgePay.DISPUTE_WINDOW (7 days)
+const DISPUTE_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+// Mirrors BridgePay.FORCE_FINALIZE_DELAY (14 days) and MULTISIG_THRESHOLD
+const FORCE_FINALIZE_DELAY_SECONDS = 14 * 24 * 60 * 60;
+const MULTISIG_THRESHOLD = 3;
+
+// EIP-712 types matching BridgePay.OFFLINE_TX_TYPEHASH
+const OFFLINE_TX_TYPES = {
+    OfflineTransaction: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' },
+        { name: 'clientTxId', type: 'bytes32' }
+    ]
+};
+
+// Revert reasons from submitOfflineTx mapped to failure codes reported by sync
+const RELAY_FAILURE_REASONS = {
+    'Invalid nonce': 'BAD_NONCE',
+    'Transaction expired': 'EXPIRED',
+    'ClientTxId already used': 'CLIENT_TX_ID_REUSED',
+    'Invalid signature': 'BAD_SIGNATURE',
+    'Transaction already exists': 'DUPLICATE',
+    'Invalid recipient': 'INVALID_TRANSACTION',
+    'Amount must be > 0': 'INVALID_TRANSACTION'
+};
+
+// First named BridgePay event in a transaction receipt, or null
+function findEvent(receipt, name) {
+    return bridgePay.parseEvents(receipt, name)[0] || null;
 }
 
-// Get contract with signer (for write operations)
-function getContractWithSigner(privateKey) {
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, TOKEN_ABI, wallet);
-    return { provider, wallet, contract };
+// Error carrying a failure code that API callers can act on
+function codedError(code, message) {
+    const error = new Error(message);
+    error.failureCode = code;
+    return error;
 }
 
-// Get token info
-async function getTokenInfo() {
-    try {
-        const { contract } = getContract();
-        
-        const name = await contract.name();
-        const symbol = await contract.symbol();
-        const decimals = await contract.decimals();
-        const totalSupply = await contract.totalSupply();
-        
-        return {
-            success: true,
-            name,
-            symbol,
-            decimals: Number(decimals),
-            totalSupply: ethers.formatUnits(totalSupply, decimals)
-        };
-    } catch (error) {
-        console.error('Error getting token info:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+// Map a submitOfflineTx error to a failure code.
+// Returns null for errors that are not contract rejections (RPC outage, gas, ...)
+function getRelayFailureReason(error) {
+    const message = error.reason || error.shortMessage || error.message || '';
+    if (message.includes('ECDSA')) {
+        return 'BAD_SIGNATURE';
     }
+    const match = Object.keys(RELAY_FAILURE_REASONS).find(reason => message.includes(reason));
+    return match ? RELAY_FAILURE_REASONS[match] : null;
 }
 
-// Get token balance for an address
-async function getTokenBalance(address) {
-    try {
+// Functions bound to one network
+function createContractManager(network) {
+    const CONTRACT_ADDRESS = network.bridgePayAddress;
+    const TOKEN_ADDRESS = network.tokenAddress;
+
+    function getProvider() {
+        return rpcProvider.getProvider(network);
+    }
+
+    // Check that an ERC-20 token address is configured
+    function hasToken() {
+        return !!TOKEN_ADDRESS;
+    }
+
+    function tokenNotConfigured() {
+        return codedError('TOKEN_NOT_CONFIGURED', `No token address configured for ${network.id}`);
+    }
+
+    // Get provider and token contract instance
+    function getContract() {
+        if (!TOKEN_ADDRESS) {
+            throw tokenNotConfigured();
+        }
+        const provider = getProvider();
+        const contract = new ethers.Contract(TOKEN_ADDRESS, TOKEN_ABI, provider);
+        return { provider, contract };
+    }
+
+    // Get token contract with signer (for write operations)
+    function getContractWithSigner(privateKey) {
+        if (!TOKEN_ADDRESS) {
+            throw tokenNotConfigured();
+        }
+        const provider = getProvider();
+        const wallet = new ethers.Wallet(privateKey, provider);
+        const contract = new ethers.Contract(TOKEN_ADDRESS, TOKEN_ABI, wallet);
+        return { provider, wallet, contract };
+    }
+
+    // Token name, symbol and decimals never change, so each is read once
+    const tokenMetadata = {};
+    function readTokenMetadata(field) {
+        if (!tokenMetadata[field]) {
+            const { contract } = getContract();
+            tokenMetadata[field] = contract[field]();
+            // Read again next time if this attempt fails
+            tokenMetadata[field].catch(() => delete tokenMetadata[field]);
+        }
+        return tokenMetadata[field];
+    }
+
+    // EIP-2612 domain of the token, or null if it has no permit. Read once,
+    // like the metadata above.
+    let permitDomain = null;
+    function getPermitDomain() {
+        if (!permitDomain) {
+            permitDomain = readPermitDomain();
+            permitDomain.catch(() => { permitDomain = null; });
+        }
+        return permitDomain;
+    }
+
+    async function readPermitDomain() {
         const { contract } = getContract();
-        const balance = await contract.balanceOf(address);
-        const decimals = await contract.decimals();
-        
-        const balanceFormatted = ethers.formatUnits(balance, decimals);
-        
-        console.log(Token balance for ${address}: ${balanceFormatted});
-        
-        return {
-            success: true,
-            balance: parseFloat(balanceFormatted),
-            balanceRaw: balance.toString(),
-            decimals: Number(decimals)
-        };
-    } catch (error) {
-        console.error('Error getting token balance:', error);
-        return {
-            success: false,
-            balance: 0,
-            error: error.message
-        };
+        let separator;
+        try {
+            separator = await contract.DOMAIN_SEPARATOR();
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+                return null;
+            }
+            throw error;
+        }
+
+        // ERC-5267 tokens say what their domain is; otherwise assume version "1"
+        let domain;
+        try {
+            const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+            domain = { name, version, chainId, verifyingContract };
+        } catch (error) {
+            domain = {
+                name: await readTokenMetadata('name'),
+                version: '1',
+                chainId: (await getEip712Domain()).chainId,
+                verifyingContract: TOKEN_ADDRESS
+            };
+        }
+
+        return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
     }
-}
 
-// Get ETH balance (for gas fees)
-async function getEthBalance(address) {
-    try {
-        const { provider } = getContract();
-        const balance = await provider.getBalance(address);
-        const balanceFormatted = ethers.formatEther(balance);
-        
-        return {
-            success: true,
-            balance: parseFloat(balanceFormatted),
-            balanceWei: balance.toString()
-        };
-    } catch (error) {
-        console.error('Error getting ETH balance:', error);
-        return {
-            success: false,
-            balance: 0,
-            error: error.message
-        };
+    // Send tokens without the sender paying gas: the sender signs a permit
+    // for the admin account, which sends permit and transferFrom through
+    // txManager. The gas is reserved and recorded by gasSponsor.
+    async function relayTransfer(wallet, contract, toAddress, amountInUnits, onSubmitted) {
+        const domain = await getPermitDomain();
+        if (!domain) {
+            throw codedError('PERMIT_NOT_SUPPORTED', 'Token does not support EIP-2612 permit, so its gas cannot be relayed');
+        }
+
+        const sponsor = txManager.getSignerAddress('admin');
+        const deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS;
+        const nonce = await contract.nonces(wallet.address);
+        const signature = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, {
+            owner: wallet.address,
+            spender: sponsor,
+            value: amountInUnits,
+            nonce: nonce,
+            deadline: deadline
+        }));
+        const permitCall = await contract.permit.populateTransaction(
+            wallet.address, sponsor, amountInUnits, deadline, signature.v, signature.r, signature.s
+        );
+
+        // transferFrom cannot be estimated until the permit is mined, so
+        // reserve twice the permit's gas for the pair
+        const permitGas = await wallet.provider.estimateGas({ ...permitCall, from: sponsor });
+        const feeData = await wallet.provider.getFeeData();
+        const estimateWei = permitGas * 2n * (feeData.maxFeePerGas || feeData.gasPrice || 0n);
+        const reservation = await gasSponsor.reserve(network, wallet.address, estimateWei, 'relay');
+        if (!reservation.success) {
+            throw codedError(reservation.code, reservation.error);
+        }
+        const { entry } = reservation;
+
+        console.log(`⛽ Relaying transfer for ${wallet.address} with gas paid by ${sponsor}...`);
+
+        let spentWei = 0n;
+        const txHashes = [];
+        try {
+            const permitted = await txManager.send(network, 'admin', { ...permitCall, gasLimit: permitGas }, {
+                purpose: 'gas-relay',
+                reference: entry.id
+            });
+            spentWei += permitted.receipt.fee;
+            txHashes.push(permitted.txHash);
+
+            const transferCall = await contract.transferFrom.populateTransaction(wallet.address, toAddress, amountInUnits);
+            const sent = await txManager.send(network, 'admin', transferCall, {
+                purpose: 'gas-relay',
+                reference: entry.id,
+                onSubmitted: onSubmitted
+            });
+            spentWei += sent.receipt.fee;
+            txHashes.push(sent.txHash);
+
+            const completed = await gasSponsor.complete(entry.id, spentWei, txHashes);
+            return { txHash: sent.txHash, receipt: sent.receipt, sponsorship: completed };
+        } catch (error) {
+            if (error.receipt) {
+                spentWei += error.receipt.fee;
+                txHashes.push(error.receipt.hash);
+            }
+            await gasSponsor.fail(entry.id, error, spentWei, txHashes);
+            throw error;
+        }
     }
-}
 
-// Transfer tokens
-async function transferTokens(fromPrivateKey, toAddress, amount) {
-    try {
-        const { wallet, contract } = getContractWithSigner(fromPrivateKey);
-        const decimals = await contract.decimals();
-        
-        // Convert amount to token units (considering decimals)
-        const amountInUnits = ethers.parseUnits(amount.toString(), decimals);
-        
-        console.log(Transferring ${amount} tokens from ${wallet.address} to ${toAddress}...);
-        
-        // Check balance first
-        const balance = await contract.balanceOf(wallet.address);
-        if (balance < amountInUnits) {
-            throw new Error('Insufficient token balance');
-        }
-        
-        // Check ETH balance for gas
-        const ethBalance = await wallet.provider.getBalance(wallet.address);
-        if (ethBalance === 0n) {
-            throw new Error('Insufficient ETH for gas fees');
-        }
-        
-        // Execute transfer
-        const tx = await contract.transfer(toAddress, amountInUnits);
-        console.log(Transaction sent: ${tx.hash});
-        console.log('Waiting for confirmation...');
-        
-        const receipt = await tx.wait();
-        console.log(✅ Transaction confirmed in block ${receipt.blockNumber});
-        
-        return {
-            success: true,
-            txHash: tx.hash,
-            blockNumber: receipt.blockNumber,
-            from: wallet.address,
-            to: toAddress,
-            amount: amount
+    // Get token info
+    async function getTokenInfo() {
+        try {
+            const { contract } = getContract();
+
+            const name = await readTokenMetadata('name');
+            const symbol = await readTokenMetadata('symbol');
+            const decimals = await readTokenMetadata('decimals');
+            const totalSupply = await contract.totalSupply();
+
+            return {
+                success: true,
+                name,
+                symbol,
+                decimals: Number(decimals),
+                totalSupply: ethers.formatUnits(totalSupply, decimals)
+            };
+        } catch (error) {
+            if (!error.failureCode) {
+                console.error('Error getting token info:', error);
+            }
+            return {
+                success: false,
+                code: error.failureCode,
+                error: error.message
+            };
+        }
+    }
+
+    // Get token balance for an address
+    async function getTokenBalance(address) {
+        try {
+            const { contract } = getContract();
+            const balance = await contract.balanceOf(address);
+            const decimals = await readTokenMetadata('decimals');
+
+            const balanceFormatted = ethers.formatUnits(balance, decimals);
+
+            console.log(`Token balance for ${address}: ${balanceFormatted}`);
+
+            return {
+                success: true,
+                balance: parseFloat(balanceFormatted),
+                balanceRaw: balance.toString(),
+                decimals: Number(decimals)
+            };
+        } catch (error) {
+            if (!error.failureCode) {
+                console.error('Error getting token balance:', error);
+            }
+            return {
+                success: false,
+                code: error.failureCode,
+                balance: 0,
+                error: error.message
+            };
+        }
+    }
+
+    // Get ETH balance (for gas fees)
+    async function getEthBalance(address) {
+        try {
+            const balance = await getProvider().getBalance(address);
+            const balanceFormatted = ethers.formatEther(balance);
+
+            return {
+                success: true,
+                balance: parseFloat(balanceFormatted),
+                balanceWei: balance.toString()
+            };
+        } catch (error) {
+            console.error('Error getting ETH balance:', error);
+            return {
+                success: false,
+                balance: 0,
+                error: error.message
+            };
+        }
+    }
+
+    // Transfer tokens. onSubmitted(txHash) is called once the transaction is
+    // broadcast, before waiting for the receipt. A sender without enough for
+    // gas is sponsored as GAS_SPONSORSHIP says (see gasSponsor.js).
+    async function transferTokens(fromPrivateKey, toAddress, amount, onSubmitted) {
+        let txHash = null;
+        const submitted = async hash => {
+            txHash = hash;
+            console.log(`Transaction sent: ${hash}`);
+            if (onSubmitted) {
+                await onSubmitted(hash);
+            }
         };
-    } catch (error) {
-        console.error('Transfer error:', error);
+        try {
+            const { wallet, contract } = getContractWithSigner(fromPrivateKey);
+            const decimals = await readTokenMetadata('decimals');
+
+            // Convert amount to token units (considering decimals)
+            const amountInUnits = ethers.parseUnits(amount.toString(), decimals);
+
+            console.log(`Transferring ${amount} tokens from ${wallet.address} to ${toAddress}...`);
+
+            // Check balance first
+            const balance = await contract.balanceOf(wallet.address);
+            if (balance < amountInUnits) {
+                throw codedError('INSUFFICIENT_TOKEN_BALANCE', 'Insufficient token balance');
+            }
+
+            // Check ETH balance covers the estimated gas cost
+            const gasLimit = await contract.transfer.estimateGas(toAddress, amountInUnits);
+            const feeData = await wallet.provider.getFeeData();
+            const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+            const ethBalance = await wallet.provider.getBalance(wallet.address);
+            let sponsored = null;
+            if (ethBalance === 0n || ethBalance < gasLimit * gasPrice) {
+                if (gasSponsor.MODE === 'relay') {
+                    const relayed = await relayTransfer(wallet, contract, toAddress, amountInUnits, submitted);
+                    console.log(`✅ Transaction confirmed in block ${relayed.receipt.blockNumber}`);
+
+                    return {
+                        success: true,
+                        txHash: relayed.txHash,
+                        blockNumber: relayed.receipt.blockNumber,
+                        from: wallet.address,
+                        to: toAddress,
+                        amount: amount,
+                        sponsored: { mode: 'relay', gasPaid: relayed.sponsorship.amount, txHashes: relayed.sponsorship.txHashes }
+                    };
+                }
+                if (gasSponsor.MODE !== 'topup') {
+                    throw codedError('INSUFFICIENT_GAS', `Insufficient ${network.nativeCurrency} for gas fees`);
+                }
+                const topUp = await gasSponsor.topUp(network, wallet.address, gasLimit * gasPrice, ethBalance);
+                if (!topUp.success) {
+                    throw codedError(topUp.code, topUp.error);
+                }
+                sponsored = { mode: 'topup', gasPaid: topUp.entry.amount, txHashes: topUp.entry.txHashes };
+            }
+
+            // Execute transfer
+            const tx = await contract.transfer(toAddress, amountInUnits, { gasLimit });
+            await submitted(tx.hash);
+            console.log('Waiting for confirmation...');
+
+            const receipt = await tx.wait();
+            console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                from: wallet.address,
+                to: toAddress,
+                amount: amount,
+                sponsored: sponsored
+            };
+        } catch (error) {
+            console.error('Transfer error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                code: error.receipt ? 'TRANSFER_REVERTED' : (error.failureCode || (txHash ? 'TRANSFER_REVERTED' : 'TRANSFER_FAILED')),
+                txHash: txHash,
+                blockNumber: error.receipt ? error.receipt.blockNumber : null,
+                error: error.failureCode ? error.message : (error.shortMessage || error.message)
+            };
+        }
+    }
+
+    // Mint tokens (if contract has mint function and caller is authorized).
+    // Sent from the admin key by txManager; options.purpose and
+    // options.reference are stored with the transaction.
+    async function mintTokens(toAddress, amount, options = {}) {
+        try {
+            const { contract } = getContract();
+            const decimals = await readTokenMetadata('decimals');
+            const amountInUnits = ethers.parseUnits(amount.toString(), decimals);
+
+            console.log(`Minting ${amount} tokens to ${toAddress}...`);
+
+            const request = await contract.mint.populateTransaction(toAddress, amountInUnits);
+            const { txHash, receipt } = await txManager.send(network, 'admin', request, {
+                purpose: options.purpose || 'mint',
+                reference: options.reference,
+                onSubmitted: hash => console.log(`Mint transaction sent: ${hash}`)
+            });
+            console.log(`✅ Mint confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: txHash,
+                blockNumber: receipt.blockNumber,
+                to: toAddress,
+                amount: amount
+            };
+        } catch (error) {
+            console.error('Mint error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Transfer tokens from the admin wallet, sent by txManager
+    async function transferFromAdmin(toAddress, amount, options = {}) {
+        try {
+            const { contract } = getContract();
+            const decimals = await readTokenMetadata('decimals');
+            const amountInUnits = ethers.parseUnits(amount.toString(), decimals);
+            const admin = txManager.getSignerAddress('admin');
+
+            console.log(`Transferring ${amount} tokens from admin ${admin} to ${toAddress}...`);
+
+            const balance = await contract.balanceOf(admin);
+            if (balance < amountInUnits) {
+                throw codedError('INSUFFICIENT_TOKEN_BALANCE', 'Insufficient token balance');
+            }
+
+            const request = await contract.transfer.populateTransaction(toAddress, amountInUnits);
+            const { txHash, receipt } = await txManager.send(network, 'admin', request, {
+                purpose: options.purpose || 'transfer',
+                reference: options.reference,
+                onSubmitted: hash => console.log(`Transaction sent: ${hash}`)
+            });
+            console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: txHash,
+                blockNumber: receipt.blockNumber,
+                from: admin,
+                to: toAddress,
+                amount: amount
+            };
+        } catch (error) {
+            console.error('Transfer error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                code: error.receipt ? 'TRANSFER_REVERTED' : (error.failureCode || 'TRANSFER_FAILED'),
+                txHash: error.receipt ? error.receipt.hash : null,
+                blockNumber: error.receipt ? error.receipt.blockNumber : null,
+                error: error.failureCode ? error.message : (error.shortMessage || error.message)
+            };
+        }
+    }
+
+    // Give initial tokens to new users. options are passed on to mintTokens.
+    async function fundNewUser(address, initialAmount = 500, options = {}) {
+        try {
+            if (!TOKEN_ADDRESS) {
+                throw tokenNotConfigured();
+            }
+
+            console.log(`Funding new user ${address} with ${initialAmount} tokens...`);
+
+            // Try to mint tokens
+            const result = await mintTokens(address, initialAmount, options);
+
+            if (!result.success) {
+                // If minting fails, try transfer from admin wallet
+                console.log('Minting failed, trying transfer from admin...');
+                return await transferFromAdmin(address, initialAmount, options);
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Fund user error:', error.message);
+            return {
+                success: false,
+                code: error.failureCode,
+                error: error.message
+            };
+        }
+    }
+
+    // EIP-712 domain of the BridgePay contract (EIP712("BridgePay", "1"))
+    async function getEip712Domain() {
+        let chainId = network.chainId;
+        if (!chainId) {
+            const network = await getProvider().getNetwork();
+            chainId = network.chainId;
+        }
+
         return {
-            success: false,
-            error: error.message
+            name: 'BridgePay',
+            version: '1',
+            chainId: Number(chainId),
+            verifyingContract: CONTRACT_ADDRESS
         };
     }
-}
 
-// Mint tokens (if contract has mint function and caller is authorized)
-async function mintTokens(toAddress, amount) {
-    try {
-        const { wallet, contract } = getContractWithSigner(ADMIN_PRIVATE_KEY);
-        const decimals = await contract.decimals();
-        const amountInUnits = ethers.parseUnits(amount.toString(), decimals);
-        
-        console.log(Minting ${amount} tokens to ${toAddress}...);
-        
-        const tx = await contract.mint(toAddress, amountInUnits);
-        console.log(Mint transaction sent: ${tx.hash});
-        
-        const receipt = await tx.wait();
-        console.log(✅ Mint confirmed in block ${receipt.blockNumber});
-        
+    // Check the RPC serves the configured chain, BridgePay is deployed at the
+    // network's address, and which of its roles the relayer key holds
+    async function getBridgePayInfo() {
+        try {
+            const client = bridgePay.connect(network);
+            const { chainId } = await client.provider.getNetwork();
+            if (network.chainId && Number(chainId) !== network.chainId) {
+                throw new Error(`RPC for ${network.id} is on chain ${chainId}, expected ${network.chainId}`);
+            }
+
+            const code = await client.provider.getCode(CONTRACT_ADDRESS);
+            if (code === '0x') {
+                throw new Error(`No contract deployed at ${CONTRACT_ADDRESS}`);
+            }
+
+            const relayer = RELAYER_PRIVATE_KEY ? new ethers.Wallet(RELAYER_PRIVATE_KEY).address : null;
+
+            return {
+                success: true,
+                chainId: Number(chainId),
+                address: CONTRACT_ADDRESS,
+                relayer: relayer,
+                relayerRoles: relayer ? await client.getRoles(relayer) : []
+            };
+        } catch (error) {
+            console.error('Error getting BridgePay info:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Get a user's BridgePay balance (what offline payments settle against)
+    async function getContractBalance(address) {
+        try {
+            const balance = await bridgePay.connect(network).getBalance(address);
+
+            return {
+                success: true,
+                balance: parseFloat(ethers.formatEther(balance)),
+                balanceWei: balance.toString()
+            };
+        } catch (error) {
+            console.error('Error getting contract balance:', error.shortMessage || error.message);
+            return {
+                success: false,
+                balance: 0,
+                error: error.message
+            };
+        }
+    }
+
+    // Deposit ETH from a user's wallet into their BridgePay balance
+    async function depositToContract(privateKey, amountWei) {
+        try {
+            const client = bridgePay.connect(network, privateKey);
+            const { wallet, contract } = client;
+
+            // The wallet pays the deposit plus gas
+            const ethBalance = await wallet.provider.getBalance(wallet.address);
+            if (ethBalance < amountWei) {
+                throw codedError('INSUFFICIENT_WALLET_BALANCE', `Insufficient ${network.nativeCurrency} in wallet`);
+            }
+            const gasLimit = await contract.deposit.estimateGas({ value: amountWei });
+            const feeData = await wallet.provider.getFeeData();
+            const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+            if (ethBalance < amountWei + gasLimit * gasPrice) {
+                throw codedError('INSUFFICIENT_GAS', `Insufficient ${network.nativeCurrency} for gas fees`);
+            }
+
+            console.log(`Depositing ${ethers.formatEther(amountWei)} ${network.nativeCurrency} into BridgePay for ${wallet.address}...`);
+
+            const tx = await client.deposit(amountWei, { gasLimit });
+            const receipt = await tx.wait();
+
+            const block = await wallet.provider.getBlock(receipt.blockNumber);
+
+            console.log(`✅ Deposit confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                timestamp: block.timestamp,
+                address: wallet.address,
+                event: findEvent(receipt, 'BalanceDeposited')
+            };
+        } catch (error) {
+            console.error('Deposit error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                code: error.failureCode || 'DEPOSIT_FAILED',
+                error: error.failureCode ? error.message : (error.reason || error.shortMessage || error.message)
+            };
+        }
+    }
+
+    // Withdraw ETH from a user's BridgePay balance back to their wallet
+    async function withdrawFromContract(privateKey, amountWei) {
+        try {
+            const client = bridgePay.connect(network, privateKey);
+            const { wallet, contract } = client;
+
+            const balance = await client.getBalance(wallet.address);
+            if (balance < amountWei) {
+                throw codedError('INSUFFICIENT_CONTRACT_BALANCE', 'Insufficient BridgePay balance');
+            }
+
+            const gasLimit = await contract.withdraw.estimateGas(amountWei);
+            const feeData = await wallet.provider.getFeeData();
+            const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+            const ethBalance = await wallet.provider.getBalance(wallet.address);
+            if (ethBalance < gasLimit * gasPrice) {
+                throw codedError('INSUFFICIENT_GAS', `Insufficient ${network.nativeCurrency} for gas fees`);
+            }
+
+            console.log(`Withdrawing ${ethers.formatEther(amountWei)} ${network.nativeCurrency} from BridgePay for ${wallet.address}...`);
+
+            const tx = await client.withdraw(amountWei, { gasLimit });
+            const receipt = await tx.wait();
+
+            const block = await wallet.provider.getBlock(receipt.blockNumber);
+
+            console.log(`✅ Withdrawal confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                timestamp: block.timestamp,
+                address: wallet.address,
+                event: findEvent(receipt, 'BalanceWithdrawn')
+            };
+        } catch (error) {
+            console.error('Withdraw error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                code: error.failureCode || 'WITHDRAW_FAILED',
+                error: error.failureCode ? error.message : (error.reason || error.shortMessage || error.message)
+            };
+        }
+    }
+
+    // Recover the signer of an OfflineTransaction message
+    async function recoverOfflineTxSigner(message, signature) {
+        const domain = await getEip712Domain();
+        return ethers.verifyTypedData(domain, OFFLINE_TX_TYPES, message, signature);
+    }
+
+    // Get the sender's current BridgePay nonce (increments when a payment finalizes)
+    async function getOfflineNonce(address) {
+        try {
+            const nonce = await bridgePay.connect(network).getNonce(address);
+
+            return {
+                success: true,
+                nonce: nonce
+            };
+        } catch (error) {
+            console.error('Error getting nonce:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Check whether BridgePay has already accepted a clientTxId
+    async function isClientTxIdUsed(clientTxId) {
+        try {
+            const used = await bridgePay.connect(network).isClientTxIdUsed(clientTxId);
+
+            return {
+                success: true,
+                used: used
+            };
+        } catch (error) {
+            console.error('Error checking clientTxId:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Check that a relayer key and contract address are configured
+    function hasRelayer() {
+        return !!(CONTRACT_ADDRESS && RELAYER_PRIVATE_KEY);
+    }
+
+    // Submit a signed offline transaction to BridgePay using the relayer key
+    async function submitOfflineTx({ from, to, amountWei, signature, nonce, expiry, clientTxId }) {
+        try {
+            console.log(`Relaying offline transaction ${clientTxId} from ${from} to ${to}...`);
+
+            const request = bridgePay.encodeCall(network, 'submitOfflineTx', [
+                from, to, amountWei, signature, nonce, expiry, clientTxId
+            ]);
+            const { txHash, receipt } = await txManager.send(network, 'relayer', request, {
+                purpose: 'relay',
+                reference: clientTxId,
+                onSubmitted: hash => console.log(`Relay transaction sent: ${hash}`)
+            });
+            const submitted = findEvent(receipt, 'OfflineTxSubmitted');
+
+            console.log(`✅ Relay confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: txHash,
+                blockNumber: receipt.blockNumber,
+                onChainTxId: submitted ? submitted.args.txHash : null,
+                submittedAt: submitted ? Number(submitted.args.submittedAt) : null
+            };
+        } catch (error) {
+            console.error('Relay error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                reason: getRelayFailureReason(error),
+                error: error.reason || error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Get an offline transaction recorded in BridgePay by its on-chain id
+    async function getOfflineTransaction(onChainTxId) {
+        try {
+            const transaction = await bridgePay.connect(network).getTransaction(onChainTxId);
+
+            if (!transaction) {
+                return {
+                    success: false,
+                    error: 'Transaction not found'
+                };
+            }
+
+            return {
+                success: true,
+                transaction: transaction
+            };
+        } catch (error) {
+            console.error('Error getting offline transaction:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Find an offline transaction by its on-chain id, or else by the clientTxId
+    // it was submitted with. matchedBy says which one it was.
+    async function findOfflineTransaction(id) {
+        try {
+            const client = bridgePay.connect(network);
+
+            let transaction = await client.getTransaction(id);
+            let matchedBy = 'txHash';
+            if (!transaction) {
+                // Submissions cannot be older than the contract
+                transaction = await client.findTransactionByClientTxId(id, network.startBlock);
+                matchedBy = 'clientTxId';
+            }
+
+            if (!transaction) {
+                return {
+                    success: false,
+                    error: 'Transaction not found'
+                };
+            }
+
+            return {
+                success: true,
+                matchedBy: matchedBy,
+                transaction: transaction
+            };
+        } catch (error) {
+            console.error('Error finding offline transaction:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Where an offline transaction was finalized, by this server or anyone
+    // else: { success, finalization: { name, blockNumber, transactionHash } }
+    // with finalization null if it has not been
+    async function getFinalization(onChainTxId) {
+        try {
+            // Finalizations cannot be older than the contract
+            const finalization = await bridgePay.connect(network).findFinalization(onChainTxId, network.startBlock);
+            return {
+                success: true,
+                finalization: finalization
+            };
+        } catch (error) {
+            console.error('Error finding finalization:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Finalize an offline transaction after its dispute window (relayer key)
+    async function finalizeOfflineTx(onChainTxId) {
+        try {
+            console.log(`Finalizing offline transaction ${onChainTxId}...`);
+
+            const request = bridgePay.encodeCall(network, 'finalizeTx', [onChainTxId]);
+            const { txHash, receipt } = await txManager.send(network, 'relayer', request, {
+                purpose: 'finalize',
+                reference: onChainTxId
+            });
+            const block = await getProvider().getBlock(receipt.blockNumber);
+
+            console.log(`✅ Finalize confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: txHash,
+                blockNumber: receipt.blockNumber,
+                finalizedAt: block.timestamp
+            };
+        } catch (error) {
+            console.error('Finalize error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.reason || error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Dispute a pending offline transaction as its payer or payee (user's own key)
+    async function disputeOfflineTx(privateKey, onChainTxId, evidence) {
+        try {
+            const client = bridgePay.connect(network, privateKey);
+            const { wallet } = client;
+
+            // The disputing user pays gas for disputeTx
+            const ethBalance = await wallet.provider.getBalance(wallet.address);
+            if (ethBalance === 0n) {
+                throw new Error(`Insufficient ${network.nativeCurrency} for gas fees`);
+            }
+
+            console.log(`Disputing offline transaction ${onChainTxId} as ${wallet.address}...`);
+
+            const tx = await client.disputeTx(onChainTxId, evidence);
+            const receipt = await tx.wait();
+
+            console.log(`✅ Dispute confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                disputedBy: wallet.address
+            };
+        } catch (error) {
+            console.error('Dispute error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.reason || error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Get the MULTISIG_ROLE signers collected so far by forceFinalize
+    async function getForceFinalizeSigners(onChainTxId) {
+        try {
+            return {
+                success: true,
+                signers: await bridgePay.connect(network).getForceFinalizeSigners(onChainTxId)
+            };
+        } catch (error) {
+            console.error('Error getting force-finalize signers:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Check whether an address holds BridgePay's MULTISIG_ROLE
+    async function hasMultisigRole(address) {
+        try {
+            return {
+                success: true,
+                hasRole: await bridgePay.connect(network).isMultisig(address)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // BridgePay roles an address holds (DEFAULT_ADMIN_ROLE, RELAYER_ROLE, MULTISIG_ROLE)
+    async function getContractRoles(address) {
+        try {
+            return {
+                success: true,
+                roles: await bridgePay.connect(network).getRoles(address)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Unsigned forceFinalize call, for signers who sign with their own wallet
+    function buildForceFinalizeCall(onChainTxId) {
+        return bridgePay.encodeCall(network, 'forceFinalize', [onChainTxId]);
+    }
+
+    // Summarize a confirmed forceFinalize approval
+    function forceFinalizeResult(tx, receipt, signer) {
+        const autoFinalized = findEvent(receipt, 'TxAutoFinalized');
+
         return {
             success: true,
             txHash: tx.hash,
             blockNumber: receipt.blockNumber,
-            to: toAddress,
-            amount: amount
-        };
-    } catch (error) {
-        console.error('Mint error:', error);
-        return {
-            success: false,
-            error: error.message
+            signer: signer,
+            thresholdReached: !!autoFinalized,
+            finalizedAt: autoFinalized ? Number(autoFinalized.args.finalizedAt) : null,
+            signers: autoFinalized ? [...autoFinalized.args.signers] : null
         };
     }
+
+    // Approve forceFinalize with a managed MULTISIG_ROLE account
+    async function forceFinalizeOfflineTx(privateKey, onChainTxId) {
+        try {
+            const client = bridgePay.connect(network, privateKey);
+            const { wallet } = client;
+
+            console.log(`Approving force-finalize of ${onChainTxId} as ${wallet.address}...`);
+
+            const tx = await client.forceFinalize(onChainTxId);
+            const receipt = await tx.wait();
+
+            console.log(`✅ Force-finalize approval confirmed in block ${receipt.blockNumber}`);
+
+            return forceFinalizeResult(tx, receipt, wallet.address);
+        } catch (error) {
+            console.error('Force-finalize error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.reason || error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Broadcast a forceFinalize approval signed outside the server
+    async function broadcastForceFinalize(signedTransaction, onChainTxId) {
+        try {
+            const provider = getProvider();
+            const parsed = ethers.Transaction.from(signedTransaction);
+            const expected = buildForceFinalizeCall(onChainTxId);
+
+            if (!parsed.to || parsed.to.toLowerCase() !== expected.to.toLowerCase() ||
+                parsed.data.toLowerCase() !== expected.data.toLowerCase()) {
+                throw new Error('Signed transaction is not forceFinalize for this transaction');
+            }
+
+            console.log(`Broadcasting force-finalize approval from ${parsed.from}...`);
+
+            const tx = await provider.broadcastTransaction(signedTransaction);
+            const receipt = await tx.wait();
+
+            if (receipt.status !== 1) {
+                throw new Error('Force-finalize approval reverted');
+            }
+
+            console.log(`✅ Force-finalize approval confirmed in block ${receipt.blockNumber}`);
+
+            return forceFinalizeResult(tx, receipt, parsed.from);
+        } catch (error) {
+            console.error('Force-finalize broadcast error:', error.shortMessage || error.message);
+            return {
+                success: false,
+                error: error.reason || error.shortMessage || error.message
+            };
+        }
+    }
+
+    // Get a block's number, hash and timestamp (chain time, not server time)
+    async function getBlock(blockTag = 'latest') {
+        try {
+            const block = await getProvider().getBlock(blockTag);
+
+            if (!block) {
+                return {
+                    success: false,
+                    error: `Block ${blockTag} not found`
+                };
+            }
+
+            return {
+                success: true,
+                number: block.number,
+                hash: block.hash,
+                timestamp: block.timestamp
+            };
+        } catch (error) {
+            console.error('Error getting block:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get latest block number and timestamp
+    async function getLatestBlock() {
+        return getBlock('latest');
+    }
+
+    // Get every BridgePay event emitted in a block range, in chain order
+    async function getBridgePayEvents(fromBlock, toBlock) {
+        try {
+            const logs = await getProvider().getLogs({
+                address: CONTRACT_ADDRESS,
+                fromBlock,
+                toBlock
+            });
+
+            return {
+                success: true,
+                events: bridgePay.parseEvents({ logs })
+            };
+        } catch (error) {
+            console.error('Error getting BridgePay events:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    return {
+        network,
+        hasToken,
+        getBridgePayInfo,
+        getTokenInfo,
+        getTokenBalance,
+        getEthBalance,
+        transferTokens,
+        mintTokens,
+        fundNewUser,
+        getContractBalance,
+        depositToContract,
+        withdrawFromContract,
+        getEip712Domain,
+        recoverOfflineTxSigner,
+        getOfflineNonce,
+        isClientTxIdUsed,
+        hasRelayer,
+        submitOfflineTx,
+        getOfflineTransaction,
+        findOfflineTransaction,
+        getFinalization,
+        finalizeOfflineTx,
+        disputeOfflineTx,
+        getForceFinalizeSigners,
+        hasMultisigRole,
+        getContractRoles,
+        buildForceFinalizeCall,
+        forceFinalizeOfflineTx,
+        broadcastForceFinalize,
+        getBlock,
+        getLatestBlock,
+        getBridgePayEvents,
+        CONTRACT_ADDRESS,
+        TOKEN_ADDRESS
+    };
 }
 
-// Give initial tokens to new users
-async function fundNewUser(address, initialAmount = 500) {
-    try {
-        console.log(Funding new user ${address} with ${initialAmount} tokens...);
-        
-        // Try to mint tokens
-        const result = await mintTokens(address, initialAmount);
-        
-        if (!result.success) {
-            // If minting fails, try transfer from admin wallet
-            console.log('Minting failed, trying transfer from admin...');
-            return await transferTokens(ADMIN_PRIVATE_KEY, address, initialAmount);
-        }
-        
-        return result;
-    } catch (error) {
-        console.error('Fund user error:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+// One manager per network, made on first use
+const managers = {};
+
+// Manager for a network from networks.js, or for a selector (id or chain id)
+function forNetwork(selector) {
+    const network = selector && typeof selector === 'object' ? selector : networks.resolve(selector);
+    if (!network) {
+        throw new Error(`Unknown network: ${selector}`);
+    }
+    if (!managers[network.id]) {
+        managers[network.id] = createContractManager(network);
     }
+    return managers[network.id];
 }
 
 module.exports = {
-    getTokenInfo,
-    getTokenBalance,
-    getEthBalance,
-    transferTokens,
-    mintTokens,
-    fundNewUser,
-    CONTRACT_ADDRESS
+    forNetwork,
+    OFFLINE_TX_TYPES,
+    DISPUTE_WINDOW_SECONDS,
+    FORCE_FINALIZE_DELAY_SECONDS,
+    MULTISIG_THRESHOLD
 };
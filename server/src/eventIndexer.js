@@ -0,0 +1,461 @@
+// BridgePay Event Indexer
+// Follows contract events on every configured network and reconciles
+// transaction history with what happened on chain. Each network keeps its own
+// cursor and waits for its own confirmation depth.
+
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const contractManager = require('./contractManager');
+const invoiceManager = require('./invoiceManager');
+const networks = require('./networks');
+const storage = require('./storage');
+require('dotenv').config();
+
+const STATE_FILE = 'indexer_state.json';
+
+// Start block and confirmation depth (blocks are only indexed once this many
+// newer blocks exist on top of them) come from each network's config
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+const INTERVAL_MS = parseInt(process.env.INDEXER_INTERVAL_MS) || 15 * 1000;
+// How many indexed block hashes to remember for finding a reorg's fork point
+const MAX_REORG_DEPTH = 128;
+
+// Lifecycle events and the history status each one leads to
+const LIFECYCLE_STATUS = {
+    OfflineTxSubmitted: 'submitted',
+    TxDisputed: 'disputed',
+    TxRejected: 'disputed',
+    TxFinalized: 'finalized',
+    TxAutoFinalized: 'finalized'
+};
+
+let timer = null;
+let running = false;
+
+// Cursor per network id. A file from before networks held a single cursor,
+// which belongs to the default network.
+async function loadState() {
+    const state = await storage.readState(STATE_FILE);
+    if (state && state.lastBlock !== undefined) {
+        return { networks: { [networks.DEFAULT_NETWORK]: state } };
+    }
+    return state || { networks: {} };
+}
+
+function networkState(state, network) {
+    if (!state.networks[network.id]) {
+        state.networks[network.id] = {
+            lastBlock: network.startBlock - 1,
+            blockHashes: {},
+            lastRunAt: null,
+            reorgs: 0
+        };
+    }
+    return state.networks[network.id];
+}
+
+// Networks with a BridgePay deployment to follow
+function indexedNetworks() {
+    return networks.list().filter(network => network.bridgePayAddress);
+}
+
+function eventId(event) {
+    return `${event.transactionHash}:${event.logIndex}`;
+}
+
+// Status follows the most recent lifecycle event recorded on the transaction
+function deriveStatus(record) {
+    const lifecycle = (record.chainEvents || []).filter(e => LIFECYCLE_STATUS[e.event]);
+    if (lifecycle.length === 0) {
+        return record.status;
+    }
+
+    lifecycle.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    return LIFECYCLE_STATUS[lifecycle[lifecycle.length - 1].event];
+}
+
+// Evidence submitted through the dispute API is UTF-8 JSON; keep anything else as hex
+function decodeEvidence(evidence) {
+    try {
+        return JSON.parse(ethers.toUtf8String(evidence));
+    } catch (error) {
+        return evidence;
+    }
+}
+
+// Find (or create, for payments relayed outside this server) the record for a clientTxId
+async function findOrCreateOfflineRecord(event, network) {
+    let [record] = await storage.history.find({ clientTxId: event.args.clientTxId });
+
+    if (!record && event.name === 'OfflineTxSubmitted') {
+        const { from, to, amount, submittedAt } = event.args;
+        record = {
+            id: uuidv4(),
+            from: from,
+            fromUserId: from,
+            to: to,
+            toUserId: to,
+            amount: ethers.formatEther(amount),
+            amountWei: amount.toString(),
+            clientTxId: event.args.clientTxId,
+            onChainTxId: event.args.txHash,
+            timestamp: new Date(Number(submittedAt) * 1000).toISOString(),
+            status: 'submitted',
+            type: 'offline-external',
+            source: 'indexer',
+            txHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            chainSubmittedAt: Number(submittedAt),
+            network: network.id,
+            contractAddress: network.bridgePayAddress,
+            chainEvents: []
+        };
+
+        try {
+            await storage.history.insert(record, { unique: ['clientTxId'] });
+            await invoiceManager.matchTransaction(record);
+        } catch (error) {
+            // The API recorded the relay while this event was being read
+            if (error.code !== 'DUPLICATE') {
+                throw error;
+            }
+            [record] = await storage.history.find({ clientTxId: event.args.clientTxId });
+        }
+    }
+
+    return record;
+}
+
+// Apply one event seen on network to history. Returns true if anything changed.
+async function applyEvent(event, blockTimestamps, network = networks.getDefault()) {
+    const id = eventId(event);
+    const entry = {
+        event: event.name,
+        eventId: id,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        txHash: event.transactionHash,
+        logIndex: event.logIndex
+    };
+
+    if (event.name === 'BalanceDeposited' || event.name === 'BalanceWithdrawn') {
+        const user = event.args.user;
+        const contract = network.bridgePayAddress;
+        const isDeposit = event.name === 'BalanceDeposited';
+
+        // The deposit and withdraw routes apply their own event as soon as it
+        // confirms; eventId keeps it from being added twice
+        try {
+            await storage.history.insert({
+                id: uuidv4(),
+                from: isDeposit ? user : contract,
+                fromUserId: isDeposit ? user : contract,
+                to: isDeposit ? contract : user,
+                toUserId: isDeposit ? contract : user,
+                amount: ethers.formatEther(event.args.amount),
+                amountWei: event.args.amount.toString(),
+                timestamp: new Date(blockTimestamps[event.blockNumber] * 1000).toISOString(),
+                status: 'completed',
+                type: isDeposit ? 'deposit' : 'withdrawal',
+                source: 'indexer',
+                txHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                eventId: id,
+                network: network.id,
+                contractAddress: contract
+            }, { unique: ['eventId'] });
+        } catch (error) {
+            if (error.code !== 'DUPLICATE') {
+                throw error;
+            }
+            return false;
+        }
+        return true;
+    }
+
+    // Role changes (RoleGranted, RoleRevoked, ...) have no history record
+    if (!LIFECYCLE_STATUS[event.name]) {
+        return false;
+    }
+
+    const found = await findOrCreateOfflineRecord(event, network);
+    if (!found) {
+        return false;
+    }
+
+    // Edited in place under the storage lock, so API writes to the same
+    // record are not lost
+    let changed = false;
+    await storage.history.update(found.id, record => {
+        record.chainEvents = record.chainEvents || [];
+        if (record.chainEvents.some(e => e.eventId === id)) {
+            return;
+        }
+        record.chainEvents.push(entry);
+        record.onChainTxId = record.onChainTxId || event.args.txHash;
+
+        if (event.name === 'TxFinalized' || event.name === 'TxAutoFinalized') {
+            record.finalizedAt = new Date(Number(event.args.finalizedAt) * 1000).toISOString();
+            record.finalizedBlock = event.blockNumber;
+            record.finalizeTxHash = event.transactionHash;
+            if (event.name === 'TxAutoFinalized') {
+                record.finalizedBy = 'multisig';
+                record.forceFinalizeSigners = [...event.args.signers];
+            }
+        } else if (event.name === 'TxDisputed') {
+            record.disputedBy = event.args.disputer;
+            record.disputedBlock = event.blockNumber;
+            record.disputeEvidence = decodeEvidence(event.args.evidence);
+        } else if (event.name === 'TxRejected') {
+            record.rejectionReason = event.args.reason;
+        }
+
+        record.status = deriveStatus(record);
+        record.indexedAt = new Date().toISOString();
+        changed = true;
+    });
+    return changed;
+}
+
+// Undo everything indexed on network above forkBlock after a reorg deeper
+// than its confirmation depth
+async function rollbackHistory(forkBlock, network) {
+    for (const tx of await storage.history.all()) {
+        if (networks.forRecord(tx) !== network) {
+            continue;
+        }
+
+        if (tx.source === 'indexer' && tx.blockNumber > forkBlock) {
+            await storage.history.remove(tx.id);
+            continue;
+        }
+
+        if (tx.chainEvents && tx.chainEvents.some(e => e.blockNumber > forkBlock)) {
+            await storage.history.update(tx.id, record => {
+                record.chainEvents = record.chainEvents.filter(e => e.blockNumber <= forkBlock);
+                record.status = record.chainEvents.length > 0 ? deriveStatus(record) : 'submitted';
+                if (record.finalizedBlock > forkBlock) {
+                    delete record.finalizedAt;
+                    delete record.finalizedBlock;
+                    delete record.finalizeTxHash;
+                }
+            });
+        }
+    }
+}
+
+// Check that the last indexed block is still canonical; if not, rewind to
+// the newest remembered block that is
+async function detectReorg(state, network) {
+    const chain = contractManager.forNetwork(network);
+    const lastHash = state.blockHashes[state.lastBlock];
+    if (!lastHash) {
+        return null;
+    }
+
+    const current = await chain.getBlock(state.lastBlock);
+    if (!current.success) {
+        throw new Error(current.error);
+    }
+    if (current.hash === lastHash) {
+        return null;
+    }
+
+    const remembered = Object.keys(state.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const number of remembered) {
+        const block = await chain.getBlock(number);
+        if (block.success && block.hash === state.blockHashes[number]) {
+            return number;
+        }
+    }
+
+    return Math.max(network.startBlock - 1, state.lastBlock - MAX_REORG_DEPTH);
+}
+
+function rememberBlock(state, number, hash) {
+    state.blockHashes[number] = hash;
+
+    const numbers = Object.keys(state.blockHashes).map(Number).sort((a, b) => a - b);
+    for (const old of numbers.slice(0, Math.max(0, numbers.length - MAX_REORG_DEPTH))) {
+        delete state.blockHashes[old];
+    }
+}
+
+// Index confirmed blocks on one network up to its current head
+async function indexNetwork(allState, network) {
+    const state = networkState(allState, network);
+    const chain = contractManager.forNetwork(network);
+    const summary = { events: 0, updated: 0, reorg: null };
+
+    const forkBlock = await detectReorg(state, network);
+    if (forkBlock !== null) {
+        console.log(`⚠ Reorg on ${network.id} detected below block ${state.lastBlock}, rewinding to ${forkBlock}`);
+        await rollbackHistory(forkBlock, network);
+
+        for (const number of Object.keys(state.blockHashes).map(Number)) {
+            if (number > forkBlock) {
+                delete state.blockHashes[number];
+            }
+        }
+        state.lastBlock = forkBlock;
+        state.reorgs = (state.reorgs || 0) + 1;
+        summary.reorg = forkBlock;
+    }
+
+    const head = await chain.getLatestBlock();
+    if (!head.success) {
+        throw new Error(head.error);
+    }
+    const target = head.number - network.confirmations;
+
+    while (state.lastBlock < target) {
+        const fromBlock = state.lastBlock + 1;
+        const toBlock = Math.min(target, fromBlock + BATCH_SIZE - 1);
+
+        const result = await chain.getBridgePayEvents(fromBlock, toBlock);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const blockTimestamps = {};
+        for (const event of result.events) {
+            if (blockTimestamps[event.blockNumber] === undefined) {
+                const block = await chain.getBlock(event.blockNumber);
+                blockTimestamps[event.blockNumber] = block.success ? block.timestamp : Math.floor(Date.now() / 1000);
+            }
+        }
+
+        for (const event of result.events) {
+            if (await applyEvent(event, blockTimestamps, network)) {
+                summary.updated++;
+            }
+            rememberBlock(state, event.blockNumber, event.blockHash);
+        }
+        summary.events += result.events.length;
+
+        const end = await chain.getBlock(toBlock);
+        if (!end.success) {
+            throw new Error(end.error);
+        }
+        rememberBlock(state, toBlock, end.hash);
+        state.lastBlock = toBlock;
+        state.lastRunAt = new Date().toISOString();
+        await storage.writeState(STATE_FILE, allState);
+    }
+
+    if (summary.events > 0) {
+        console.log(`📚 Indexed ${summary.events} BridgePay events on ${network.id} up to block ${state.lastBlock}`);
+    }
+
+    return {
+        success: true,
+        ...summary,
+        lastBlock: state.lastBlock,
+        head: head.number
+    };
+}
+
+// Index every network once. A network that fails does not hold up the others.
+async function runOnce() {
+    if (running) {
+        return { success: false, error: 'Indexer already running' };
+    }
+    running = true;
+
+    try {
+        const allState = await loadState();
+        const results = {};
+
+        for (const network of indexedNetworks()) {
+            try {
+                results[network.id] = await indexNetwork(allState, network);
+            } catch (error) {
+                console.error(`❌ Indexer error on ${network.id}:`, error.message);
+                results[network.id] = { success: false, error: error.message };
+            }
+        }
+        await storage.writeState(STATE_FILE, allState);
+
+        return {
+            success: Object.values(results).every(result => result.success),
+            networks: results
+        };
+    } catch (error) {
+        console.error('❌ Indexer error:', error.message);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+// Start the background indexer
+function start(intervalMs = INTERVAL_MS) {
+    if (timer) {
+        return;
+    }
+
+    const followed = indexedNetworks().map(network => `${network.id}: ${network.confirmations} confirmations`);
+    console.log(`📚 Event indexer running every ${Math.round(intervalMs / 1000)}s (${followed.join(', ')})`);
+    timer = setInterval(runOnce, intervalMs);
+    runOnce();
+}
+
+// Stop the background indexer
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Current indexer position on each network for status reporting
+async function getStatus() {
+    const allState = await loadState();
+    return {
+        running: !!timer,
+        networks: indexedNetworks().map(network => {
+            const state = networkState(allState, network);
+            return {
+                network: network.id,
+                startBlock: network.startBlock,
+                confirmations: network.confirmations,
+                lastBlock: state.lastBlock,
+                lastRunAt: state.lastRunAt,
+                reorgs: state.reorgs || 0
+            };
+        })
+    };
+}
+
+module.exports = {
+    start,
+    stop,
+    runOnce,
+    applyEvent,
+    getStatus
+};
+
+// CLI usage (for testing)
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'run':
+            runOnce().then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'status':
+            getStatus().then(status => {
+                console.log(JSON.stringify(status, null, 2));
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  run       Index confirmed blocks once');
+            console.log('  status    Show indexer position');
+    }
+}
@@ -0,0 +1,265 @@
+// Event Stream
+// Server-sent events for signed-in clients, each following its own address.
+// Instead of polling balance and history, a client keeps one
+// GET /api/stream open and receives:
+//   balance      balances on a network, whenever they change
+//   transaction  a queue or history record of theirs added or changing status
+//   payment      an incoming payment that has arrived
+//   sync         the outcome of a sync for their queued payments
+//   end          sent just before the server closes the stream: its access
+//                token has expired or its session was revoked
+// Balances are re-read after the server's own writes and, for payments made
+// outside this server, on every new block while anyone is listening.
+
+const networks = require('./networks');
+const rpcProvider = require('./rpcProvider');
+const sessionManager = require('./sessionManager');
+const storage = require('./storage');
+const webhookManager = require('./webhookManager');
+require('dotenv').config();
+
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000;
+// Writes often come in bursts (queue, relay, history); re-read once after them
+const BALANCE_DEBOUNCE_MS = parseInt(process.env.STREAM_BALANCE_DEBOUNCE_MS) || 500;
+
+// lowercased address -> Set of clients
+const clients = new Map();
+// network id -> block listener, while the network has clients
+const blockListeners = new Map();
+// `${address}:${network id}` -> pending re-read timer
+const refreshTimers = new Map();
+
+let readBalances = null;
+
+// An online payment has arrived once confirmed; an offline one once BridgePay
+// has accepted the relay
+function isArrival(record) {
+    return record.status === (record.type === 'online' ? 'confirmed' : 'submitted');
+}
+
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function clientsFor(address) {
+    return address ? clients.get(address.toLowerCase()) || new Set() : new Set();
+}
+
+// Send an event to every client of an address
+function publish(address, event, data) {
+    for (const client of clientsFor(address)) {
+        if (!data.network || client.networks.some(network => network.id === data.network)) {
+            send(client, event, data);
+        }
+    }
+}
+
+function isWatched(network) {
+    for (const set of clients.values()) {
+        for (const client of set) {
+            if (client.networks.includes(network)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Read an address's balances on a network and send them to clients whose
+// last copy differs
+async function refreshBalance(address, network) {
+    const targets = [...clientsFor(address)].filter(client => client.networks.includes(network));
+    if (targets.length === 0 || !readBalances) {
+        return;
+    }
+
+    const result = await readBalances(address, network);
+    if (!result.balances) {
+        return;
+    }
+    const snapshot = JSON.stringify(result.balances);
+
+    for (const client of targets) {
+        if (client.lastBalances[network.id] !== snapshot) {
+            client.lastBalances[network.id] = snapshot;
+            send(client, 'balance', result.balances);
+        }
+    }
+}
+
+function scheduleRefresh(address, network) {
+    const id = `${address.toLowerCase()}:${network.id}`;
+    if (refreshTimers.has(id) || clientsFor(address).size === 0) {
+        return;
+    }
+    refreshTimers.set(id, setTimeout(() => {
+        refreshTimers.delete(id);
+        refreshBalance(address, network).catch(error => {
+            console.error(`❌ Stream balance refresh failed for ${address}:`, error.message);
+        });
+    }, BALANCE_DEBOUNCE_MS));
+}
+
+// Follow new blocks on a network while any client watches it
+function watchBlocks(network) {
+    if (blockListeners.has(network.id)) {
+        return;
+    }
+    const listener = () => {
+        for (const set of clients.values()) {
+            for (const client of set) {
+                if (client.networks.includes(network)) {
+                    scheduleRefresh(client.address, network);
+                }
+            }
+        }
+    };
+    blockListeners.set(network.id, listener);
+    rpcProvider.getProvider(network).on('block', listener).catch(error => {
+        console.error(`❌ Stream cannot follow blocks on ${network.id}:`, error.message);
+    });
+}
+
+function unwatchBlocks(network) {
+    const listener = blockListeners.get(network.id);
+    if (listener && !isWatched(network)) {
+        blockListeners.delete(network.id);
+        rpcProvider.getProvider(network).off('block', listener);
+    }
+}
+
+// Stream events for user's address to an Express response until it closes
+function subscribe(req, res, user, selected) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+
+    const client = { res, address: user.address, sessionId: user.sessionId, networks: selected, lastBalances: {} };
+    const key = user.address.toLowerCase();
+    if (!clients.has(key)) {
+        clients.set(key, new Set());
+    }
+    clients.get(key).add(client);
+
+    send(client, 'ready', { address: user.address, networks: selected.map(network => network.id) });
+    for (const network of selected) {
+        watchBlocks(network);
+        refreshBalance(user.address, network).catch(error => {
+            console.error(`❌ Stream balance read failed for ${user.address}:`, error.message);
+        });
+    }
+
+    // The stream outlives the request that authenticated it, so each
+    // heartbeat checks the token and session are still good
+    const heartbeat = setInterval(() => {
+        if (user.tokenExpiresAt < Math.floor(Date.now() / 1000)) {
+            return client.end('expired');
+        }
+        sessionManager.isSessionActive(user.sessionId).then(active => {
+            if (!active) {
+                return client.end('revoked');
+            }
+            res.write(': ping\n\n');
+        }).catch(error => {
+            console.error(`❌ Stream session check failed for ${user.username}:`, error.message);
+        });
+    }, HEARTBEAT_MS);
+    console.log(`📡 Stream opened for ${user.username} (${clientsFor(user.address).size} open)`);
+
+    let closed = false;
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearInterval(heartbeat);
+        clients.get(key).delete(client);
+        if (clients.get(key).size === 0) {
+            clients.delete(key);
+        }
+        selected.forEach(unwatchBlocks);
+        console.log(`📡 Stream closed for ${user.username}`);
+    };
+
+    // Tell the client why before closing, so it can refresh or sign in again
+    client.end = reason => {
+        if (!closed) {
+            send(client, 'end', { reason });
+            res.end();
+            close();
+        }
+    };
+    req.on('close', close);
+}
+
+// Close the streams a revoked session opened
+function endSession(sessionId) {
+    const targets = [];
+    for (const set of clients.values()) {
+        targets.push(...[...set].filter(client => client.sessionId === sessionId));
+    }
+    targets.forEach(client => client.end('revoked'));
+}
+
+// Announce a queue or history record's new status to both parties and
+// re-read their balances
+function onStatusChange(collection, record, previousStatus) {
+    const network = networks.forRecord(record);
+    const parties = [record.from, record.to].filter((address, i, all) =>
+        address && all.findIndex(other => other && other.toLowerCase() === address.toLowerCase()) === i
+    );
+
+    for (const address of parties) {
+        const incoming = record.to && record.to.toLowerCase() === address.toLowerCase();
+        const event = {
+            network: network ? network.id : record.network,
+            collection: collection,
+            status: record.status,
+            previousStatus: previousStatus,
+            direction: incoming ? 'in' : 'out',
+            transaction: webhookManager.describeTransaction(record)
+        };
+        publish(address, 'transaction', event);
+
+        if (incoming && collection === 'history' && isArrival(record)) {
+            publish(address, 'payment', {
+                network: event.network,
+                id: record.id,
+                from: record.from,
+                amount: record.amount,
+                type: record.type,
+                status: record.status,
+                invoiceId: record.invoiceId
+            });
+        }
+        if (network) {
+            scheduleRefresh(address, network);
+        }
+    }
+}
+
+// readBalances(address, network) resolves { balances } or an error
+function start(options) {
+    readBalances = options.readBalances;
+    storage.onStatusChange(onStatusChange);
+    sessionManager.onRevoke(endSession);
+}
+
+function getStatus() {
+    return {
+        addresses: clients.size,
+        connections: [...clients.values()].reduce((total, set) => total + set.size, 0),
+        followingBlocks: [...blockListeners.keys()]
+    };
+}
+
+module.exports = {
+    subscribe,
+    publish,
+    start,
+    getStatus
+};
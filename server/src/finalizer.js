@@ -0,0 +1,269 @@
+// Offline Transaction Finalizer
+// Calls BridgePay.finalizeTx for relayed offline payments once their dispute window closes
+
+const contractManager = require('./contractManager');
+const networks = require('./networks');
+const storage = require('./storage');
+const txManager = require('./txManager');
+require('dotenv').config();
+
+const STATE_FILE = 'finalizer_state.json';
+
+const INTERVAL_MS = parseInt(process.env.FINALIZER_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Persisted cursor: every submitted transaction still waiting on its window,
+// plus the last block the worker looked at on each network
+async function loadState() {
+    const state = await storage.readState(STATE_FILE) || {
+        lastRunAt: null,
+        tracked: {}
+    };
+    state.lastBlocks = state.lastBlocks || {};
+    return state;
+}
+
+// Apply per-record updates to history
+async function updateHistory(updates) {
+    for (const [id, changes] of Object.entries(updates)) {
+        await storage.history.update(id, changes);
+    }
+}
+
+// Start tracking submitted transactions that the worker has not seen yet
+async function trackSubmitted(state) {
+    const submitted = await storage.history.find({ status: 'submitted' });
+
+    let added = 0;
+    for (const tx of submitted) {
+        if (!tx.onChainTxId || state.tracked[tx.onChainTxId]) {
+            continue;
+        }
+
+        const network = networks.forRecord(tx);
+        if (!network) {
+            continue;
+        }
+
+        state.tracked[tx.onChainTxId] = {
+            id: tx.id,
+            network: network.id,
+            eligibleAt: tx.chainSubmittedAt + contractManager.DISPUTE_WINDOW_SECONDS,
+            expiry: tx.expiry,
+            attempts: 0,
+            lastError: null
+        };
+        added++;
+    }
+
+    return added;
+}
+
+// Process every tracked transaction whose dispute window has closed
+async function runOnce() {
+    if (running) {
+        return { success: false, error: 'Finalizer already running' };
+    }
+    running = true;
+
+    try {
+        const state = await loadState();
+        const added = await trackSubmitted(state);
+
+        // Eligibility is judged on each chain's own time so Hardhat time
+        // travel works; a network whose head cannot be read is skipped
+        const blocks = {};
+        for (const network of networks.list()) {
+            const block = await contractManager.forNetwork(network).getLatestBlock();
+            if (block.success) {
+                blocks[network.id] = block;
+                state.lastBlocks[network.id] = { number: block.number, timestamp: block.timestamp };
+            } else {
+                console.log(`⚠ Finalizer skipping ${network.id}: ${block.error}`);
+            }
+        }
+
+        const updates = {};
+        const summary = { tracked: added, finalized: 0, expired: 0, disputed: 0, failed: 0 };
+
+        for (const [onChainTxId, entry] of Object.entries(state.tracked)) {
+            // Tracked before networks were recorded
+            entry.network = entry.network || networks.DEFAULT_NETWORK;
+
+            const block = blocks[entry.network];
+            if (!block || entry.eligibleAt > block.timestamp) {
+                continue;
+            }
+            const chain = contractManager.forNetwork(entry.network);
+
+            const onChain = await chain.getOfflineTransaction(onChainTxId);
+            if (!onChain.success) {
+                entry.attempts++;
+                entry.lastError = onChain.error;
+                summary.failed++;
+                continue;
+            }
+
+            const chainTx = onChain.transaction;
+
+            if (chainTx.status === 'REJECTED') {
+                updates[entry.id] = { status: 'disputed' };
+                delete state.tracked[onChainTxId];
+                summary.disputed++;
+                console.log(`⚠ Skipping disputed transaction ${entry.id}`);
+                continue;
+            }
+
+            if (chainTx.status === 'FINALIZED' || chainTx.status === 'AUTO_FINALIZED') {
+                // Finalized outside this worker (another relayer or multisig);
+                // its event says where, if it can be read now
+                const found = await chain.getFinalization(onChainTxId);
+                const finalization = found.success ? found.finalization : null;
+                updates[entry.id] = {
+                    status: 'finalized',
+                    finalizedAt: new Date(chainTx.finalizedAt * 1000).toISOString(),
+                    finalizedBlock: finalization ? finalization.blockNumber : null,
+                    finalizeTxHash: finalization ? finalization.transactionHash : null
+                };
+                delete state.tracked[onChainTxId];
+                summary.finalized++;
+                continue;
+            }
+
+            if (block.timestamp > chainTx.expiry) {
+                updates[entry.id] = { status: 'expired' };
+                delete state.tracked[onChainTxId];
+                summary.expired++;
+                console.log(`⚠ Skipping expired transaction ${entry.id}`);
+                continue;
+            }
+
+            const result = await chain.finalizeOfflineTx(onChainTxId);
+            if (!result.success) {
+                // Left tracked: e.g. the sender may top up an insufficient balance
+                entry.attempts++;
+                entry.lastError = result.error;
+                summary.failed++;
+                console.log(`❌ Could not finalize ${entry.id}: ${result.error}`);
+                continue;
+            }
+
+            updates[entry.id] = {
+                status: 'finalized',
+                finalizedAt: new Date(result.finalizedAt * 1000).toISOString(),
+                finalizedBlock: result.blockNumber,
+                finalizeTxHash: result.txHash
+            };
+            delete state.tracked[onChainTxId];
+            summary.finalized++;
+            console.log(`✅ Finalized transaction ${entry.id} in block ${result.blockNumber}`);
+        }
+
+        await updateHistory(updates);
+
+        state.lastRunAt = new Date().toISOString();
+        await storage.writeState(STATE_FILE, state);
+
+        return {
+            success: true,
+            ...summary,
+            pending: Object.keys(state.tracked).length,
+            lastBlocks: state.lastBlocks
+        };
+    } catch (error) {
+        console.error('❌ Finalizer error:', error);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+// A finalizeTx still in flight when the server stopped is settled by
+// txManager.resume(); record it if it went through. One that did not is
+// still tracked and tried again on the next run.
+txManager.onSettled('finalize', async record => {
+    if (record.status !== 'confirmed') {
+        return;
+    }
+    const [tx] = await storage.history.find({ status: 'submitted', onChainTxId: record.reference });
+    if (!tx) {
+        return;
+    }
+
+    const onChain = await contractManager.forNetwork(networks.forRecord(record)).getOfflineTransaction(record.reference);
+    await storage.history.update(tx.id, {
+        status: 'finalized',
+        finalizedAt: onChain.success ? new Date(onChain.transaction.finalizedAt * 1000).toISOString() : record.settledAt,
+        finalizedBlock: record.blockNumber,
+        finalizeTxHash: record.txHash
+    });
+    console.log(`✅ Resumed finalize of ${tx.id} confirmed in block ${record.blockNumber}`);
+});
+
+// Start the background worker
+function start(intervalMs = INTERVAL_MS) {
+    if (timer) {
+        return;
+    }
+
+    console.log(`⏱  Finalizer running every ${Math.round(intervalMs / 1000)}s`);
+    timer = setInterval(runOnce, intervalMs);
+    runOnce();
+}
+
+// Stop the background worker
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Current worker state for status reporting
+async function getStatus() {
+    const state = await loadState();
+    return {
+        running: !!timer,
+        intervalMs: INTERVAL_MS,
+        lastRunAt: state.lastRunAt,
+        lastBlocks: state.lastBlocks,
+        pending: Object.entries(state.tracked).map(([onChainTxId, entry]) => ({
+            onChainTxId,
+            ...entry
+        }))
+    };
+}
+
+module.exports = {
+    start,
+    stop,
+    runOnce,
+    getStatus
+};
+
+// CLI usage (for testing against a local Hardhat node after evm_increaseTime)
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'run':
+            runOnce().then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'status':
+            getStatus().then(status => {
+                console.log(JSON.stringify(status, null, 2));
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  run       Finalize every eligible transaction once');
+            console.log('  status    Show tracked transactions');
+    }
+}
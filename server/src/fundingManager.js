@@ -0,0 +1,200 @@
+// Funding Manager
+// Admin top-ups of user token balances, with per-network caps and a persisted ledger.
+// Each top-up is reserved in the ledger as pending before any tokens are
+// minted, so concurrent requests cannot overshoot a cap.
+
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const contractManager = require('./contractManager');
+const networks = require('./networks');
+const storage = require('./storage');
+const txManager = require('./txManager');
+require('dotenv').config();
+
+// Caps apply to each network over a rolling 24 hours
+const MAX_PER_ADDRESS = parseFloat(process.env.FUNDING_MAX_PER_ADDRESS) || 1000;
+const DAILY_LIMIT = parseFloat(process.env.FUNDING_DAILY_LIMIT) || 10000;
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cap checks and reservations run one at a time
+let reserving = Promise.resolve();
+
+function withReservationLock(fn) {
+    const run = reserving.then(fn);
+    reserving = run.catch(() => {});
+    return run;
+}
+
+// Pending and confirmed entries count towards the caps; failed ones do not
+async function getRecentTotals(address, network) {
+    const since = Date.now() - WINDOW_MS;
+    const entries = await storage.funding.find([{ status: 'pending' }, { status: 'confirmed' }]);
+    const recent = entries.filter(entry =>
+        new Date(entry.createdAt).getTime() >= since &&
+        networks.forRecord(entry) === network
+    );
+
+    const sum = list => list.reduce((total, entry) => total + entry.amount, 0);
+    return {
+        address: sum(recent.filter(entry => entry.address.toLowerCase() === address.toLowerCase())),
+        total: sum(recent)
+    };
+}
+
+// Funded amounts and what is left under each cap for an address on a network
+async function getLimits(address, network = networks.getDefault()) {
+    const totals = await getRecentTotals(address, network);
+    return {
+        network: network.id,
+        maxPerAddress: MAX_PER_ADDRESS,
+        dailyLimit: DAILY_LIMIT,
+        fundedToAddress: totals.address,
+        fundedTotal: totals.total,
+        remainingForAddress: Math.max(0, MAX_PER_ADDRESS - totals.address),
+        remainingToday: Math.max(0, DAILY_LIMIT - totals.total)
+    };
+}
+
+function limitError(message) {
+    return { success: false, code: 'LIMIT_EXCEEDED', error: message };
+}
+
+// Mint amount tokens to address on a network on behalf of an admin
+async function fundAddress(address, amount, requestedBy, reason = null, network = networks.getDefault()) {
+    try {
+        if (!ethers.isAddress(address)) {
+            return { success: false, code: 'INVALID_ADDRESS', error: 'Invalid address' };
+        }
+        amount = parseFloat(amount);
+        if (!(amount > 0)) {
+            return { success: false, code: 'INVALID_AMOUNT', error: 'Amount must be greater than 0' };
+        }
+        address = ethers.getAddress(address);
+
+        const chain = contractManager.forNetwork(network);
+        if (!chain.hasToken()) {
+            return { success: false, code: 'TOKEN_NOT_CONFIGURED', error: `No token address configured for ${network.id}` };
+        }
+
+        const reservation = await withReservationLock(async () => {
+            const limits = await getLimits(address, network);
+            if (amount > limits.remainingForAddress) {
+                return limitError(`Funding cap for ${address} on ${network.id} is ${MAX_PER_ADDRESS} tokens per 24h; ${limits.remainingForAddress} remaining`);
+            }
+            if (amount > limits.remainingToday) {
+                return limitError(`Daily funding cap on ${network.id} is ${DAILY_LIMIT} tokens; ${limits.remainingToday} remaining`);
+            }
+
+            const entry = {
+                id: uuidv4(),
+                network: network.id,
+                address: address,
+                amount: amount,
+                status: 'pending',
+                requestedBy: requestedBy,
+                reason: reason,
+                createdAt: new Date().toISOString()
+            };
+            await storage.funding.insert(entry);
+            return { success: true, entry };
+        });
+
+        if (!reservation.success) {
+            return reservation;
+        }
+        const { entry } = reservation;
+
+        console.log(`💸 Funding ${address} with ${amount} tokens on ${network.id} (requested by ${requestedBy})`);
+        const result = await chain.fundNewUser(address, amount, { purpose: 'funding', reference: entry.id });
+
+        if (!result.success) {
+            await storage.funding.update(entry.id, {
+                status: 'failed',
+                error: result.error,
+                completedAt: new Date().toISOString()
+            });
+            return { success: false, code: 'FUNDING_FAILED', error: result.error };
+        }
+
+        const confirmed = await storage.funding.update(entry.id, {
+            status: 'confirmed',
+            txHash: result.txHash,
+            blockNumber: result.blockNumber,
+            completedAt: new Date().toISOString()
+        });
+
+        const balance = await chain.getTokenBalance(address);
+        console.log(`✅ Funded ${address} with ${amount} tokens: ${result.txHash}`);
+
+        return {
+            success: true,
+            entry: confirmed,
+            newBalance: balance.success ? balance.balance : null
+        };
+    } catch (error) {
+        console.error('Funding error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// A top-up still in flight when the server stopped is settled by
+// txManager.resume(); record how it ended
+txManager.onSettled('funding', async record => {
+    await storage.funding.update(record.reference, entry => {
+        if (entry.status !== 'pending') {
+            return;
+        }
+        entry.status = record.status === 'confirmed' ? 'confirmed' : 'failed';
+        entry.txHash = record.txHash;
+        entry.blockNumber = record.blockNumber;
+        entry.error = record.status === 'confirmed' ? undefined : (record.error || `Transaction ${record.status}`);
+        entry.completedAt = record.settledAt;
+    });
+});
+
+// Ledger entries, newest first
+async function getLedger({ address, status, network, limit = 100 } = {}) {
+    const filter = {};
+    if (address) filter.address = address;
+    if (status) filter.status = status;
+
+    const entries = await storage.funding.find(filter);
+    return entries
+        .filter(entry => !network || networks.forRecord(entry) === network)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+module.exports = {
+    MAX_PER_ADDRESS,
+    DAILY_LIMIT,
+    fundAddress,
+    getLimits,
+    getLedger
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'ledger':
+            getLedger({ address: process.argv[3] }).then(async entries => {
+                console.log(JSON.stringify(entries, null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'limits':
+            getLimits(process.argv[3] || ethers.ZeroAddress, networks.resolve(process.argv[4]) || networks.getDefault()).then(async limits => {
+                console.log(JSON.stringify(limits, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  ledger [address]              Show funding ledger entries');
+            console.log('  limits [address] [network]    Show funding caps and what remains');
+    }
+}
@@ -0,0 +1,245 @@
+// Gas Sponsorship
+// Lets managed wallets that hold tokens but no native currency still send
+// them. GAS_SPONSORSHIP picks how:
+//   off    users pay their own gas (default)
+//   topup  the admin wallet first sends the user enough for the transaction
+//   relay  the user signs an EIP-2612 permit and the admin key sends permit
+//          and transferFrom, paying the gas (the token must support permit)
+// Whatever is spent on a user is recorded in the sponsorship ledger and capped
+// per user and per network over a rolling 24 hours. Spend is reserved as
+// pending before anything is sent, as in the funding ledger.
+
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const networks = require('./networks');
+const storage = require('./storage');
+const txManager = require('./txManager');
+require('dotenv').config();
+
+const MODES = ['off', 'topup', 'relay'];
+const MODE = (process.env.GAS_SPONSORSHIP || 'off').toLowerCase();
+if (!MODES.includes(MODE)) {
+    throw new Error(`Unknown GAS_SPONSORSHIP "${MODE}" (use ${MODES.join(', ')})`);
+}
+
+// Caps in the network's native currency
+const MAX_PER_USER_WEI = ethers.parseEther(process.env.GAS_SPONSOR_MAX_PER_USER || '0.01');
+const DAILY_LIMIT_WEI = ethers.parseEther(process.env.GAS_SPONSOR_DAILY_LIMIT || '0.5');
+// A top-up covers this many times the estimated cost, so fees rising a little
+// before the user's transaction is sent do not leave it short
+const TOPUP_MULTIPLIER = BigInt(parseInt(process.env.GAS_TOPUP_MULTIPLIER) || 2);
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cap checks and reservations run one at a time
+let reserving = Promise.resolve();
+
+function withReservationLock(fn) {
+    const run = reserving.then(fn);
+    reserving = run.catch(() => {});
+    return run;
+}
+
+function toEther(wei) {
+    return parseFloat(ethers.formatEther(wei));
+}
+
+function sumWei(entries) {
+    return entries.reduce((total, entry) => total + BigInt(entry.amountWei), 0n);
+}
+
+// Entries count with what they reserved or, once finished, what they
+// actually spent (a failed relay may still have paid for gas)
+async function getRecentEntries(network) {
+    const since = Date.now() - WINDOW_MS;
+    const entries = await storage.sponsorship.find({ network: network.id });
+    return entries.filter(entry => new Date(entry.createdAt).getTime() >= since);
+}
+
+async function getLimits(address, network = networks.getDefault()) {
+    const entries = await getRecentEntries(network);
+    const spentByAddress = sumWei(entries.filter(entry => entry.address.toLowerCase() === address.toLowerCase()));
+    const spentToday = sumWei(entries);
+    const remainingForAddress = MAX_PER_USER_WEI > spentByAddress ? MAX_PER_USER_WEI - spentByAddress : 0n;
+    const remainingToday = DAILY_LIMIT_WEI > spentToday ? DAILY_LIMIT_WEI - spentToday : 0n;
+
+    return {
+        mode: MODE,
+        network: network.id,
+        nativeCurrency: network.nativeCurrency,
+        address: address,
+        maxPerUser: toEther(MAX_PER_USER_WEI),
+        dailyLimit: toEther(DAILY_LIMIT_WEI),
+        spentByAddress: toEther(spentByAddress),
+        spentToday: toEther(spentToday),
+        remainingForAddress: toEther(remainingForAddress),
+        remainingToday: toEther(remainingToday),
+        remainingWei: (remainingForAddress < remainingToday ? remainingForAddress : remainingToday).toString()
+    };
+}
+
+// Reserve amountWei of sponsored gas for address, or fail with code
+// SPONSOR_LIMIT_EXCEEDED
+async function reserve(network, address, amountWei, mode) {
+    return withReservationLock(async () => {
+        const limits = await getLimits(address, network);
+        if (amountWei > BigInt(limits.remainingWei)) {
+            return {
+                success: false,
+                code: 'SPONSOR_LIMIT_EXCEEDED',
+                error: `Gas sponsorship on ${network.id} is capped at ${limits.maxPerUser} ${network.nativeCurrency} per user ` +
+                    `and ${limits.dailyLimit} in total per 24h; ${toEther(BigInt(limits.remainingWei))} left for ${address}`
+            };
+        }
+
+        const entry = {
+            id: uuidv4(),
+            network: network.id,
+            address: ethers.getAddress(address),
+            mode: mode,
+            amountWei: amountWei.toString(),
+            amount: toEther(amountWei),
+            status: 'pending',
+            txHashes: [],
+            createdAt: new Date().toISOString()
+        };
+        await storage.sponsorship.insert(entry);
+        return { success: true, entry };
+    });
+}
+
+// Record what a reservation actually cost
+async function complete(id, spentWei, txHashes) {
+    return storage.sponsorship.update(id, {
+        status: 'confirmed',
+        amountWei: spentWei.toString(),
+        amount: toEther(spentWei),
+        txHashes: txHashes,
+        completedAt: new Date().toISOString()
+    });
+}
+
+async function fail(id, error, spentWei = 0n, txHashes = []) {
+    return storage.sponsorship.update(id, {
+        status: 'failed',
+        amountWei: spentWei.toString(),
+        amount: toEther(spentWei),
+        txHashes: txHashes,
+        error: error.shortMessage || error.message,
+        completedAt: new Date().toISOString()
+    });
+}
+
+// Send address enough native currency for a transaction costing costWei
+// when it holds balanceWei
+async function topUp(network, address, costWei, balanceWei) {
+    const amountWei = costWei * TOPUP_MULTIPLIER - balanceWei;
+    const reservation = await reserve(network, address, amountWei, 'topup');
+    if (!reservation.success) {
+        return reservation;
+    }
+    const { entry } = reservation;
+
+    try {
+        console.log(`⛽ Topping up ${address} with ${ethers.formatEther(amountWei)} ${network.nativeCurrency} for gas`);
+        const { txHash, receipt } = await txManager.send(network, 'admin', { to: address, value: amountWei }, {
+            purpose: 'gas-topup',
+            reference: entry.id
+        });
+
+        return {
+            success: true,
+            entry: await complete(entry.id, amountWei + receipt.fee, [txHash]),
+            amount: toEther(amountWei),
+            txHash: txHash
+        };
+    } catch (error) {
+        console.error('Gas top-up error:', error.shortMessage || error.message);
+        await fail(entry.id, error, error.receipt ? error.receipt.fee : 0n);
+        return { success: false, code: 'TOPUP_FAILED', error: error.shortMessage || error.message };
+    }
+}
+
+// A top-up still in flight when the server stopped is settled by
+// txManager.resume(); record how it ended
+txManager.onSettled('gas-topup', async record => {
+    await storage.sponsorship.update(record.reference, entry => {
+        if (entry.status !== 'pending') {
+            return;
+        }
+        entry.status = record.status === 'confirmed' ? 'confirmed' : 'failed';
+        entry.txHashes = [record.txHash];
+        entry.completedAt = record.settledAt;
+    });
+});
+
+// Ledger entries, newest first
+async function getLedger({ address, status, network, limit = 100 } = {}) {
+    const filter = {};
+    if (address) filter.address = address;
+    if (status) filter.status = status;
+
+    const entries = await storage.sponsorship.find(filter);
+    return entries
+        .filter(entry => !network || entry.network === network.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+// All-time spend per user and network, largest first
+async function getTotals({ network } = {}) {
+    const entries = await getLedger({ network, limit: Infinity });
+    const totals = {};
+    for (const entry of entries) {
+        const id = `${entry.network}:${entry.address}`;
+        const total = totals[id] = totals[id] || {
+            network: entry.network,
+            address: entry.address,
+            spentWei: 0n,
+            count: 0,
+            lastSponsoredAt: entry.createdAt
+        };
+        total.spentWei += BigInt(entry.amountWei);
+        total.count++;
+    }
+
+    return Object.values(totals)
+        .sort((a, b) => (b.spentWei > a.spentWei ? 1 : b.spentWei < a.spentWei ? -1 : 0))
+        .map(total => ({ ...total, spent: toEther(total.spentWei), spentWei: total.spentWei.toString() }));
+}
+
+module.exports = {
+    MODE,
+    getLimits,
+    reserve,
+    complete,
+    fail,
+    topUp,
+    getLedger,
+    getTotals
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'totals':
+            getTotals({ network: process.argv[3] ? networks.resolve(process.argv[3]) : null }).then(async totals => {
+                console.log(JSON.stringify(totals, null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'limits':
+            getLimits(process.argv[3] || ethers.ZeroAddress, networks.resolve(process.argv[4]) || networks.getDefault()).then(async limits => {
+                console.log(JSON.stringify(limits, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  totals [network]             Gas sponsored per user');
+            console.log('  limits [address] [network]   Show sponsorship caps and what is left');
+    }
+}
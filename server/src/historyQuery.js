@@ -0,0 +1,347 @@
+// History Query
+// Filtered, cursor-paginated transaction history and period statements.
+//
+// Pages are ordered newest first by timestamp, then id. A cursor is the
+// position of the last record of a page, so records added meanwhile do not
+// shift the next page.
+//
+// A statement lists what moved a user's balances on one network in a period:
+//   token      online transfers and admin funding
+//   bridgepay  deposits, withdrawals and offline payments, which move
+//              BridgePay balances when they finalize
+// Closing balance is the current on-chain balance less recorded movements
+// since the period ended, and opening balance is closing less the period's
+// movements. Tokens that arrived without a record here (the sign-up grant,
+// transfers from other wallets) end up in the opening balance.
+
+const { ethers } = require('ethers');
+const contractManager = require('./contractManager');
+const networks = require('./networks');
+const storage = require('./storage');
+
+const MAX_PAGE_SIZE = 200;
+const DIRECTIONS = ['sent', 'received'];
+
+function filterError(message) {
+    return { success: false, code: 'INVALID_FILTER', error: message };
+}
+
+function encodeCursor(record) {
+    return Buffer.from(JSON.stringify({ t: record.timestamp, id: record.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return typeof t === 'string' && typeof id === 'string' ? { t, id } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseDate(value, name) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`${name} must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`);
+    }
+    return time;
+}
+
+function parseAmount(value, name) {
+    try {
+        return ethers.parseEther(String(value));
+    } catch (error) {
+        throw new Error(`${name} must be a decimal amount`);
+    }
+}
+
+function list(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Filters from query parameters: from, to (dates), direction, type and
+// status (comma-separated), minAmount, maxAmount, cursor and limit.
+// Returns { success, filters } or an INVALID_FILTER error.
+function parseFilters(query) {
+    try {
+        const filters = {
+            from: query.from ? parseDate(query.from, 'from') : null,
+            to: query.to ? parseDate(query.to, 'to') : null,
+            direction: query.direction || null,
+            types: query.type ? list(query.type) : null,
+            statuses: query.status ? list(query.status) : null,
+            minAmount: query.minAmount !== undefined ? parseAmount(query.minAmount, 'minAmount') : null,
+            maxAmount: query.maxAmount !== undefined ? parseAmount(query.maxAmount, 'maxAmount') : null,
+            cursor: null,
+            limit: Math.min(parseInt(query.limit) || 20, MAX_PAGE_SIZE)
+        };
+
+        if (filters.direction && !DIRECTIONS.includes(filters.direction)) {
+            return filterError(`direction must be one of ${DIRECTIONS.join(', ')}`);
+        }
+        if (query.cursor) {
+            filters.cursor = decodeCursor(query.cursor);
+            if (!filters.cursor) {
+                return filterError('cursor is not valid');
+            }
+        }
+        if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+            return filterError('from must not be after to');
+        }
+        return { success: true, filters };
+    } catch (error) {
+        return filterError(error.message);
+    }
+}
+
+function isSame(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function toUnits(amount, decimals) {
+    try {
+        return ethers.parseUnits(String(amount), decimals);
+    } catch (error) {
+        return null;
+    }
+}
+
+function amountWei(record) {
+    try {
+        return record.amountWei ? BigInt(record.amountWei) : ethers.parseEther(String(record.amount));
+    } catch (error) {
+        return null;
+    }
+}
+
+function compareNewestFirst(a, b) {
+    const byTime = new Date(b.timestamp) - new Date(a.timestamp);
+    return byTime !== 0 ? byTime : (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+function matches(record, address, filters, network) {
+    const time = new Date(record.timestamp).getTime();
+    const amount = amountWei(record);
+
+    if (network && networks.forRecord(record) !== network) return false;
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time > filters.to) return false;
+    if (filters.direction === 'sent' && !isSame(record.from, address)) return false;
+    if (filters.direction === 'received' && !isSame(record.to, address)) return false;
+    if (filters.types && !filters.types.includes(record.type)) return false;
+    if (filters.statuses && !filters.statuses.includes(record.status)) return false;
+    if (filters.minAmount !== null && (amount === null || amount < filters.minAmount)) return false;
+    if (filters.maxAmount !== null && (amount === null || amount > filters.maxAmount)) return false;
+    return true;
+}
+
+// A page of an address's history. Returns { transactions, nextCursor }
+// (nextCursor null on the last page).
+async function query(address, filters, network = null) {
+    const records = await storage.history.find([
+        { from: address },
+        { to: address },
+        { fromUserId: address },
+        { toUserId: address }
+    ]);
+
+    let ordered = records
+        .filter(record => matches(record, address, filters, network))
+        .sort(compareNewestFirst);
+
+    if (filters.cursor) {
+        const after = { timestamp: filters.cursor.t, id: filters.cursor.id };
+        ordered = ordered.filter(record => compareNewestFirst(after, record) < 0);
+    }
+
+    const page = ordered.slice(0, filters.limit);
+    return {
+        transactions: page,
+        nextCursor: ordered.length > filters.limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+// Balance movements of address on network recorded by this server, oldest first
+async function getMovements(address, network, tokenDecimals) {
+    const movements = [];
+    const records = (await storage.history.find([{ from: address }, { to: address }]))
+        .filter(record => networks.forRecord(record) === network);
+
+    for (const record of records) {
+        const sent = isSame(record.from, address);
+        const received = isSame(record.to, address);
+        let asset = null;
+        let at = null;
+
+        if (record.type === 'online' && record.status === 'confirmed') {
+            asset = 'token';
+            at = record.timestamp;
+        } else if ((record.type === 'deposit' || record.type === 'withdrawal') && record.status === 'completed') {
+            asset = 'bridgepay';
+            at = record.timestamp;
+        } else if (record.type && record.type.startsWith('offline') && record.status === 'finalized' && record.finalizedAt) {
+            asset = 'bridgepay';
+            at = record.finalizedAt;
+        }
+        const units = asset === 'token' ? toUnits(record.amount, tokenDecimals) : amountWei(record);
+        if (!asset || units === null) {
+            continue;
+        }
+
+        // Deposits are recorded as sent to the contract and withdrawals as
+        // received from it, the reverse of what they do to the BridgePay balance
+        let change = (received ? units : 0n) - (sent ? units : 0n);
+        if (record.type === 'deposit') {
+            change = units;
+        } else if (record.type === 'withdrawal') {
+            change = -units;
+        }
+
+        movements.push({
+            at: at,
+            id: record.id,
+            type: record.type,
+            direction: sent && received ? 'self' : (sent ? 'sent' : 'received'),
+            counterparty: sent ? record.to : record.from,
+            asset: asset,
+            amount: String(record.amount),
+            change: change,
+            status: record.status,
+            txHash: record.txHash || null,
+            invoiceId: record.invoiceId || null
+        });
+    }
+
+    // Admin top-ups from the funding ledger
+    const funding = await storage.funding.find({ address: address, status: 'confirmed' });
+    for (const entry of funding.filter(entry => networks.forRecord(entry) === network)) {
+        const units = toUnits(entry.amount, tokenDecimals);
+        if (units === null) {
+            continue;
+        }
+        movements.push({
+            at: entry.completedAt || entry.createdAt,
+            id: entry.id,
+            type: 'funding',
+            direction: 'received',
+            counterparty: null,
+            asset: 'token',
+            amount: String(entry.amount),
+            change: units,
+            status: entry.status,
+            txHash: entry.txHash || null,
+            invoiceId: null
+        });
+    }
+
+    return movements.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// Statement of address's balances on network between from and to (ms).
+// Returns { success, statement } or an error.
+async function buildStatement(address, network, from, to) {
+    const chain = contractManager.forNetwork(network);
+    const [tokenResult, contractResult] = await Promise.all([
+        chain.hasToken() ? chain.getTokenBalance(address) : null,
+        network.bridgePayAddress ? chain.getContractBalance(address) : null
+    ]);
+    const failed = [tokenResult, contractResult].find(result => result && !result.success);
+    if (failed) {
+        return { success: false, code: 'BALANCE_UNAVAILABLE', error: `Could not read balances on ${network.id}: ${failed.error}` };
+    }
+
+    const decimals = tokenResult ? tokenResult.decimals : 18;
+    const assets = {
+        token: { decimals, current: tokenResult ? BigInt(tokenResult.balanceRaw) : 0n },
+        bridgepay: { decimals: 18, current: contractResult ? BigInt(contractResult.balanceWei) : 0n }
+    };
+
+    const movements = await getMovements(address, network, decimals);
+    const inPeriod = movements.filter(movement => {
+        const time = new Date(movement.at).getTime();
+        return time >= from && time <= to;
+    });
+    const sum = (asset, list) => list
+        .filter(movement => movement.asset === asset)
+        .reduce((total, movement) => total + movement.change, 0n);
+
+    const balances = {};
+    const running = {};
+    for (const [asset, info] of Object.entries(assets)) {
+        const after = movements.filter(movement => new Date(movement.at).getTime() > to);
+        const closing = info.current - sum(asset, after);
+        const opening = closing - sum(asset, inPeriod);
+        running[asset] = opening;
+        balances[asset] = {
+            opening: ethers.formatUnits(opening, info.decimals),
+            credits: ethers.formatUnits(inPeriod
+                .filter(movement => movement.asset === asset && movement.change > 0n)
+                .reduce((total, movement) => total + movement.change, 0n), info.decimals),
+            debits: ethers.formatUnits(-inPeriod
+                .filter(movement => movement.asset === asset && movement.change < 0n)
+                .reduce((total, movement) => total + movement.change, 0n), info.decimals),
+            closing: ethers.formatUnits(closing, info.decimals)
+        };
+    }
+
+    const entries = inPeriod.map(movement => {
+        running[movement.asset] += movement.change;
+        const { decimals } = assets[movement.asset];
+        return {
+            ...movement,
+            change: ethers.formatUnits(movement.change, decimals),
+            balance: ethers.formatUnits(running[movement.asset], decimals)
+        };
+    });
+
+    return {
+        success: true,
+        statement: {
+            address: address,
+            network: network.id,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            generatedAt: new Date().toISOString(),
+            assets: {
+                token: tokenResult ? (chain.TOKEN_ADDRESS || null) : null,
+                bridgepay: network.nativeCurrency
+            },
+            balances: balances,
+            entries: entries
+        }
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Statement as CSV, framed by opening and closing balance rows per asset
+function toCsv(statement) {
+    const columns = ['date', 'id', 'type', 'direction', 'counterparty', 'asset', 'amount', 'change', 'balance', 'status', 'tx_hash', 'invoice_id'];
+    const rows = [columns];
+
+    for (const [asset, balance] of Object.entries(statement.balances)) {
+        rows.push([statement.from, '', 'opening_balance', '', '', asset, '', '', balance.opening, '', '', '']);
+    }
+    for (const entry of statement.entries) {
+        rows.push([
+            entry.at, entry.id, entry.type, entry.direction, entry.counterparty, entry.asset,
+            entry.amount, entry.change, entry.balance, entry.status, entry.txHash, entry.invoiceId
+        ]);
+    }
+    for (const [asset, balance] of Object.entries(statement.balances)) {
+        rows.push([statement.to, '', 'closing_balance', '', '', asset, '', '', balance.closing, '', '', '']);
+    }
+
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    parseFilters,
+    query,
+    buildStatement,
+    toCsv
+};
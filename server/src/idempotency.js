@@ -0,0 +1,198 @@
+// Idempotency
+// Lets clients on flaky connections retry a request without it taking effect
+// twice. A request with an Idempotency-Key header (or, where a route allows
+// it, a clientTxId in the body) takes effect once; its response is kept for
+// IDEMPOTENCY_TTL_HOURS and sent again for any retry with the same key and
+// body (see isFinal for which responses are kept). A key reused with a
+// different body is rejected.
+//
+// Keys are scoped to the route and the signed-in user. Only a hash of the key
+// is stored, and the response is encrypted with a key derived from it, since
+// some responses (registration) carry tokens and a mnemonic.
+
+const crypto = require('crypto');
+const storage = require('./storage');
+require('dotenv').config();
+
+const TTL_MS = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still running after this long is taken to have died with its
+// process, and a retry may run it again
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Responses a retry gets back: ones that took effect (2xx) and conflicts
+// (409, 422) that sending the request again cannot change. Anything else,
+// such as a payment refused for insufficient funds, a server error or a rate
+// limit, may succeed later, so the key is released and a retry runs again.
+function isFinal(statusCode) {
+    return (statusCode >= 200 && statusCode < 300) || statusCode === 409 || statusCode === 422;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+// The same JSON whatever order the client put the fields in
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Keyed by the idempotency key, so a stored fingerprint of a body holding a
+// password cannot be tested against guesses without it
+function fingerprint(key, body) {
+    return crypto.createHmac('sha256', key).update(canonical(body || {})).digest('hex');
+}
+
+function encrypt(key, response) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sha256(`response:${key}`), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(response), 'utf8'), cipher.final()]);
+    return { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('hex') };
+}
+
+function decrypt(key, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sha256(`response:${key}`), Buffer.from(sealed.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+    const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'hex')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+function isExpired(record, now) {
+    return new Date(record.expiresAt).getTime() <= now ||
+        (record.status === 'processing' && new Date(record.startedAt).getTime() + PROCESSING_TIMEOUT_MS <= now);
+}
+
+async function pruneExpired() {
+    const now = Date.now();
+    for (const record of await storage.idempotencyKeys.all()) {
+        if (new Date(record.expiresAt).getTime() <= now) {
+            await storage.idempotencyKeys.remove(record.id);
+        }
+    }
+}
+
+// Claim key for a request. Returns { claimed: true }, { response } for a
+// retry of a finished request, or { conflict } with an error code.
+async function claim(id, scope, requestHash) {
+    const now = Date.now();
+    const fresh = {
+        id: id,
+        scope: scope,
+        requestHash: requestHash,
+        status: 'processing',
+        response: null,
+        startedAt: new Date(now).toISOString(),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TTL_MS).toISOString()
+    };
+
+    try {
+        await pruneExpired();
+        await storage.idempotencyKeys.insert(fresh);
+        return { claimed: true };
+    } catch (error) {
+        if (error.code !== 'DUPLICATE') {
+            throw error;
+        }
+    }
+
+    // Taking over an expired or abandoned key is checked and written at once
+    let claimed = false;
+    const existing = await storage.idempotencyKeys.update(id, record => {
+        if (isExpired(record, now)) {
+            Object.assign(record, fresh);
+            claimed = true;
+        }
+    });
+    if (claimed) {
+        return { claimed: true };
+    }
+    if (!existing) {
+        // Pruned in the meantime
+        return claim(id, scope, requestHash);
+    }
+
+    if (existing.requestHash !== requestHash) {
+        return { conflict: 'IDEMPOTENCY_KEY_REUSED' };
+    }
+    if (existing.status === 'processing') {
+        return { conflict: 'IDEMPOTENCY_KEY_IN_USE' };
+    }
+    return { response: existing.response };
+}
+
+// Express middleware making a route idempotent. scope names the route;
+// options.bodyKey names a body field used as the key when there is no header.
+function middleware(scope, options = {}) {
+    return async (req, res, next) => {
+        try {
+            const key = req.get('Idempotency-Key') || (options.bodyKey && req.body && req.body[options.bodyKey]);
+            if (!key) {
+                return next();
+            }
+            if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'INVALID_IDEMPOTENCY_KEY',
+                    message: `Idempotency key must be text of at most ${MAX_KEY_LENGTH} characters`
+                });
+            }
+
+            const owner = req.user ? req.user.username : '';
+            const id = sha256(`${scope}\n${owner}\n${key}`).toString('hex');
+            const result = await claim(id, scope, fingerprint(key, req.body));
+
+            if (result.conflict === 'IDEMPOTENCY_KEY_REUSED') {
+                console.log(`❌ Idempotency key reused with a different request (${scope})`);
+                return res.status(422).json({
+                    success: false,
+                    code: result.conflict,
+                    message: 'This idempotency key was already used for a different request'
+                });
+            }
+            if (result.conflict === 'IDEMPOTENCY_KEY_IN_USE') {
+                return res.status(409).json({
+                    success: false,
+                    code: result.conflict,
+                    message: 'A request with this idempotency key is still being processed; retry shortly'
+                });
+            }
+            if (result.response) {
+                console.log(`🔁 Replaying ${scope} response for a repeated idempotency key`);
+                const { statusCode, body } = decrypt(key, result.response);
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(statusCode).json(body);
+            }
+
+            // Keep the response before sending it, so a retry that follows it
+            // finds it stored
+            const json = res.json.bind(res);
+            res.json = body => {
+                const settle = isFinal(res.statusCode)
+                    ? storage.idempotencyKeys.update(id, {
+                        status: 'completed',
+                        response: encrypt(key, { statusCode: res.statusCode, body }),
+                        completedAt: new Date().toISOString()
+                    })
+                    : storage.idempotencyKeys.remove(id);
+                settle.catch(error => {
+                    console.error(`❌ Could not store ${scope} response for its idempotency key:`, error.message);
+                }).then(() => json(body));
+                return res;
+            };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    middleware
+};
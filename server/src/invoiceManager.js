@@ -0,0 +1,300 @@
+// Invoice Manager
+// Payment requests created by merchants. An invoice is open until a matching
+// payment arrives (paid), its expiry passes (expired) or the merchant cancels
+// it (cancelled). A relayed offline payment can still be disputed or expire
+// before BridgePay finalizes it, so until then the invoice is
+// pending_settlement; it is paid once the payment finalizes, and open again
+// (or expired) if it does not.
+//
+// Payments are matched as they are written to history:
+//   online   /api/transaction/send with invoiceId stores it on the record
+//   offline  /api/transaction/prepare with invoiceId signs the invoice's own
+//            clientTxId, so the relayed payment carries it on chain and
+//            BridgePay accepts only one payment per invoice
+// A payment that arrives for an invoice that is no longer open, or is short,
+// is kept in the invoice's otherPayments so the merchant can refund it.
+
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const networks = require('./networks');
+const storage = require('./storage');
+require('dotenv').config();
+
+const STATUSES = ['open', 'pending_settlement', 'paid', 'expired', 'cancelled'];
+// History statuses an offline payment settles with, and ones it never will
+const SETTLED_STATUS = 'finalized';
+const UNSETTLED_STATUSES = ['disputed', 'expired', 'failed'];
+const DEFAULT_EXPIRY_MINUTES = parseInt(process.env.INVOICE_EXPIRY_MINUTES) || 24 * 60;
+const MAX_EXPIRY_MINUTES = 30 * 24 * 60;
+const MAX_MEMO_LENGTH = 140;
+const MAX_REFERENCE_LENGTH = 64;
+const URI_SCHEME = 'bridgepay';
+
+function invoiceError(code, error) {
+    return { success: false, code, error };
+}
+
+// Amounts are decimal strings; 18 decimals covers BridgePay and the token
+function toWei(amount) {
+    return ethers.parseEther(amount.toString());
+}
+
+// Shareable URI with everything a wallet needs to pay; also the QR payload
+function paymentUri(invoice) {
+    const params = new URLSearchParams({
+        invoice: invoice.id,
+        amount: invoice.amount,
+        network: invoice.network
+    });
+    if (invoice.memo) {
+        params.set('memo', invoice.memo);
+    }
+    return `${URI_SCHEME}:${invoice.merchant}?${params}`;
+}
+
+function withUri(invoice) {
+    return { ...invoice, uri: paymentUri(invoice) };
+}
+
+// Open invoices past their expiry are marked expired when next read
+async function refresh(invoice) {
+    if (invoice.status !== 'open' || new Date(invoice.expiresAt).getTime() > Date.now()) {
+        return invoice;
+    }
+    return storage.invoices.update(invoice.id, record => {
+        if (record.status === 'open') {
+            record.status = 'expired';
+        }
+    });
+}
+
+async function create(merchant, { amount, memo, reference, expiresInMinutes, network = networks.getDefault() }) {
+    let amountWei;
+    try {
+        amountWei = toWei(amount);
+    } catch (error) {
+        amountWei = 0n;
+    }
+    if (amountWei <= 0n) {
+        return invoiceError('INVALID_AMOUNT', 'Amount must be a number greater than 0');
+    }
+
+    const minutes = expiresInMinutes === undefined ? DEFAULT_EXPIRY_MINUTES : Number(expiresInMinutes);
+    if (!(minutes > 0 && minutes <= MAX_EXPIRY_MINUTES)) {
+        return invoiceError('INVALID_EXPIRY', `expiresInMinutes must be between 1 and ${MAX_EXPIRY_MINUTES}`);
+    }
+    if (memo && (typeof memo !== 'string' || memo.length > MAX_MEMO_LENGTH)) {
+        return invoiceError('INVALID_MEMO', `Memo must be text of at most ${MAX_MEMO_LENGTH} characters`);
+    }
+    if (reference && (typeof reference !== 'string' || reference.length > MAX_REFERENCE_LENGTH)) {
+        return invoiceError('INVALID_REFERENCE', `Reference must be text of at most ${MAX_REFERENCE_LENGTH} characters`);
+    }
+
+    const now = Date.now();
+    const invoice = {
+        id: uuidv4(),
+        merchant: merchant.address,
+        merchantUser: merchant.username,
+        network: network.id,
+        amount: ethers.formatEther(amountWei),
+        amountWei: amountWei.toString(),
+        memo: memo || null,
+        reference: reference || null,
+        // Signed as the clientTxId of an offline payment for this invoice
+        clientTxId: ethers.hexlify(ethers.randomBytes(32)),
+        status: 'open',
+        payment: null,
+        otherPayments: [],
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + minutes * 60 * 1000).toISOString()
+    };
+
+    await storage.invoices.insert(invoice);
+    console.log(`🧾 Invoice ${invoice.id} created by ${merchant.username} for ${invoice.amount}`);
+    return { success: true, invoice: withUri(invoice) };
+}
+
+async function get(id) {
+    const invoice = await storage.invoices.get(id);
+    return invoice ? withUri(await refresh(invoice)) : null;
+}
+
+// An invoice that can still be paid, or an error code
+async function getPayable(id) {
+    const invoice = await get(id);
+    if (!invoice) {
+        return invoiceError('INVOICE_NOT_FOUND', 'Invoice not found');
+    }
+    if (invoice.status !== 'open') {
+        return invoiceError(`INVOICE_${invoice.status.toUpperCase()}`, `Invoice is ${invoice.status}`);
+    }
+    return { success: true, invoice };
+}
+
+// A merchant's invoices, newest first
+async function list(merchant, { status, reference, network, limit = 100 } = {}) {
+    const invoices = await Promise.all(
+        (await storage.invoices.find({ merchant: merchant })).map(refresh)
+    );
+    return invoices
+        .filter(invoice => !status || invoice.status === status)
+        .filter(invoice => !reference || invoice.reference === reference)
+        .filter(invoice => !network || invoice.network === network.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit)
+        .map(withUri);
+}
+
+async function cancel(id) {
+    const invoice = await get(id);
+    if (!invoice) {
+        return invoiceError('INVOICE_NOT_FOUND', 'Invoice not found');
+    }
+
+    let cancelled = false;
+    const updated = await storage.invoices.update(id, record => {
+        if (record.status === 'open') {
+            record.status = 'cancelled';
+            record.cancelledAt = new Date().toISOString();
+            cancelled = true;
+        }
+    });
+    if (!cancelled) {
+        return invoiceError('INVOICE_NOT_OPEN', `Invoice is ${updated.status}`);
+    }
+    return { success: true, invoice: withUri(updated) };
+}
+
+// Match a payment written to history to the invoice it pays, if any.
+// Returns the updated invoice or null.
+async function matchTransaction(tx) {
+    try {
+        let invoice = null;
+        if (tx.invoiceId) {
+            invoice = await storage.invoices.get(tx.invoiceId);
+        } else if (tx.clientTxId) {
+            [invoice] = await storage.invoices.find({ clientTxId: tx.clientTxId });
+        }
+        if (!invoice || networks.forRecord(tx) !== networks.forRecord(invoice) ||
+            tx.to.toLowerCase() !== invoice.merchant.toLowerCase()) {
+            return null;
+        }
+
+        const payment = {
+            transactionId: tx.id,
+            type: tx.type === 'online' ? 'online' : 'offline',
+            from: tx.from,
+            amount: tx.amount.toString(),
+            txHash: tx.txHash || null,
+            onChainTxId: tx.onChainTxId || null,
+            paidAt: tx.timestamp
+        };
+        // An offline payment counts from when it was made, not relayed
+        const lateAt = new Date(invoice.expiresAt).getTime();
+
+        const updated = await storage.invoices.update(invoice.id, record => {
+            const known = [record.payment, ...record.otherPayments]
+                .some(other => other && other.transactionId === tx.id);
+            if (known) {
+                return;
+            }
+
+            let reason = null;
+            if (record.status !== 'open' && record.status !== 'expired') {
+                reason = `INVOICE_${record.status.toUpperCase()}`;
+            } else if (new Date(payment.paidAt).getTime() > lateAt) {
+                reason = 'INVOICE_EXPIRED';
+            } else if (toWei(payment.amount) < BigInt(record.amountWei)) {
+                reason = 'UNDERPAID';
+            }
+
+            if (reason) {
+                record.otherPayments.push({ ...payment, reason });
+            } else if (payment.type === 'offline' && tx.status !== SETTLED_STATUS) {
+                record.status = 'pending_settlement';
+                record.payment = payment;
+            } else {
+                record.status = 'paid';
+                record.payment = payment;
+                record.paidAt = payment.paidAt;
+            }
+        });
+
+        if (updated.payment && updated.payment.transactionId === tx.id) {
+            console.log(`🧾 Invoice ${invoice.id} ${updated.status === 'paid' ? 'paid' : 'awaiting settlement of a payment'} by ${tx.from}`);
+            await storage.history.update(tx.id, { invoiceId: invoice.id });
+        } else {
+            console.log(`⚠ Payment ${tx.id} for invoice ${invoice.id} not applied`);
+        }
+        return withUri(updated);
+    } catch (error) {
+        // The invoice stays open; the payment is still in history
+        console.error(`❌ Could not match ${tx.id} to an invoice:`, error.message);
+        return null;
+    }
+}
+
+// Settle or reopen the invoice an offline payment is pending for, once the
+// payment's history record finalizes or is disputed, expires or fails
+async function settlePayment(collection, tx) {
+    if (collection !== 'history' || (tx.status !== SETTLED_STATUS && !UNSETTLED_STATUSES.includes(tx.status))) {
+        return;
+    }
+    let invoice = null;
+    if (tx.invoiceId) {
+        invoice = await storage.invoices.get(tx.invoiceId);
+    } else if (tx.clientTxId) {
+        [invoice] = await storage.invoices.find({ clientTxId: tx.clientTxId });
+    }
+    if (!invoice || invoice.status !== 'pending_settlement' || invoice.payment.transactionId !== tx.id) {
+        return;
+    }
+
+    const updated = await storage.invoices.update(invoice.id, record => {
+        if (record.status !== 'pending_settlement' || record.payment.transactionId !== tx.id) {
+            return;
+        }
+        if (tx.status === SETTLED_STATUS) {
+            record.status = 'paid';
+            record.paidAt = record.payment.paidAt;
+            record.settledAt = tx.finalizedAt || new Date().toISOString();
+        } else {
+            // Expired on its next read if it is past its expiry
+            record.otherPayments.push({ ...record.payment, reason: `PAYMENT_${tx.status.toUpperCase()}` });
+            record.status = 'open';
+            record.payment = null;
+        }
+    });
+    console.log(`🧾 Invoice ${invoice.id} ${updated.status === 'paid' ? 'paid' : 'reopened'}: payment ${tx.id} ${tx.status}`);
+}
+
+storage.onStatusChange(settlePayment);
+
+module.exports = {
+    STATUSES,
+    paymentUri,
+    create,
+    get,
+    getPayable,
+    list,
+    cancel,
+    matchTransaction
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'list':
+            list(process.argv[3], { status: process.argv[4] }).then(async invoices => {
+                console.log(JSON.stringify(invoices, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  list <merchant address> [status]    Show a merchant\'s invoices');
+    }
+}
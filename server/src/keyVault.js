@@ -0,0 +1,116 @@
+// Key Vault
+// Password-based encryption of users' private keys and mnemonics
+//
+// Version 2 (current): scrypt with a random salt per value and tunable cost,
+// then AES-256-GCM. Stored as an object that carries its own parameters, so
+// the cost can be raised later without breaking existing records:
+//   { version, kdf, kdfParams: { N, r, p, salt }, cipher, iv, tag, ciphertext }
+//
+// Version 1 (legacy): "iv:ciphertext" hex string, AES-256-CBC under
+// scrypt(password, 'salt'). Still readable; upgraded on the next login.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+require('dotenv').config();
+
+const scrypt = promisify(crypto.scrypt);
+
+const VAULT_VERSION = 2;
+
+// Raise these as hardware allows; records made with lower values are
+// re-encrypted on the owner's next login
+const KDF_PARAMS = {
+    N: parseInt(process.env.VAULT_SCRYPT_N) || 2 ** 15,
+    r: parseInt(process.env.VAULT_SCRYPT_R) || 8,
+    p: parseInt(process.env.VAULT_SCRYPT_P) || 1
+};
+
+function deriveKey(password, salt, { N, r, p }) {
+    // Node's default 32 MB limit is too small for N above 2^14
+    return scrypt(password, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+// Encrypt text under a password in the current vault format
+async function encrypt(text, password) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(password, salt, KDF_PARAMS);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return {
+        version: VAULT_VERSION,
+        kdf: 'scrypt',
+        kdfParams: { ...KDF_PARAMS, salt: salt.toString('hex') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        ciphertext: ciphertext.toString('hex')
+    };
+}
+
+async function decryptLegacy(encryptedData, password) {
+    const parts = encryptedData.split(':');
+    const iv = Buffer.from(parts[0], 'hex');
+    const key = await scrypt(password, 'salt', 32);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+    let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+}
+
+async function decryptV2(vault, password) {
+    const { salt, ...params } = vault.kdfParams;
+    const key = await deriveKey(password, Buffer.from(salt, 'hex'), params);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(vault.tag, 'hex'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(vault.ciphertext, 'hex')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+function getVersion(vault) {
+    return typeof vault === 'string' ? 1 : vault.version;
+}
+
+// Decrypt a value in any supported format. A wrong password (or tampered
+// ciphertext, which GCM detects) throws 'Invalid password'.
+async function decrypt(vault, password) {
+    const version = getVersion(vault);
+    if (version !== 1 && version !== VAULT_VERSION) {
+        throw new Error(`Unsupported key vault version: ${version}`);
+    }
+    if (version === VAULT_VERSION && (vault.kdf !== 'scrypt' || vault.cipher !== 'aes-256-gcm')) {
+        throw new Error(`Unsupported key vault: ${vault.kdf}/${vault.cipher}`);
+    }
+
+    try {
+        return version === 1
+            ? await decryptLegacy(vault, password)
+            : await decryptV2(vault, password);
+    } catch (error) {
+        throw new Error('Invalid password');
+    }
+}
+
+// True if a value should be re-encrypted: legacy format, or KDF cost below
+// the current settings
+function needsUpgrade(vault) {
+    if (getVersion(vault) < VAULT_VERSION) {
+        return true;
+    }
+    const params = vault.kdfParams || {};
+    return params.N < KDF_PARAMS.N || params.r < KDF_PARAMS.r || params.p < KDF_PARAMS.p;
+}
+
+module.exports = {
+    VAULT_VERSION,
+    KDF_PARAMS,
+    encrypt,
+    decrypt,
+    needsUpgrade,
+    getVersion
+};
@@ -0,0 +1,200 @@
+// Network Registry
+// The chains this server works with, read from blockchain_config.json:
+//
+//   {
+//     "defaultNetwork": "sepolia",
+//     "networks": [{
+//       "id": "sepolia",
+//       "name": "Sepolia",
+//       "chainId": 11155111,
+//       "rpcUrls": ["https://sepolia.infura.io/v3/${INFURA_API_KEY}", "https://rpc.sepolia.org"],
+//       "quorum": 1,
+//       "bridgePayAddress": "0x...",
+//       "tokenAddress": "0x...",
+//       "confirmations": 6,
+//       "startBlock": 0,
+//       "nativeCurrency": "ETH"
+//     }]
+//   }
+//
+// ${VAR} in an RPC URL is filled in from the environment, so API keys can stay
+// in .env. Several RPC URLs are tried in order; quorum is how many of them
+// must agree on a result (see rpcProvider.js). Without the file, a single network is built from RPC_URL,
+// CONTRACT_ADDRESS, TOKEN_ADDRESS, CHAIN_ID and NETWORK as before.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const CONFIG_FILE = process.env.BLOCKCHAIN_CONFIG || path.join(__dirname, '..', 'blockchain_config.json');
+
+const DEFAULT_CONFIRMATIONS = 6;
+
+function expandEnv(value) {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+}
+
+function configError(message) {
+    return new Error(`Invalid ${path.basename(CONFIG_FILE)}: ${message}`);
+}
+
+function optionalAddress(entry, field) {
+    const value = entry[field];
+    if (!value) {
+        return null;
+    }
+    if (!ethers.isAddress(value)) {
+        throw configError(`${entry.id}.${field} is not an address`);
+    }
+    return ethers.getAddress(value);
+}
+
+function normalize(entry) {
+    if (!entry.id || typeof entry.id !== 'string') {
+        throw configError('every network needs a string id');
+    }
+    const rpcUrls = (Array.isArray(entry.rpcUrls) ? entry.rpcUrls : [entry.rpcUrl])
+        .filter(Boolean)
+        .map(expandEnv);
+    if (rpcUrls.length === 0) {
+        throw configError(`${entry.id} has no rpcUrls`);
+    }
+    const quorum = entry.quorum !== undefined ? Number(entry.quorum) : 1;
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > rpcUrls.length) {
+        throw configError(`${entry.id}.quorum must be between 1 and the number of rpcUrls`);
+    }
+
+    return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        chainId: entry.chainId ? Number(entry.chainId) : null,
+        rpcUrls: rpcUrls,
+        quorum: quorum,
+        bridgePayAddress: optionalAddress(entry, 'bridgePayAddress'),
+        tokenAddress: optionalAddress(entry, 'tokenAddress'),
+        confirmations: entry.confirmations !== undefined ? Number(entry.confirmations) : DEFAULT_CONFIRMATIONS,
+        startBlock: Number(entry.startBlock) || 0,
+        nativeCurrency: entry.nativeCurrency || 'ETH'
+    };
+}
+
+// The single network described by .env
+function fromEnv() {
+    return {
+        defaultNetwork: process.env.NETWORK || 'localhost',
+        networks: [{
+            id: process.env.NETWORK || 'localhost',
+            chainId: process.env.CHAIN_ID,
+            // ethers' own default when no URL is given
+            rpcUrls: [process.env.RPC_URL || 'http://localhost:8545'],
+            bridgePayAddress: process.env.CONTRACT_ADDRESS,
+            tokenAddress: process.env.TOKEN_ADDRESS,
+            confirmations: process.env.INDEXER_CONFIRMATIONS,
+            startBlock: process.env.INDEXER_START_BLOCK
+        }]
+    };
+}
+
+function load() {
+    let config;
+    let source = 'file';
+    try {
+        config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw configError(error.message);
+        }
+        config = fromEnv();
+        source = 'env';
+    }
+
+    if (!Array.isArray(config.networks) || config.networks.length === 0) {
+        throw configError('networks must be a non-empty list');
+    }
+
+    const networks = config.networks.map(normalize);
+    const ids = new Set();
+    for (const network of networks) {
+        if (ids.has(network.id.toLowerCase())) {
+            throw configError(`network ${network.id} is listed twice`);
+        }
+        ids.add(network.id.toLowerCase());
+    }
+
+    const defaultId = config.defaultNetwork || networks[0].id;
+    if (!networks.some(network => network.id === defaultId)) {
+        throw configError(`defaultNetwork ${defaultId} is not in networks`);
+    }
+
+    return { networks, defaultId, source };
+}
+
+// CONFIG_SOURCE: 'file', or 'env' when there is no config file
+const { networks: NETWORKS, defaultId: DEFAULT_NETWORK, source: CONFIG_SOURCE } = load();
+
+function list() {
+    return NETWORKS;
+}
+
+function getDefault() {
+    return NETWORKS.find(network => network.id === DEFAULT_NETWORK);
+}
+
+// Find a network by id (any case) or chain id; the default when no selector
+// is given, null when nothing matches
+function resolve(selector) {
+    if (selector === undefined || selector === null || selector === '') {
+        return getDefault();
+    }
+    const wanted = String(selector).toLowerCase();
+    return NETWORKS.find(network =>
+        network.id.toLowerCase() === wanted || String(network.chainId) === wanted
+    ) || null;
+}
+
+// Network a stored record belongs to. Records written before networks were
+// recorded are on the default network.
+function forRecord(record) {
+    return resolve(record.network || DEFAULT_NETWORK);
+}
+
+// What API callers may see; RPC URLs can contain API keys
+function describe(network) {
+    return {
+        id: network.id,
+        name: network.name,
+        chainId: network.chainId,
+        bridgePayAddress: network.bridgePayAddress,
+        tokenAddress: network.tokenAddress,
+        confirmations: network.confirmations,
+        nativeCurrency: network.nativeCurrency,
+        isDefault: network.id === DEFAULT_NETWORK
+    };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    CONFIG_SOURCE,
+    DEFAULT_NETWORK,
+    list,
+    getDefault,
+    resolve,
+    forRecord,
+    describe
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'list':
+            console.log(JSON.stringify(list().map(describe), null, 2));
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  list    Show configured networks');
+    }
+}
@@ -0,0 +1,282 @@
+// Offline Limits
+// Spending rules for offline payments, checked before one is queued. A payment
+// settles against the payer's BridgePay balance only when it finalizes, so
+// until then it holds part of that balance (see getLockedWei). A new payment
+// must fit:
+//   maxPerTransaction  the most a single offline payment may be
+//   creditLimit        the most a user may have unsettled at once
+//   available          BridgePay balance less what is already held
+// Both limits are in the network's native currency. OFFLINE_CREDIT_LIMIT and
+// OFFLINE_MAX_PER_TX set the defaults; an admin can override them per user.
+
+const { ethers } = require('ethers');
+const contractManager = require('./contractManager');
+const networks = require('./networks');
+const storage = require('./storage');
+require('dotenv').config();
+
+const DEFAULT_CREDIT_LIMIT_WEI = ethers.parseEther(process.env.OFFLINE_CREDIT_LIMIT || '100');
+const DEFAULT_MAX_PER_TX_WEI = ethers.parseEther(process.env.OFFLINE_MAX_PER_TX || '10');
+
+// Checks and queue inserts run one at a time, so two payments queued together
+// cannot both spend the same balance. The lock is per process; reserve()
+// checks again after inserting for servers sharing one database.
+let reserving = Promise.resolve();
+
+function withReservationLock(fn) {
+    const run = reserving.then(fn);
+    reserving = run.catch(() => {});
+    return run;
+}
+
+function limitError(code, error, allowance = null) {
+    return { success: false, code, error, allowance };
+}
+
+function amountWei(tx) {
+    return BigInt(tx.amountWei || ethers.parseEther(tx.amount.toString()));
+}
+
+function minWei(a, b) {
+    return a < b ? a : b;
+}
+
+// What address's offline payments on network hold of its BridgePay balance:
+// queued ones not yet relayed (or being relayed), and relayed ones not yet
+// finalized
+async function getLockedWei(address, network) {
+    const queued = await storage.queue.find([
+        { status: 'pending', from: address },
+        { status: 'relaying', from: address }
+    ]);
+    const relayed = (await storage.history.find({ status: 'submitted', from: address }))
+        .filter(tx => tx.onChainTxId);
+
+    return [...queued, ...relayed]
+        .filter(tx => networks.forRecord(tx) === network)
+        .reduce((total, tx) => total + amountWei(tx), 0n);
+}
+
+// A user's limits in wei; user may be null for a payer with no account here
+function getLimitsWei(user) {
+    const custom = (user && user.offlineLimits) || {};
+    return {
+        creditLimitWei: custom.creditLimit != null ? ethers.parseEther(custom.creditLimit) : DEFAULT_CREDIT_LIMIT_WEI,
+        maxPerTxWei: custom.maxPerTransaction != null ? ethers.parseEther(custom.maxPerTransaction) : DEFAULT_MAX_PER_TX_WEI
+    };
+}
+
+// What address can still pay offline on network. Returns { success, allowance }
+// or CHAIN_UNAVAILABLE when the BridgePay balance cannot be read.
+async function getAllowance(address, network, user = null) {
+    const chain = contractManager.forNetwork(network);
+    const [balanceResult, lockedWei] = await Promise.all([
+        chain.getContractBalance(address),
+        getLockedWei(address, network)
+    ]);
+    if (!balanceResult.success) {
+        return limitError('CHAIN_UNAVAILABLE', `Could not read BridgePay balance on ${network.id}: ${balanceResult.error}`);
+    }
+
+    const { creditLimitWei, maxPerTxWei } = getLimitsWei(user);
+    const balanceWei = BigInt(balanceResult.balanceWei);
+    const availableWei = balanceWei > lockedWei ? balanceWei - lockedWei : 0n;
+    const creditRemainingWei = creditLimitWei > lockedWei ? creditLimitWei - lockedWei : 0n;
+    const remainingWei = minWei(availableWei, creditRemainingWei);
+    const format = wei => ethers.formatEther(wei);
+
+    return {
+        success: true,
+        allowance: {
+            network: network.id,
+            nativeCurrency: network.nativeCurrency,
+            address: address,
+            custom: !!(user && user.offlineLimits),
+            creditLimit: format(creditLimitWei),
+            maxPerTransaction: format(maxPerTxWei),
+            contractBalance: format(balanceWei),
+            pending: format(lockedWei),
+            available: format(availableWei),
+            creditRemaining: format(creditRemainingWei),
+            remaining: format(remainingWei),
+            // The largest payment that would be accepted now
+            nextPaymentMax: format(minWei(remainingWei, maxPerTxWei)),
+            remainingWei: remainingWei.toString()
+        }
+    };
+}
+
+// Check a payment of amountWei from address fits its limits, without holding
+// anything. Returns { success, allowance } or an error code.
+async function check(address, network, amountWei, user = null) {
+    const result = await getAllowance(address, network, user);
+    if (!result.success) {
+        return result;
+    }
+    const { allowance } = result;
+    const currency = network.nativeCurrency;
+    const amount = ethers.formatEther(amountWei);
+
+    if (amountWei > ethers.parseEther(allowance.maxPerTransaction)) {
+        return limitError('TRANSACTION_CAP_EXCEEDED',
+            `Offline payments are capped at ${allowance.maxPerTransaction} ${currency} each; ${amount} requested`, allowance);
+    }
+    if (amountWei > ethers.parseEther(allowance.creditRemaining)) {
+        return limitError('CREDIT_LIMIT_EXCEEDED',
+            `Offline credit limit is ${allowance.creditLimit} ${currency} and ${allowance.pending} ${currency} is pending; ` +
+            `only ${allowance.creditRemaining} ${currency} more can be paid offline`, allowance);
+    }
+    if (amountWei > ethers.parseEther(allowance.available)) {
+        return limitError('INSUFFICIENT_FUNDS',
+            `BridgePay balance is ${allowance.contractBalance} ${currency} and ${allowance.pending} ${currency} is pending; ` +
+            `only ${allowance.available} ${currency} is available`, allowance);
+    }
+    return result;
+}
+
+// The limit a stored set of pending payments already goes over, if any
+function overcommitted(allowance) {
+    const pendingWei = ethers.parseEther(allowance.pending);
+    const currency = allowance.nativeCurrency;
+    if (pendingWei > ethers.parseEther(allowance.creditLimit)) {
+        return limitError('CREDIT_LIMIT_EXCEEDED',
+            `Payments queued at the same time used up the offline credit limit of ${allowance.creditLimit} ${currency}`, allowance);
+    }
+    if (pendingWei > ethers.parseEther(allowance.contractBalance)) {
+        return limitError('INSUFFICIENT_FUNDS',
+            `Payments queued at the same time used up the BridgePay balance of ${allowance.contractBalance} ${currency}`, allowance);
+    }
+    return null;
+}
+
+// Queue an offline transaction if its payer can afford it. The check and
+// the insert happen under one lock; a DUPLICATE error from the insert is
+// thrown to the caller. Returns { success, allowance } (as it was before this
+// payment) or an error code.
+//
+// Servers sharing a database do not share the lock, so once stored the
+// payment is checked again counting everything then pending. If payments
+// queued on another server meanwhile went over a limit, this one is removed
+// and refused; when two race, both may be refused, never both accepted.
+async function reserve(transaction, insertOptions = {}) {
+    const network = networks.forRecord(transaction);
+    const user = await storage.users.find({ address: transaction.from }).then(([found]) => found || null);
+
+    return withReservationLock(async () => {
+        const result = await check(transaction.from, network, amountWei(transaction), user);
+        if (!result.success) {
+            return result;
+        }
+        // Announced only once accepted, so webhooks and streams never see a
+        // payment that is then removed
+        const inserted = await storage.queue.insert(transaction, { ...insertOptions, announce: false });
+
+        const after = await getAllowance(transaction.from, network, user);
+        const exceeded = after.success ? overcommitted(after.allowance) : null;
+        if (exceeded) {
+            await storage.queue.remove(transaction.id);
+            return exceeded;
+        }
+        storage.queue.announce(inserted || transaction);
+        return result;
+    });
+}
+
+function parseLimit(value, name) {
+    if (value === null) {
+        return null;
+    }
+    try {
+        const wei = ethers.parseEther(String(value));
+        if (wei >= 0n) {
+            return ethers.formatEther(wei);
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new Error(`${name} must be an amount of 0 or more, or null for the default`);
+}
+
+// Override a user's limits. A field left out keeps its value; null restores
+// the default. Returns { success, limits } or an error.
+async function setLimits(username, { creditLimit, maxPerTransaction }) {
+    let changes;
+    try {
+        changes = {};
+        if (creditLimit !== undefined) {
+            changes.creditLimit = parseLimit(creditLimit, 'creditLimit');
+        }
+        if (maxPerTransaction !== undefined) {
+            changes.maxPerTransaction = parseLimit(maxPerTransaction, 'maxPerTransaction');
+        }
+    } catch (error) {
+        return { success: false, code: 'INVALID_LIMIT', error: error.message };
+    }
+
+    const user = await storage.users.update(username, record => {
+        const limits = { ...(record.offlineLimits || {}), ...changes };
+        const custom = Object.values(limits).some(value => value !== null);
+        record.offlineLimits = custom ? limits : null;
+    });
+    if (!user) {
+        return { success: false, code: 'USER_NOT_FOUND', error: 'User not found' };
+    }
+
+    console.log(`🔒 Offline limits for ${username}: ${JSON.stringify(user.offlineLimits)}`);
+    return { success: true, limits: getLimits(user) };
+}
+
+// A user's effective limits, and which of them are their own
+function getLimits(user) {
+    const { creditLimitWei, maxPerTxWei } = getLimitsWei(user);
+    return {
+        username: user ? user.username : null,
+        creditLimit: ethers.formatEther(creditLimitWei),
+        maxPerTransaction: ethers.formatEther(maxPerTxWei),
+        overrides: (user && user.offlineLimits) || null,
+        defaults: {
+            creditLimit: ethers.formatEther(DEFAULT_CREDIT_LIMIT_WEI),
+            maxPerTransaction: ethers.formatEther(DEFAULT_MAX_PER_TX_WEI)
+        }
+    };
+}
+
+module.exports = {
+    getLockedWei,
+    getAllowance,
+    check,
+    reserve,
+    getLimits,
+    setLimits
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'show':
+            storage.users.get(process.argv[3]).then(async user => {
+                console.log(JSON.stringify(user ? getLimits(user) : 'User not found', null, 2));
+                await storage.close();
+            });
+            break;
+
+        case 'set':
+            // "default" restores the default for that limit
+            const parse = value => value === 'default' ? null : value;
+            setLimits(process.argv[3], {
+                creditLimit: parse(process.argv[4]),
+                maxPerTransaction: parse(process.argv[5])
+            }).then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  show <username>                                Show a user\'s offline limits');
+            console.log('  set <username> [creditLimit] [maxPerTx]        Override them ("default" to reset)');
+    }
+}
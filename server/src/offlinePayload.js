@@ -0,0 +1,236 @@
+// Offline Payment Payload
+// Compact wire format for a signed OfflineTransaction handed from payer to
+// payee by QR code or NFC while neither side is online.
+//
+// Version 1, big-endian:
+//    1    version (1)
+//    8    chainId
+//   20    BridgePay contract (the EIP-712 verifyingContract)
+//   20    from
+//   20    to
+//  1+n    amount in wei, after a one-byte length (n <= 32)
+//  1+n    nonce, likewise
+//    8    expiry (unix seconds)
+//   32    clientTxId
+//   64    signature in EIP-2098 compact form
+//    4    checksum: the first 4 bytes of keccak256 of everything before it
+//
+// A payment is under 200 bytes. As text it is "BP:" and the bytes in Base45
+// (RFC 9285), whose characters are all in QR alphanumeric mode, so the QR
+// code is smaller than with Base64 in byte mode. NFC tags carry the same text
+// in an NDEF text record.
+
+const { ethers } = require('ethers');
+
+const VERSION = 1;
+const PREFIX = 'BP:';
+const CHECKSUM_BYTES = 4;
+const BASE45 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function payloadError(code, message) {
+    const error = new Error(message);
+    error.failureCode = code;
+    return error;
+}
+
+function invalid(message) {
+    return payloadError('INVALID_PAYLOAD', message);
+}
+
+// ethers' own errors (bad address, signature, out of range) as INVALID_PAYLOAD
+function asPayloadError(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        throw error.failureCode ? error : invalid(error.shortMessage || error.message);
+    }
+}
+
+function toBase45(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 2) {
+        if (i + 1 < bytes.length) {
+            let n = bytes[i] * 256 + bytes[i + 1];
+            for (let digit = 0; digit < 3; digit++) {
+                text += BASE45[n % 45];
+                n = Math.floor(n / 45);
+            }
+        } else {
+            text += BASE45[bytes[i] % 45] + BASE45[Math.floor(bytes[i] / 45)];
+        }
+    }
+    return text;
+}
+
+function fromBase45(text) {
+    if (text.length % 3 === 1) {
+        throw invalid('Base45 text has a stray character');
+    }
+    const bytes = [];
+    for (let i = 0; i < text.length; i += 3) {
+        const digits = text.slice(i, i + 3).split('').map(char => {
+            const value = BASE45.indexOf(char);
+            if (value === -1) {
+                throw invalid(`"${char}" is not a Base45 character`);
+            }
+            return value;
+        });
+        const n = digits.reduce((sum, value, place) => sum + value * 45 ** place, 0);
+        if (digits.length === 3) {
+            if (n > 0xffff) {
+                throw invalid('Base45 group out of range');
+            }
+            bytes.push(n >> 8, n & 0xff);
+        } else {
+            if (n > 0xff) {
+                throw invalid('Base45 group out of range');
+            }
+            bytes.push(n);
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+function uint(value, size) {
+    return ethers.zeroPadValue(ethers.toBeArray(value), size);
+}
+
+// Length-prefixed minimal big-endian bytes
+function varUint(value) {
+    const bytes = ethers.toBeArray(value);
+    return ethers.concat([Uint8Array.of(bytes.length), bytes]);
+}
+
+function checksum(bytes) {
+    return ethers.getBytes(ethers.keccak256(bytes)).slice(0, CHECKSUM_BYTES);
+}
+
+// Bytes for { chainId, verifyingContract, message, signature }, where message
+// is the signed OfflineTransaction (amount in wei)
+function encodeBytes({ chainId, verifyingContract, message, signature }) {
+    const body = ethers.getBytes(asPayloadError(() => ethers.concat([
+        Uint8Array.of(VERSION),
+        uint(chainId, 8),
+        ethers.getAddress(verifyingContract),
+        ethers.getAddress(message.from),
+        ethers.getAddress(message.to),
+        varUint(message.amount),
+        varUint(message.nonce),
+        uint(message.expiry, 8),
+        ethers.zeroPadValue(message.clientTxId, 32),
+        ethers.Signature.from(signature).compactSerialized
+    ])));
+    return ethers.getBytes(ethers.concat([body, checksum(body)]));
+}
+
+function encode(payment) {
+    return PREFIX + toBase45(encodeBytes(payment));
+}
+
+// Reads the fields of a version 1 payload in order
+function createReader(bytes) {
+    let offset = 0;
+
+    function take(length) {
+        if (offset + length > bytes.length) {
+            throw invalid('Payload is truncated');
+        }
+        const slice = bytes.slice(offset, offset + length);
+        offset += length;
+        return slice;
+    }
+
+    return {
+        take,
+        uint: length => ethers.toBigInt(take(length)),
+        address: () => ethers.getAddress(ethers.hexlify(take(20))),
+        varUint: () => {
+            const length = take(1)[0];
+            if (length > 32) {
+                throw invalid('Number field is longer than 32 bytes');
+            }
+            return length === 0 ? 0n : ethers.toBigInt(take(length));
+        },
+        remaining: () => bytes.length - offset
+    };
+}
+
+// { version, chainId, verifyingContract, message, signature } from payload
+// bytes. Throws with failureCode INVALID_PAYLOAD, BAD_CHECKSUM or
+// UNSUPPORTED_VERSION.
+function decodeBytes(bytes) {
+    bytes = ethers.getBytes(bytes);
+    if (bytes.length <= CHECKSUM_BYTES + 1) {
+        throw invalid('Payload is too short');
+    }
+    if (bytes[0] !== VERSION) {
+        throw payloadError('UNSUPPORTED_VERSION', `Payload version ${bytes[0]} is not supported (expected ${VERSION})`);
+    }
+
+    const body = bytes.slice(0, bytes.length - CHECKSUM_BYTES);
+    if (ethers.hexlify(checksum(body)) !== ethers.hexlify(bytes.slice(body.length))) {
+        throw payloadError('BAD_CHECKSUM', 'Payload checksum does not match; it was corrupted or misread');
+    }
+
+    const reader = createReader(body);
+    reader.take(1);
+    const decoded = asPayloadError(() => ({
+        version: VERSION,
+        chainId: Number(reader.uint(8)),
+        verifyingContract: reader.address(),
+        message: {
+            from: reader.address(),
+            to: reader.address(),
+            amount: reader.varUint().toString(),
+            nonce: Number(reader.varUint()),
+            expiry: Number(reader.uint(8)),
+            clientTxId: ethers.hexlify(reader.take(32))
+        },
+        signature: ethers.Signature.from(ethers.hexlify(reader.take(64))).serialized
+    }));
+    if (reader.remaining() !== 0) {
+        throw invalid('Payload has trailing bytes');
+    }
+    return decoded;
+}
+
+// Decode the text form. Line breaks a scanner adds around it are ignored.
+function decode(text) {
+    if (typeof text !== 'string') {
+        throw invalid('Payload must be a string');
+    }
+    text = text.replace(/^[\r\n]+|[\r\n]+$/g, '');
+    if (!text.startsWith(PREFIX)) {
+        throw invalid(`Payload must start with ${PREFIX}`);
+    }
+    return decodeBytes(fromBase45(text.slice(PREFIX.length)));
+}
+
+module.exports = {
+    VERSION,
+    PREFIX,
+    encode,
+    encodeBytes,
+    decode,
+    decodeBytes
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'decode':
+            try {
+                console.log(JSON.stringify(decode(process.argv[3]), null, 2));
+            } catch (error) {
+                console.error(`❌ ${error.failureCode || 'ERROR'}: ${error.message}`);
+                process.exitCode = 1;
+            }
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  decode <payload>    Show the payment in a BP: payload');
+    }
+}
@@ -0,0 +1,218 @@
+// RPC Provider Layer
+// One shared provider per network instead of a new JsonRpcProvider per call.
+// Every RPC URL gets its own endpoint provider that retries failed requests
+// with backoff and records latency and errors. With several URLs they are
+// combined in an ethers FallbackProvider: URLs are tried in the listed order,
+// and a network's "quorum" (default 1) sets how many must agree on a result.
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const RPC_RETRIES = envInt('RPC_RETRIES', 2);
+const RPC_BACKOFF_MS = envInt('RPC_BACKOFF_MS', 250);
+const RPC_TIMEOUT_MS = envInt('RPC_TIMEOUT_MS', 10000);
+// How long to wait on one endpoint before also asking the next
+const RPC_STALL_TIMEOUT_MS = envInt('RPC_STALL_TIMEOUT_MS', 2000);
+
+// Requests remembered per endpoint for the error rate and average latency
+const STATS_WINDOW = 100;
+// An endpoint with this many failures in a row is reported unhealthy
+const UNHEALTHY_AFTER = 3;
+
+// network id -> { provider, endpoints }
+const pools = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Scheme and host only; the rest of an RPC URL often holds an API key
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const hidden = parsed.pathname.length > 1 || parsed.search || parsed.username;
+        return `${parsed.protocol}//${parsed.host}${hidden ? '/…' : ''}`;
+    } catch (error) {
+        return 'invalid url';
+    }
+}
+
+function createStats(url) {
+    return {
+        url: redactUrl(url),
+        requests: 0,
+        errors: 0,
+        consecutiveErrors: 0,
+        recent: [],
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null
+    };
+}
+
+function record(stats, ok, latencyMs, error) {
+    stats.requests++;
+    stats.recent.push({ ok, latencyMs });
+    if (stats.recent.length > STATS_WINDOW) {
+        stats.recent.shift();
+    }
+    if (ok) {
+        stats.consecutiveErrors = 0;
+        stats.lastSuccessAt = new Date().toISOString();
+    } else {
+        stats.errors++;
+        stats.consecutiveErrors++;
+        stats.lastError = error.shortMessage || error.message;
+        stats.lastErrorAt = new Date().toISOString();
+    }
+}
+
+// A signed transaction is not re-sent: the first attempt may have reached
+// the node even though the response did not come back
+function isRetryable(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return !requests.some(request => request.method === 'eth_sendRawTransaction');
+}
+
+// JSON-RPC provider for one URL. Only transport failures are retried and
+// counted; JSON-RPC errors such as reverts are answers from a working node.
+class EndpointProvider extends ethers.JsonRpcProvider {
+    constructor(url, chainId, stats) {
+        const request = new ethers.FetchRequest(url);
+        request.timeout = RPC_TIMEOUT_MS;
+        // With a known chain id, skip chain detection, which retries forever
+        // in the background while an endpoint is down
+        super(request, chainId || undefined, chainId ? { staticNetwork: true } : {});
+        this.stats = stats;
+    }
+
+    async _send(payload) {
+        for (let attempt = 0; ; attempt++) {
+            const started = Date.now();
+            try {
+                const result = await super._send(payload);
+                record(this.stats, true, Date.now() - started);
+                return result;
+            } catch (error) {
+                record(this.stats, false, Date.now() - started, error);
+                if (attempt >= RPC_RETRIES || !isRetryable(payload)) {
+                    throw error;
+                }
+                await sleep(RPC_BACKOFF_MS * 2 ** attempt);
+            }
+        }
+    }
+}
+
+function createPool(network) {
+    const endpoints = network.rpcUrls.map(url => {
+        const stats = createStats(url);
+        return { stats, provider: new EndpointProvider(url, network.chainId, stats) };
+    });
+
+    if (endpoints.length === 1) {
+        return { provider: endpoints[0].provider, endpoints };
+    }
+
+    const configs = endpoints.map((endpoint, index) => ({
+        provider: endpoint.provider,
+        priority: index + 1,
+        stallTimeout: RPC_STALL_TIMEOUT_MS,
+        weight: 1
+    }));
+    const provider = new ethers.FallbackProvider(configs, network.chainId || undefined, {
+        quorum: network.quorum
+    });
+    return { provider, endpoints };
+}
+
+function getPool(network) {
+    if (!pools.has(network.id)) {
+        pools.set(network.id, createPool(network));
+    }
+    return pools.get(network.id);
+}
+
+// Shared provider for a network
+function getProvider(network) {
+    return getPool(network).provider;
+}
+
+function describeEndpoint(stats) {
+    const failures = stats.recent.filter(entry => !entry.ok).length;
+    const latencies = stats.recent.filter(entry => entry.ok).map(entry => entry.latencyMs);
+    return {
+        url: stats.url,
+        healthy: stats.requests === 0 ? null : stats.consecutiveErrors < UNHEALTHY_AFTER,
+        requests: stats.requests,
+        errors: stats.errors,
+        errorRate: stats.recent.length ? Number((failures / stats.recent.length).toFixed(3)) : 0,
+        avgLatencyMs: latencies.length
+            ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+            : null,
+        consecutiveErrors: stats.consecutiveErrors,
+        lastError: stats.lastError,
+        lastErrorAt: stats.lastErrorAt,
+        lastSuccessAt: stats.lastSuccessAt
+    };
+}
+
+// Endpoint statistics for a network. healthy is null for an endpoint that
+// has not been used yet.
+function getStatus(network) {
+    const { endpoints } = getPool(network);
+    return {
+        mode: endpoints.length > 1 ? 'fallback' : 'single',
+        quorum: network.quorum,
+        endpoints: endpoints.map(endpoint => describeEndpoint(endpoint.stats))
+    };
+}
+
+// Ask every endpoint for the latest block so the statistics reflect all of
+// them, not only the one the fallback order happens to use
+async function probe(network) {
+    const { endpoints } = getPool(network);
+    await Promise.all(endpoints.map(endpoint =>
+        endpoint.provider.getBlockNumber().catch(() => null)
+    ));
+    return getStatus(network);
+}
+
+module.exports = {
+    getProvider,
+    getStatus,
+    probe
+};
+
+// CLI usage
+if (require.main === module) {
+    const networks = require('./networks');
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'probe':
+            (async () => {
+                const selected = process.argv[3] ? [networks.resolve(process.argv[3])] : networks.list();
+                if (selected.includes(null)) {
+                    console.error(`Unknown network: ${process.argv[3]}`);
+                    process.exit(1);
+                }
+                for (const network of selected) {
+                    console.log(network.id, JSON.stringify(await probe(network), null, 2));
+                }
+                for (const network of selected) {
+                    getProvider(network).destroy();
+                }
+            })();
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  probe [network]    Check every RPC endpoint');
+    }
+}
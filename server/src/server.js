@@ -1,14 +1,31 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
 require('dotenv').config();
 
 // Ensure these files exist in your project structure
 const accountManager = require('./accountManager');
 const contractManager = require('./contractManager');
+const networks = require('./networks');
+const rpcProvider = require('./rpcProvider');
+const finalizer = require('./finalizer');
+const eventIndexer = require('./eventIndexer');
+const sessionManager = require('./sessionManager');
+const storage = require('./storage');
+const auditLog = require('./auditLog');
+const fundingManager = require('./fundingManager');
+const txManager = require('./txManager');
+const gasSponsor = require('./gasSponsor');
+const offlinePayload = require('./offlinePayload');
+const invoiceManager = require('./invoiceManager');
+const webhookManager = require('./webhookManager');
+const eventStream = require('./eventStream');
+const historyQuery = require('./historyQuery');
+const offlineLimits = require('./offlineLimits');
+const idempotency = require('./idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,33 +34,453 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(bodyParser.json());
 
-// File paths
-const USERS_FILE = path.join(__dirname, '..', 'blockchain_users.json');
-const OFFLINE_QUEUE_FILE = path.join(__dirname, '..', 'offline_transactions.json');
-const TRANSACTION_HISTORY_FILE = path.join(__dirname, '..', 'transaction_history.json');
-const CONFIG_FILE = path.join(__dirname, '..', 'blockchain_config.json');
+// File paths (networks are read from blockchain_config.json, see networks.js)
+const ADMIN_PAGE = path.join(__dirname, '..', '..', 'admin-fund.html');
 
-// RPC URL from environment
-const RPC_URL = process.env.RPC_URL;
-const NETWORK = process.env.NETWORK || 'localhost';
-const CHAIN_ID = process.env.CHAIN_ID || 31337;
+// Suggested lifetime of a signed offline payment. BridgePay only finalizes
+// after its 7-day dispute window and before expiry, so this must be longer.
+const OFFLINE_TX_EXPIRY_DAYS = parseInt(process.env.OFFLINE_TX_EXPIRY_DAYS) || 30;
 
-// Helper function to read JSON file
-async function readJsonFile(filePath) {
+// A queue item a sync claimed but never finished relaying (its process
+// died before broadcasting) may be claimed again after this long
+const RELAY_CLAIM_TIMEOUT_MS = parseInt(process.env.RELAY_CLAIM_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// Helper function to find a user by username or address
+async function findUser(userId) {
+  const [user] = await storage.users.find([{ username: userId }, { address: userId }]);
+  return user || null;
+}
+
+// Helper function to pick the network a request is for: ?network= or
+// body.network, by id or chain id, else the default network.
+// Returns { network, chain } or an error.
+function selectNetwork(req) {
+  const selector = req.query.network || (req.body && req.body.network);
+  const network = networks.resolve(selector);
+  if (!network) {
+    return { status: 400, code: 'UNKNOWN_NETWORK', message: `Unknown network: ${selector}` };
+  }
+  return { network, chain: contractManager.forNetwork(network) };
+}
+
+// Helper function to read an optional ?network= filter for listings.
+// Returns { matches(record) } (true for every record without a filter) or an error.
+function networkFilter(req) {
+  if (!req.query.network) {
+    return { matches: () => true };
+  }
+  const selected = selectNetwork(req);
+  if (!selected.network) {
+    return selected;
+  }
+  return { matches: record => networks.forRecord(record) === selected.network };
+}
+
+// Helper function to get the contract manager for the network a stored
+// record is on (null if that network is no longer configured)
+function chainFor(record) {
+  const network = networks.forRecord(record);
+  return network ? contractManager.forNetwork(network) : null;
+}
+
+// Helper function to check a network has a real RPC endpoint rather than a
+// placeholder (or, with no config file, ethers' localhost default)
+function isRpcConfigured(network) {
+  if (networks.CONFIG_SOURCE === 'env' && !process.env.RPC_URL) {
+    return false;
+  }
+  return !network.rpcUrls.some(url => url.includes('YOUR_'));
+}
+
+// Helper function to check the RPC endpoints, BridgePay and the token on
+// one network. status is 'down' when no endpoint answers or the configured
+// BridgePay contract cannot be read, 'degraded' when an endpoint or the
+// token is failing, otherwise 'ok'.
+async function getNetworkHealth(network) {
+  const chain = contractManager.forNetwork(network);
+  const [rpc, contractInfo, tokenInfo] = await Promise.all([
+    rpcProvider.probe(network),
+    chain.getBridgePayInfo(),
+    chain.getTokenInfo()
+  ]);
+
+  let status = 'ok';
+  if (!rpc.endpoints.some(endpoint => endpoint.healthy) ||
+      (network.bridgePayAddress && !contractInfo.success)) {
+    status = 'down';
+  } else if (!rpc.endpoints.every(endpoint => endpoint.healthy) ||
+      (network.tokenAddress && !tokenInfo.success)) {
+    status = 'degraded';
+  }
+
+  return {
+    ...networks.describe(network),
+    status: status,
+    chainId: network.chainId || (contractInfo.success ? contractInfo.chainId : null),
+    contract: contractInfo.success ? {
+      relayer: contractInfo.relayer,
+      relayerRoles: contractInfo.relayerRoles
+    } : null,
+    contractError: contractInfo.success ? undefined : contractInfo.error,
+    token: tokenInfo.success ? {
+      name: tokenInfo.name,
+      symbol: tokenInfo.symbol,
+      decimals: tokenInfo.decimals
+    } : null,
+    tokenError: tokenInfo.success || !network.tokenAddress ? undefined : tokenInfo.error,
+    rpc: rpc
+  };
+}
+
+// Helper function to find a relayed transaction by record id or on-chain id
+async function findRelayedTransaction(id) {
+  const [transaction] = await storage.history.find([{ id: id }, { onChainTxId: id }]);
+  return transaction || null;
+}
+
+// Helper function to add dispute window timing to a relayed offline transaction
+function withDisputeWindow(tx) {
+  if (tx.status !== 'submitted' || !tx.chainSubmittedAt) {
+    return tx;
+  }
+
+  const endsAt = tx.chainSubmittedAt + contractManager.DISPUTE_WINDOW_SECONDS;
+  return {
+    ...tx,
+    disputeWindowEndsAt: new Date(endsAt * 1000).toISOString(),
+    disputeSecondsRemaining: Math.max(0, endsAt - Math.floor(Date.now() / 1000))
+  };
+}
+
+// Helper function to describe force-finalize progress of a relayed transaction
+async function getForceFinalizeStatus(tx, blockTimestamp) {
+  const chain = chainFor(tx);
+  const eligibleAt = tx.chainSubmittedAt + contractManager.FORCE_FINALIZE_DELAY_SECONDS;
+  const onChain = await chain.getOfflineTransaction(tx.onChainTxId);
+  const signersResult = await chain.getForceFinalizeSigners(tx.onChainTxId);
+  const signers = signersResult.success ? signersResult.signers : [];
+
+  return {
+    id: tx.id,
+    network: chain.network.id,
+    onChainTxId: tx.onChainTxId,
+    from: tx.from,
+    to: tx.to,
+    amount: tx.amount,
+    submittedAt: new Date(tx.chainSubmittedAt * 1000).toISOString(),
+    forceFinalizeEligibleAt: new Date(eligibleAt * 1000).toISOString(),
+    eligible: blockTimestamp >= eligibleAt,
+    onChainStatus: onChain.success ? onChain.transaction.status : null,
+    signers: signers,
+    threshold: contractManager.MULTISIG_THRESHOLD,
+    signaturesNeeded: Math.max(0, contractManager.MULTISIG_THRESHOLD - signers.length),
+    // For signers approving from their own wallet (hardware wallet, console)
+    call: chain.buildForceFinalizeCall(tx.onChainTxId)
+  };
+}
+
+// Helper function to convert a decimal ETH amount to wei (null if invalid)
+function parseAmountWei(amount) {
+  try {
+    const amountWei = ethers.parseEther(amount.toString());
+    return amountWei > 0n ? amountWei : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to fill in a payment from the invoice it pays
+// (body.invoiceId): its merchant, amount and network. Fields the caller did
+// send must agree with the invoice. Returns { invoice } (null without an
+// invoiceId) or an error.
+async function applyInvoice(req) {
+  if (!req.body.invoiceId) {
+    return { invoice: null };
+  }
+  const payable = await invoiceManager.getPayable(req.body.invoiceId);
+  if (!payable.success) {
+    return { status: payable.code === 'INVOICE_NOT_FOUND' ? 404 : 409, code: payable.code, message: payable.error };
+  }
+  const { invoice } = payable;
+  const { toUserId, amount } = req.body;
+  const selector = req.query.network || req.body.network;
+
+  const mismatch =
+    (toUserId && ![invoice.merchant, invoice.merchantUser].some(id => id.toLowerCase() === toUserId.toLowerCase())) ||
+    (amount !== undefined && parseAmountWei(amount) !== BigInt(invoice.amountWei)) ||
+    (selector && networks.resolve(selector) !== networks.forRecord(invoice));
+  if (mismatch) {
+    return { status: 400, code: 'INVOICE_MISMATCH', message: 'Recipient, amount and network must match the invoice' };
+  }
+
+  Object.assign(req.body, { toUserId: invoice.merchant, amount: invoice.amount, network: invoice.network });
+  return { invoice };
+}
+
+// Helper function to find a webhook subscription the caller owns (admins:
+// any). Returns { subscription } or an error.
+async function findOwnedWebhook(req, id) {
+  const subscription = await webhookManager.get(id);
+  if (!subscription) {
+    return { status: 404, message: 'Webhook not found' };
+  }
+  if (subscription.owner !== req.user.username && req.user.role !== 'admin') {
+    return { status: 403, message: 'You can only manage your own webhooks' };
+  }
+  return { subscription };
+}
+
+// Helper middleware for the event stream: EventSource cannot set headers,
+// so the access token may come as ?access_token= instead
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Helper function to get the key a user signs with: from a re-entered
+// password, or the one unlocked at login. Returns { privateKey } or an error.
+async function unlockSigningKey(req, username, password) {
+  if (password) {
+    const loginResult = await accountManager.login(username, password);
+    if (!loginResult.success) {
+      return { status: 401, code: 'INVALID_PASSWORD', message: 'Invalid password' };
+    }
+    sessionManager.unlockKey(req.user.sessionId, loginResult.privateKey);
+    return { privateKey: loginResult.privateKey };
+  }
+
+  const privateKey = sessionManager.getUnlockedKey(req.user.sessionId);
+  if (!privateKey) {
+    return { status: 401, code: 'KEY_LOCKED', message: 'Wallet is locked; send your password to unlock it' };
+  }
+  return { privateKey };
+}
+
+// Helper function to check whether a queue item's relay transaction is
+// still being sent, e.g. resumed by txManager after a restart
+async function isRelayInFlight(tx) {
+  const outbound = await storage.outbound.find({ status: 'pending', purpose: 'relay' });
+  return outbound.some(record => record.reference === tx.clientTxId);
+}
+
+// Helper function to add a relayed queue item to history. The event indexer
+// may have recorded the payment from its OfflineTxSubmitted event first; the
+// relay's details are then merged into that record rather than adding a
+// second one. Returns the history record.
+async function recordRelayedPayment(tx) {
   try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    return await storage.history.insert(tx, { unique: ['clientTxId'] }) || tx;
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
+    if (error.code !== 'DUPLICATE') {
+      throw error;
+    }
+  }
+
+  const [existing] = await storage.history.find({ clientTxId: tx.clientTxId });
+  console.log(`🔗 Merging relay of ${tx.id} into indexed record ${existing.id}`);
+  return storage.history.update(existing.id, record => {
+    // Keep what the indexer has seen happen on chain since the submission
+    const { id, status, chainEvents } = record;
+    if (!tx.source) {
+      delete record.source;
+    }
+    Object.assign(record, tx, { id, status, chainEvents, queueId: tx.id });
+  });
+}
+
+// Helper function to mark a queue item as relayed and record it in history.
+// Returns the invoice the payment settled, if any.
+async function completeRelay(tx, chain, relayResult) {
+  tx.status = 'submitted';
+  tx.syncedAt = new Date().toISOString();
+  tx.type = 'offline-synced';
+  tx.txHash = relayResult.txHash;
+  tx.blockNumber = relayResult.blockNumber;
+  tx.onChainTxId = relayResult.onChainTxId;
+  tx.chainSubmittedAt = relayResult.submittedAt;
+  tx.network = chain.network.id;
+  tx.contractAddress = chain.CONTRACT_ADDRESS;
+  delete tx.error;
+
+  // History first: offline limits count a relayed payment by its history
+  // record, so the queue record stays relaying (and counted) until then
+  const recorded = await recordRelayedPayment(tx);
+  // Queue records are merged, so the stale error is removed explicitly
+  await storage.queue.update(tx.id, record => {
+    Object.assign(record, tx);
+    delete record.error;
+  });
+  return invoiceManager.matchTransaction(recorded);
+}
+
+// A relay still in flight when the server stopped is settled by
+// txManager.resume(); finish the sync it was sent by. One that did not go
+// through goes back to pending, and the next sync reports why.
+txManager.onSettled('relay', async record => {
+  const [tx] = await storage.queue.find({ status: 'relaying', clientTxId: record.reference });
+  if (!tx) {
+    return;
+  }
+
+  const chain = chainFor(record);
+  if (record.status === 'confirmed' && chain) {
+    const found = await chain.findOfflineTransaction(record.reference);
+    if (found.success) {
+      await completeRelay(tx, chain, {
+        txHash: record.txHash,
+        blockNumber: record.blockNumber,
+        onChainTxId: found.transaction.onChainTxId,
+        submittedAt: found.transaction.submittedAt
+      });
+      console.log(`✅ Resumed relay of ${tx.id} confirmed (${record.txHash})`);
+      return;
+    }
+  }
+
+  await storage.queue.update(tx.id, { status: 'pending' });
+  console.log(`⚠ Resumed relay of ${tx.id} ${record.status}; queued again`);
+});
+
+// Helper function to find the configured network a QR/NFC payload was signed
+// for, by its chain id and BridgePay address (null if none matches)
+async function findPayloadNetwork(payment) {
+  for (const network of networks.list()) {
+    if (!network.bridgePayAddress ||
+        network.bridgePayAddress.toLowerCase() !== payment.verifyingContract.toLowerCase()) {
+      continue;
+    }
+    const domain = await contractManager.forNetwork(network).getEip712Domain();
+    if (domain.chainId === payment.chainId) {
+      return network;
     }
-    throw error;
   }
+  return null;
+}
+
+// Helper function to check a decoded payload against the chain the way
+// BridgePay will on sync. Returns { network, chain, checks, code, reason }
+// with code null when it can be queued, or an error.
+async function verifyPayload(payment) {
+  const network = await findPayloadNetwork(payment);
+  if (!network) {
+    return {
+      status: 400,
+      code: 'UNKNOWN_NETWORK',
+      message: `Payload is for BridgePay ${payment.verifyingContract} on chain ${payment.chainId}, which is not configured here`
+    };
+  }
+  const chain = contractManager.forNetwork(network);
+  const { message } = payment;
+
+  let signer;
+  try {
+    signer = await chain.recoverOfflineTxSigner(message, payment.signature);
+  } catch (error) {
+    signer = null;
+  }
+
+  const [nonceResult, usedResult, balanceResult, lockedWei, queued] = await Promise.all([
+    chain.getOfflineNonce(message.from),
+    chain.isClientTxIdUsed(message.clientTxId),
+    chain.getContractBalance(message.from),
+    offlineLimits.getLockedWei(message.from, network),
+    storage.queue.find({ clientTxId: message.clientTxId })
+  ]);
+  const failed = [nonceResult, usedResult, balanceResult].find(result => !result.success);
+  if (failed) {
+    return { status: 503, code: 'CHAIN_UNAVAILABLE', message: `Could not read BridgePay on ${network.id}: ${failed.error}` };
+  }
+
+  const onChainNonce = Number(nonceResult.nonce);
+  const balanceWei = BigInt(balanceResult.balanceWei);
+  const availableWei = balanceWei > lockedWei ? balanceWei - lockedWei : 0n;
+  const checks = {
+    signatureValid: !!signer && signer.toLowerCase() === message.from.toLowerCase(),
+    expired: message.expiry <= Math.floor(Date.now() / 1000),
+    // 'current' relays now; 'future' waits for the payer's earlier payments
+    nonce: message.nonce < onChainNonce ? 'used' : (message.nonce === onChainNonce ? 'current' : 'future'),
+    onChainNonce: onChainNonce,
+    clientTxIdUsed: usedResult.used,
+    alreadyQueued: queued.length > 0,
+    // Other payments the payer has queued hold part of their balance
+    payerAvailable: parseFloat(ethers.formatEther(availableWei)),
+    fundsAvailable: availableWei >= BigInt(message.amount)
+  };
+
+  const problems = [
+    [!checks.signatureValid, 'BAD_SIGNATURE', 'Signature does not recover the payer address'],
+    [checks.expired, 'EXPIRED', 'Signed payment has expired'],
+    [checks.nonce === 'used', 'BAD_NONCE', `Nonce ${message.nonce} was already used; the payer is at ${onChainNonce}`],
+    [checks.clientTxIdUsed, 'CLIENT_TX_ID_REUSED', 'BridgePay has already accepted this payment'],
+    [checks.alreadyQueued, 'ALREADY_QUEUED', 'This payment is already queued']
+  ];
+  const problem = problems.find(([failing]) => failing);
+
+  return {
+    network,
+    chain,
+    checks,
+    code: problem ? problem[1] : null,
+    reason: problem ? problem[2] : null
+  };
+}
+
+// Helper function to read an address's token, wallet and BridgePay balances
+// on a network. Returns { balances } or an error.
+async function readBalances(address, network) {
+  const chain = contractManager.forNetwork(network);
+  const [balanceResult, walletResult, contractResult, lockedWei] = await Promise.all([
+    chain.getTokenBalance(address),
+    chain.getEthBalance(address),
+    chain.getContractBalance(address),
+    offlineLimits.getLockedWei(address, network)
+  ]);
+
+  // A read that failed is an error, not a zero balance. Only a network
+  // without a token (or without BridgePay) has nothing to read.
+  const failed = [
+    balanceResult.success || balanceResult.code === 'TOKEN_NOT_CONFIGURED' ? null : balanceResult,
+    walletResult.success ? null : walletResult,
+    contractResult.success || !network.bridgePayAddress ? null : contractResult
+  ].find(Boolean);
+  if (failed) {
+    return { status: 502, code: 'BALANCE_UNAVAILABLE', message: `Could not read balances on ${network.id}: ${failed.error}` };
+  }
+
+  // Offline payments settle against the BridgePay balance; what they
+  // have not settled yet cannot be withdrawn
+  const contractWei = contractResult.success ? BigInt(contractResult.balanceWei) : null;
+
+  return {
+    balances: {
+      balance: balanceResult.success ? balanceResult.balance : 0.0,
+      walletBalance: walletResult.success ? walletResult.balance : null,
+      contractBalance: contractWei !== null ? contractResult.balance : null,
+      lockedBalance: parseFloat(ethers.formatEther(lockedWei)),
+      availableBalance: contractWei !== null
+        ? parseFloat(ethers.formatEther(contractWei > lockedWei ? contractWei - lockedWei : 0n))
+        : null,
+      network: network.id,
+      nativeCurrency: network.nativeCurrency,
+      address: address
+    }
+  };
 }
 
-// Helper function to write JSON file
-async function writeJsonFile(filePath, data) {
-  await fs.writeFile(filePath, JSON.stringify(data, null, 4), 'utf8');
+// Helper function to add a confirmed deposit or withdrawal to history right
+// away, in the same form the event indexer writes it
+async function recordBalanceEvent(result, network) {
+  if (!result.event) {
+    return;
+  }
+  try {
+    await eventIndexer.applyEvent(result.event, { [result.blockNumber]: result.timestamp }, network);
+  } catch (error) {
+    // The indexer adds it on its next pass
+    console.error('⚠ Could not record balance event:', error.message);
+  }
 }
 
 // ===== AUTHENTICATION ENDPOINTS =====
@@ -63,22 +500,10 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    const users = await readJsonFile(USERS_FILE);
-    
-    if (!users) {
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Users database not found' 
-      });
-    }
-
     // Check if user exists by address or username
-    const userEntry = Object.entries(users).find(([key, value]) => {
-      return key.toLowerCase() === userId.toLowerCase() || 
-             value.address.toLowerCase() === userId.toLowerCase();
-    });
+    const userData = await findUser(userId);
 
-    if (!userEntry) {
+    if (!userData) {
       // FIX: Added backticks
       console.log(`❌ User not found: ${userId}`);
       return res.status(404).json({ 
@@ -87,7 +512,7 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    const [username, userData] = userEntry;
+    const username = userData.username;
 
     // Verify password by trying to decrypt
     const loginResult = await accountManager.login(username, password);
@@ -104,9 +529,17 @@ app.post('/api/auth/login', async (req, res) => {
     // FIX: Added backticks
     console.log(`✅ Login successful for: ${username}`);
 
+    const session = await sessionManager.createSession({
+      username: username,
+      address: userData.address,
+      role: userData.role
+    });
+    sessionManager.unlockKey(session.sessionId, loginResult.privateKey);
+
     res.json({
       success: true,
       message: 'Login successful',
+      ...session,
       user: {
         username: username,
         address: userData.address,
@@ -114,6 +547,7 @@ app.post('/api/auth/login', async (req, res) => {
         fullName: userData.fullName || username,
         mobile: userData.mobile || '',
         email: userData.email || '',
+        role: userData.role || 'user',
         createdAt: userData.createdAt
       }
     });
@@ -128,7 +562,7 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Register new Ethereum account
-app.post('/api/auth/register-celo', async (req, res) => {
+app.post('/api/auth/register-celo', idempotency.middleware('register'), async (req, res) => {
   try {
     const { username, password, fullName, mobile, email } = req.body;
     
@@ -142,10 +576,7 @@ app.post('/api/auth/register-celo', async (req, res) => {
       });
     }
 
-    let users = await readJsonFile(USERS_FILE);
-    if (!users) users = {};
-
-    if (users[username]) {
+    if (await storage.users.get(username)) {
       // FIX: Added backticks
       console.log(`❌ User already exists: ${username}`);
       return res.status(409).json({ 
@@ -163,26 +594,27 @@ app.post('/api/auth/register-celo', async (req, res) => {
     if (!result.success) {
       // FIX: Added backticks
       console.log(`❌ Account creation failed: ${result.error}`);
-      return res.status(500).json({
+      // Another request registered the same username first
+      return res.status(result.error === 'User already exists' ? 409 : 500).json({
         success: false,
         message: result.error || 'Failed to create account'
       });
     }
 
-    // Read updated users file
-    users = await readJsonFile(USERS_FILE);
-    
     // Add additional user info
-    if (users[username]) {
-      users[username].fullName = fullName;
-      users[username].mobile = mobile;
-      users[username].email = email;
-      await writeJsonFile(USERS_FILE, users);
-      
+    const user = await storage.users.update(username, {
+      fullName: fullName,
+      mobile: mobile,
+      email: email
+    });
+
+    // New users get their starting tokens on the default network
+    const chain = contractManager.forNetwork();
+    if (user && chain.hasToken()) {
       // Fund new user with initial tokens (500 tokens)
       // FIX: Added backticks
       console.log(`💰 Funding new user ${result.address} with 500 tokens...`);
-      const fundResult = await contractManager.fundNewUser(result.address, 500);
+      const fundResult = await chain.fundNewUser(result.address, 500, { purpose: 'registration', reference: username });
       
       if (fundResult.success) {
         // FIX: Added backticks
@@ -198,9 +630,16 @@ app.post('/api/auth/register-celo', async (req, res) => {
     // FIX: Added backticks
     console.log(`✅ Account created successfully: ${result.address}`);
 
+    const session = await sessionManager.createSession({
+      username: username,
+      address: result.address,
+      role: 'user'
+    });
+
     res.json({
       success: true,
       message: 'Ethereum blockchain account created successfully',
+      ...session,
       user: {
         username: username,
         address: result.address,
@@ -208,7 +647,7 @@ app.post('/api/auth/register-celo', async (req, res) => {
         fullName: fullName,
         mobile: mobile,
         email: email,
-        createdAt: users[username].createdAt
+        createdAt: user ? user.createdAt : new Date().toISOString()
       },
       mnemonic: result.mnemonic // Send mnemonic once for user to save
     });
@@ -222,179 +661,198 @@ app.post('/api/auth/register-celo', async (req, res) => {
   }
 });
 
-// ===== BALANCE ENDPOINTS =====
-
-// Get user balance from smart contract
-app.get('/api/balance/:userId', async (req, res) => {
+// Exchange a refresh token for a new access token
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    // FIX: Added backticks
-    console.log(`💰 Balance request for: ${userId}`);
-    
-    const users = await readJsonFile(USERS_FILE);
-    
-    if (!users) {
-      console.log('❌ Users database not found');
-      return res.status(500).json({ 
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Users database not found' 
+        message: 'refreshToken is required' 
       });
     }
 
-    // Find user by userId (address) or username
-    const userEntry = Object.entries(users).find(([key, value]) => {
-      return key.toLowerCase() === userId.toLowerCase() || 
-             value.address.toLowerCase() === userId.toLowerCase();
-    });
-
-    if (!userEntry) {
-      // FIX: Added backticks
-      console.log(`❌ User not found: ${userId}`);
-      return res.status(404).json({ 
+    const result = await sessionManager.refreshSession(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({ 
         success: false, 
-        message: 'User not found' 
+        message: result.error 
       });
     }
 
-    const [username, userData] = userEntry;
+    res.json(result);
 
-    // FIX: Added backticks
-    console.log(`🔍 Fetching token balance for address: ${userData.address}`);
+  } catch (error) {
+    console.error('❌ Refresh error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
 
-    // Get token balance from smart contract
-    const balanceResult = await contractManager.getTokenBalance(userData.address);
-    
-    console.log('📊 Balance result:', JSON.stringify(balanceResult));
-    
-    if (!balanceResult.success) {
-      // FIX: Added backticks
-      console.log(`⚠ Balance fetch failed, returning 0: ${balanceResult.error}`);
-      return res.json({
-        success: true,
-        balance: 0.0,
-        address: userData.address,
-        userId: userData.address
-      });
+// Logout: revoke this session, or every session of the user with { all: true }
+app.post('/api/auth/logout', sessionManager.authenticate, async (req, res) => {
+  try {
+    let revoked = 1;
+    if (req.body && req.body.all) {
+      revoked = await sessionManager.revokeUserSessions(req.user.username);
+    } else {
+      await sessionManager.revokeSession(req.user.sessionId);
     }
 
-    // FIX: Added backticks
-    console.log(`✅ Balance fetched successfully: ${balanceResult.balance} tokens`);
+    console.log(`👋 Logout for ${req.user.username} (${revoked} session(s))`);
 
     res.json({
       success: true,
-      balance: balanceResult.balance,
-      address: userData.address,
-      userId: userData.address
+      message: 'Logged out',
+      revoked: revoked
     });
 
   } catch (error) {
-    console.error('❌ Balance error:', error);
+    console.error('❌ Logout error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Internal server error: ' + error.message
+      message: 'Internal server error' 
     });
   }
 });
 
-// ===== TRANSACTION ENDPOINTS =====
-
-// Send transaction (online)
-app.post('/api/transaction/send', async (req, res) => {
+// Change password; every existing session is revoked and a new one issued
+app.post('/api/auth/change-password', sessionManager.authenticate, async (req, res) => {
   try {
-    const { fromUserId, toUserId, amount } = req.body;
-    
-    // FIX: Added backticks
-    console.log(`💸 Transaction request: ${fromUserId} -> ${toUserId} (${amount})`);
-    
-    if (!fromUserId || !toUserId || !amount) {
+    const { currentPassword, newPassword } = req.body;
+    const username = req.user.username;
+
+    console.log(`🔑 Password change for: ${username}`);
+
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({ 
         success: false, 
-        message: 'All fields are required' 
+        message: 'currentPassword and newPassword are required' 
       });
     }
 
-    if (amount <= 0) {
+    if (currentPassword === newPassword) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Amount must be greater than 0' 
+        message: 'New password must be different from the current password' 
       });
     }
 
-    const users = await readJsonFile(USERS_FILE);
-    
-    if (!users) {
-      return res.status(500).json({ 
+    const result = await accountManager.changePassword(username, currentPassword, newPassword);
+
+    if (!result.success) {
+      await auditLog.record('password_change_failed', {
+        username: username,
+        reason: result.error,
+        ...auditLog.requestContext(req)
+      });
+      return res.status(result.error === 'Invalid password' ? 401 : 400).json({ 
         success: false, 
-        message: 'Users database not found' 
+        message: result.error 
       });
     }
 
-    // Find sender by address
-    const fromUserEntry = Object.entries(users).find(([key, value]) => {
-      return value.address.toLowerCase() === fromUserId.toLowerCase();
+    const revoked = await sessionManager.revokeUserSessions(username);
+    await auditLog.record('password_changed', {
+      username: username,
+      address: result.address,
+      revokedSessions: revoked,
+      ...auditLog.requestContext(req)
     });
 
-    // Find receiver by address
-    const toUserEntry = Object.entries(users).find(([key, value]) => {
-      return value.address.toLowerCase() === toUserId.toLowerCase();
+    const session = await sessionManager.createSession({
+      username: username,
+      address: result.address,
+      role: req.user.role
     });
+    sessionManager.unlockKey(session.sessionId, result.privateKey);
 
-    if (!fromUserEntry) {
-      // FIX: Added backticks
-      console.log(`❌ Sender not found: ${fromUserId}`);
-      return res.status(404).json({ 
+    res.json({
+      success: true,
+      message: 'Password changed; all other sessions have been signed out',
+      revokedSessions: revoked,
+      ...session
+    });
+
+  } catch (error) {
+    console.error('❌ Password change error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Recover an account with its mnemonic phrase and set a new password
+app.post('/api/auth/recover', async (req, res) => {
+  try {
+    const { userId, mnemonic, newPassword } = req.body;
+
+    console.log(`🛟 Recovery attempt for: ${userId}`);
+
+    if (!userId || !mnemonic || !newPassword) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Sender not found' 
+        message: 'userId, mnemonic and newPassword are required' 
       });
     }
 
-    if (!toUserEntry) {
-      // FIX: Added backticks
-      console.log(`❌ Receiver not found: ${toUserId}`);
+    const userData = await findUser(userId);
+
+    if (!userData) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Receiver not found' 
+        message: 'User not found' 
       });
     }
 
-    const [fromUsername, fromUserData] = fromUserEntry;
-    const [toUsername, toUserData] = toUserEntry;
+    const result = await accountManager.recoverAccount(userData.username, mnemonic, newPassword);
 
-    // Create transaction record
-    const transaction = {
-      id: uuidv4(),
-      from: fromUserData.address,
-      fromUserId: fromUserData.address,
-      to: toUserData.address,
-      toUserId: toUserData.address,
-      amount: amount,
-      timestamp: new Date().toISOString(),
-      status: 'completed',
-      type: 'online',
-      txHash: null,
-      contractAddress: contractManager.CONTRACT_ADDRESS
-    };
+    if (!result.success) {
+      await auditLog.record('recovery_failed', {
+        username: userData.username,
+        reason: result.error,
+        ...auditLog.requestContext(req)
+      });
+      return res.status(result.error === 'Invalid mnemonic' ? 400 : 401).json({ 
+        success: false, 
+        message: result.error 
+      });
+    }
 
-    // Add to transaction history
-    let history = await readJsonFile(TRANSACTION_HISTORY_FILE);
-    if (!history) history = [];
-    if (!Array.isArray(history)) history = [history];
-    
-    history.push(transaction);
-    await writeJsonFile(TRANSACTION_HISTORY_FILE, history);
+    const revoked = await sessionManager.revokeUserSessions(userData.username);
+    await auditLog.record('account_recovered', {
+      username: userData.username,
+      address: result.address,
+      revokedSessions: revoked,
+      ...auditLog.requestContext(req)
+    });
 
-    // FIX: Added backticks
-    console.log(`✅ Transaction recorded: ${fromUserData.address} -> ${toUserData.address} (${amount})`);
+    const session = await sessionManager.createSession({
+      username: userData.username,
+      address: userData.address,
+      role: userData.role
+    });
+    sessionManager.unlockKey(session.sessionId, result.privateKey);
 
     res.json({
       success: true,
-      message: 'Transaction completed successfully',
-      transaction: transaction
+      message: 'Account recovered; all previous sessions have been signed out',
+      revokedSessions: revoked,
+      ...session,
+      user: {
+        username: userData.username,
+        address: userData.address,
+        userId: userData.address,
+        role: userData.role || 'user'
+      }
     });
 
   } catch (error) {
-    console.error('❌ Transaction error:', error);
+    console.error('❌ Recovery error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -402,81 +860,2046 @@ app.post('/api/transaction/send', async (req, res) => {
   }
 });
 
-// Queue offline transaction
-app.post('/api/transaction/queue', async (req, res) => {
+// ===== BALANCE ENDPOINTS =====
+
+// Get user balance from smart contract
+app.get('/api/balance/:userId', sessionManager.authenticate, async (req, res) => {
   try {
-    const { fromUserId, toUserId, amount } = req.body;
+    const { userId } = req.params;
     
     // FIX: Added backticks
-    console.log(`📋 Queuing transaction: ${fromUserId} -> ${toUserId} (${amount})`);
-    
-    if (!fromUserId || !toUserId || !amount) {
-      return res.status(400).json({ 
+    console.log(`💰 Balance request for: ${userId}`);
+
+    if (!sessionManager.isSelf(req.user, userId) && req.user.role !== 'admin') {
+      return res.status(403).json({ 
         success: false, 
-        message: 'All fields are required' 
+        message: 'You can only view your own balance' 
       });
     }
-
-    const users = await readJsonFile(USERS_FILE);
     
-    if (!users) {
-      return res.status(500).json({ 
+    // Find user by userId (address) or username
+    const userData = await findUser(userId);
+
+    if (!userData) {
+      // FIX: Added backticks
+      console.log(`❌ User not found: ${userId}`);
+      return res.status(404).json({ 
         success: false, 
-        message: 'Users database not found' 
+        message: 'User not found' 
       });
     }
 
-    // Find users
-    const fromUserEntry = Object.entries(users).find(([key, value]) => {
-      return value.address.toLowerCase() === fromUserId.toLowerCase();
-    });
-
-    const toUserEntry = Object.entries(users).find(([key, value]) => {
-      return value.address.toLowerCase() === toUserId.toLowerCase();
-    });
-
-    if (!fromUserEntry || !toUserEntry) {
-      return res.status(404).json({ 
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
         success: false, 
-        message: 'User not found' 
+        code: selected.code,
+        message: selected.message 
       });
     }
+    const { network } = selected;
 
-    const [fromUsername, fromUserData] = fromUserEntry;
-    const [toUsername, toUserData] = toUserEntry;
+    // FIX: Added backticks
+    console.log(`🔍 Fetching balances for address: ${userData.address} on ${network.id}`);
+
+    const result = await readBalances(userData.address, network);
+    if (!result.balances) {
+      console.log(`❌ Balance fetch failed on ${network.id}: ${result.message}`);
+      return res.status(result.status).json({ 
+        success: false, 
+        code: result.code,
+        message: result.message 
+      });
+    }
+
+    // FIX: Added backticks
+    console.log(`✅ Balance fetched successfully: ${result.balances.balance} tokens`);
+
+    res.json({
+      success: true,
+      ...result.balances,
+      userId: userData.address
+    });
+
+  } catch (error) {
+    console.error('❌ Balance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error: ' + error.message
+    });
+  }
+});
+
+// Move ETH from the user's wallet into their BridgePay balance
+app.post('/api/balance/deposit', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { amount, password } = req.body;
+
+    console.log(`📥 Deposit request from ${req.user.username} (${amount})`);
+
+    const amountWei = amount !== undefined ? parseAmountWei(amount) : null;
+    if (!amountWei) {
+      return res.status(400).json({ 
+        success: false, 
+        code: 'INVALID_AMOUNT',
+        message: 'Amount must be greater than 0' 
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    const unlocked = await unlockSigningKey(req, req.user.username, password);
+    if (!unlocked.privateKey) {
+      return res.status(unlocked.status).json({ 
+        success: false, 
+        code: unlocked.code,
+        message: unlocked.message 
+      });
+    }
+
+    const result = await chain.depositToContract(unlocked.privateKey, amountWei);
+    if (!result.success) {
+      console.log(`❌ Deposit failed (${result.code}): ${result.error}`);
+      return res.status(result.code.startsWith('INSUFFICIENT_') ? 400 : 502).json({ 
+        success: false, 
+        code: result.code,
+        message: result.error 
+      });
+    }
+
+    await recordBalanceEvent(result, network);
+    const contractResult = await chain.getContractBalance(result.address);
+
+    res.json({
+      success: true,
+      message: 'Deposit confirmed on chain',
+      network: network.id,
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      amount: ethers.formatEther(amountWei),
+      contractBalance: contractResult.success ? contractResult.balance : null
+    });
+
+  } catch (error) {
+    console.error('❌ Deposit error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Move ETH from the user's BridgePay balance back to their wallet
+app.post('/api/balance/withdraw', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { amount, password } = req.body;
+
+    console.log(`📤 Withdrawal request from ${req.user.username} (${amount})`);
+
+    const amountWei = amount !== undefined ? parseAmountWei(amount) : null;
+    if (!amountWei) {
+      return res.status(400).json({ 
+        success: false, 
+        code: 'INVALID_AMOUNT',
+        message: 'Amount must be greater than 0' 
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    const unlocked = await unlockSigningKey(req, req.user.username, password);
+    if (!unlocked.privateKey) {
+      return res.status(unlocked.status).json({ 
+        success: false, 
+        code: unlocked.code,
+        message: unlocked.message 
+      });
+    }
+
+    // Pending offline payments would fail to finalize if their funds left
+    const contractResult = await chain.getContractBalance(req.user.address);
+    if (!contractResult.success) {
+      return res.status(502).json({ 
+        success: false, 
+        message: 'Could not read BridgePay balance: ' + contractResult.error 
+      });
+    }
+
+    const lockedWei = await offlineLimits.getLockedWei(req.user.address, network);
+    const contractWei = BigInt(contractResult.balanceWei);
+    const availableWei = contractWei > lockedWei ? contractWei - lockedWei : 0n;
+    if (amountWei > availableWei) {
+      return res.status(400).json({ 
+        success: false, 
+        code: amountWei > contractWei ? 'INSUFFICIENT_CONTRACT_BALANCE' : 'FUNDS_LOCKED',
+        message: `Only ${ethers.formatEther(availableWei)} ${network.nativeCurrency} can be withdrawn; ` +
+          `${ethers.formatEther(lockedWei)} ${network.nativeCurrency} is held for pending offline payments`,
+        availableBalance: parseFloat(ethers.formatEther(availableWei)),
+        lockedBalance: parseFloat(ethers.formatEther(lockedWei))
+      });
+    }
+
+    const result = await chain.withdrawFromContract(unlocked.privateKey, amountWei);
+    if (!result.success) {
+      console.log(`❌ Withdrawal failed (${result.code}): ${result.error}`);
+      return res.status(result.code.startsWith('INSUFFICIENT_') ? 400 : 502).json({ 
+        success: false, 
+        code: result.code,
+        message: result.error 
+      });
+    }
+
+    await recordBalanceEvent(result, network);
+    const updated = await chain.getContractBalance(result.address);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal confirmed on chain',
+      network: network.id,
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      amount: ethers.formatEther(amountWei),
+      contractBalance: updated.success ? updated.balance : null
+    });
+
+  } catch (error) {
+    console.error('❌ Withdrawal error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// ===== TRANSACTION ENDPOINTS =====
+
+// Send transaction (online)
+app.post('/api/transaction/send', sessionManager.authenticate, idempotency.middleware('send', { bodyKey: 'clientTxId' }), async (req, res) => {
+  try {
+    const paying = await applyInvoice(req);
+    if (paying.invoice === undefined) {
+      return res.status(paying.status).json({ 
+        success: false, 
+        code: paying.code,
+        message: paying.message 
+      });
+    }
+    const { invoice } = paying;
+
+    const { fromUserId, toUserId, amount, password } = req.body;
+    
+    // FIX: Added backticks
+    console.log(`💸 Transaction request: ${fromUserId} -> ${toUserId} (${amount})`);
+    
+    if (!fromUserId || !toUserId || !amount) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required' 
+      });
+    }
+
+    if (!sessionManager.isSelf(req.user, fromUserId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only send from your own account' 
+      });
+    }
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        code: 'INVALID_AMOUNT',
+        message: 'Amount must be greater than 0' 
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    // Find sender and receiver by address; fromUserId may be the caller's username
+    const fromUserData = await accountManager.getUserByAddress(req.user.address);
+    const toUserData = await accountManager.getUserByAddress(toUserId);
+
+    if (!fromUserData) {
+      // FIX: Added backticks
+      console.log(`❌ Sender not found: ${fromUserId}`);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sender not found' 
+      });
+    }
+
+    if (!toUserData) {
+      // FIX: Added backticks
+      console.log(`❌ Receiver not found: ${toUserId}`);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Receiver not found' 
+      });
+    }
+
+    // Unlock the sender's key: re-entered password, or the one unlocked at login
+    const unlocked = await unlockSigningKey(req, fromUserData.username, password);
+    if (!unlocked.privateKey) {
+      return res.status(unlocked.status).json({ 
+        success: false, 
+        code: unlocked.code,
+        message: unlocked.message 
+      });
+    }
+    const { privateKey } = unlocked;
+
+    // Create transaction record
+    const transaction = {
+      id: uuidv4(),
+      from: fromUserData.address,
+      fromUserId: fromUserData.address,
+      to: toUserData.address,
+      toUserId: toUserData.address,
+      amount: amount,
+      timestamp: new Date().toISOString(),
+      status: 'submitted',
+      type: 'online',
+      txHash: null,
+      network: network.id,
+      contractAddress: chain.TOKEN_ADDRESS,
+      invoiceId: invoice ? invoice.id : undefined
+    };
+
+    // Balance and gas are checked before broadcasting; the record is only
+    // written once there is a txHash to track
+    const transferResult = await chain.transferTokens(
+      privateKey,
+      toUserData.address,
+      amount,
+      async (txHash) => {
+        transaction.txHash = txHash;
+        transaction.submittedAt = new Date().toISOString();
+        await storage.history.insert(transaction);
+      }
+    );
+
+    if (!transferResult.success) {
+      console.log(`❌ Transfer failed (${transferResult.code}): ${transferResult.error}`);
+
+      if (transaction.txHash) {
+        Object.assign(transaction, {
+          status: 'failed',
+          blockNumber: transferResult.blockNumber,
+          failureReason: transferResult.code,
+          error: transferResult.error
+        });
+        await storage.history.update(transaction.id, transaction);
+      }
+
+      const statuses = {
+        INSUFFICIENT_TOKEN_BALANCE: 400,
+        INSUFFICIENT_GAS: 400,
+        PERMIT_NOT_SUPPORTED: 400,
+        SPONSOR_LIMIT_EXCEEDED: 429,
+        TOKEN_NOT_CONFIGURED: 503
+      };
+      return res.status(statuses[transferResult.code] || 502).json({ 
+        success: false, 
+        code: transferResult.code,
+        message: transferResult.error,
+        transaction: transaction.txHash ? transaction : undefined
+      });
+    }
+
+    Object.assign(transaction, {
+      status: 'confirmed',
+      blockNumber: transferResult.blockNumber,
+      sponsored: transferResult.sponsored || undefined,
+      confirmedAt: new Date().toISOString()
+    });
+    await storage.history.update(transaction.id, transaction);
+
+    // FIX: Added backticks
+    console.log(`✅ Transaction confirmed: ${fromUserData.address} -> ${toUserData.address} (${amount})`);
+
+    res.json({
+      success: true,
+      message: 'Transaction confirmed on chain',
+      txHash: transferResult.txHash,
+      blockNumber: transferResult.blockNumber,
+      transaction: transaction,
+      invoice: invoice ? await invoiceManager.matchTransaction(transaction) : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Transaction error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Prepare an offline transaction for EIP-712 signing
+app.post('/api/transaction/prepare', sessionManager.authenticate, async (req, res) => {
+  try {
+    const paying = await applyInvoice(req);
+    if (paying.invoice === undefined) {
+      return res.status(paying.status).json({ 
+        success: false, 
+        code: paying.code,
+        message: paying.message 
+      });
+    }
+    const { invoice } = paying;
+
+    const { fromUserId, toUserId, amount } = req.body;
+
+    console.log(`✍️  Preparing offline transaction: ${fromUserId} -> ${toUserId} (${amount})`);
+
+    if (!fromUserId || !toUserId || !amount) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required' 
+      });
+    }
+
+    if (!sessionManager.isSelf(req.user, fromUserId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only send from your own account' 
+      });
+    }
+
+    const amountWei = parseAmountWei(amount);
+    if (!amountWei) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Amount must be a number greater than 0' 
+      });
+    }
+
+    // fromUserId may be the caller's username
+    const fromUserData = await accountManager.getUserByAddress(req.user.address);
+    const toUserData = await accountManager.getUserByAddress(toUserId);
+
+    if (!fromUserData || !toUserData) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    // Refuse to sign for what the queue would reject
+    const allowed = await offlineLimits.check(fromUserData.address, network, amountWei, fromUserData);
+    if (!allowed.success) {
+      return res.status(allowed.code === 'CHAIN_UNAVAILABLE' ? 503 : 400).json({
+        success: false,
+        code: allowed.code,
+        message: allowed.error,
+        allowance: allowed.allowance || undefined
+      });
+    }
+
+    const nonceResult = await chain.getOfflineNonce(fromUserData.address);
+    if (!nonceResult.success) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Could not read nonce from BridgePay: ' + nonceResult.error
+      });
+    }
+
+    const domain = await chain.getEip712Domain();
+
+    res.json({
+      success: true,
+      network: network.id,
+      domain: domain,
+      types: contractManager.OFFLINE_TX_TYPES,
+      primaryType: 'OfflineTransaction',
+      message: {
+        from: fromUserData.address,
+        to: toUserData.address,
+        amount: amountWei.toString(),
+        nonce: nonceResult.nonce,
+        expiry: Math.floor(Date.now() / 1000) + OFFLINE_TX_EXPIRY_DAYS * 24 * 60 * 60,
+        // An invoice's clientTxId is how its payment is recognised on chain
+        clientTxId: invoice ? invoice.clientTxId : ethers.hexlify(ethers.randomBytes(32))
+      },
+      invoiceId: invoice ? invoice.id : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Prepare error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Queue offline transaction
+app.post('/api/transaction/queue', sessionManager.authenticate, idempotency.middleware('queue', { bodyKey: 'clientTxId' }), async (req, res) => {
+  try {
+    const { fromUserId, toUserId, amount, signature, nonce, expiry, clientTxId } = req.body;
+    
+    // FIX: Added backticks
+    console.log(`📋 Queuing transaction: ${fromUserId} -> ${toUserId} (${amount})`);
+    
+    if (!fromUserId || !toUserId || !amount) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required' 
+      });
+    }
+
+    if (!sessionManager.isSelf(req.user, fromUserId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only queue payments from your own account' 
+      });
+    }
+
+    if (!signature || nonce === undefined || !expiry || !clientTxId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Signed offline transaction required (signature, nonce, expiry, clientTxId)' 
+      });
+    }
+
+    // Amount is signed in wei, so it must be a valid decimal ETH amount
+    const amountWei = parseAmountWei(amount);
+    if (!amountWei) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Amount must be a number greater than 0' 
+      });
+    }
+
+    if (!ethers.isHexString(clientTxId, 32)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'clientTxId must be a 32-byte hex string' 
+      });
+    }
+
+    if (Number(expiry) <= Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Signed transaction has expired' 
+      });
+    }
+
+    // The signature is only valid on the network whose domain it signed
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    // Find users
+    // fromUserId may be the caller's username
+    const fromUserData = await accountManager.getUserByAddress(req.user.address);
+    const toUserData = await accountManager.getUserByAddress(toUserId);
+
+    if (!fromUserData || !toUserData) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    // Reject signatures that BridgePay would reject on sync
+    let signer;
+    try {
+      signer = await chain.recoverOfflineTxSigner({
+        from: fromUserData.address,
+        to: toUserData.address,
+        amount: amountWei,
+        nonce: nonce,
+        expiry: expiry,
+        clientTxId: clientTxId
+      }, signature);
+    } catch (error) {
+      signer = null;
+    }
+
+    if (!signer || signer.toLowerCase() !== fromUserData.address.toLowerCase()) {
+      console.log(`❌ Invalid signature for queued transaction from ${fromUserData.address}`);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid signature: does not recover the sender address' 
+      });
+    }
+
+    // Create queued transaction
+    const transaction = {
+      id: uuidv4(),
+      from: fromUserData.address,
+      fromUser: fromUserData.username,
+      fromUserId: fromUserData.address,
+      to: toUserData.address,
+      toUserId: toUserData.address,
+      amount: amount,
+      amountWei: amountWei.toString(),
+      // EIP-712 authorization relayed to BridgePay.submitOfflineTx on sync
+      signature: signature,
+      nonce: Number(nonce),
+      expiry: Number(expiry),
+      clientTxId: clientTxId,
+      network: network.id,
+      timestamp: new Date().toISOString(),
+      status: 'pending'
+    };
+
+    // Add to offline queue if the sender's balance and offline limits cover
+    // it; the checks and the insert are atomic
+    let reserved;
+    try {
+      reserved = await offlineLimits.reserve(transaction, { unique: ['clientTxId'] });
+    } catch (error) {
+      if (error.code !== 'DUPLICATE') {
+        throw error;
+      }
+      return res.status(409).json({ 
+        success: false, 
+        message: 'clientTxId already queued' 
+      });
+    }
+    if (!reserved.success) {
+      console.log(`❌ Offline payment from ${fromUserData.address} rejected (${reserved.code})`);
+      return res.status(reserved.code === 'CHAIN_UNAVAILABLE' ? 503 : 400).json({
+        success: false,
+        code: reserved.code,
+        message: reserved.error,
+        allowance: reserved.allowance || undefined
+      });
+    }
+
+    // FIX: Added backticks
+    console.log(`✅ Transaction queued: ${transaction.id}`);
+
+    const remainingWei = BigInt(reserved.allowance.remainingWei) - amountWei;
+    res.json({
+      success: true,
+      message: 'Transaction queued for offline processing',
+      transactionId: transaction.id,
+      network: network.id,
+      remainingAllowance: ethers.formatEther(remainingWei)
+    });
+
+  } catch (error) {
+    console.error('❌ Queue error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Encode a signed offline transaction as a compact payload for the payer to
+// show as a QR code or write to an NFC tag (see offlinePayload.js)
+app.post('/api/transaction/payload', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signed offline transaction required (message, signature)'
+      });
+    }
+
+    if (!sessionManager.isSelf(req.user, message.from)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only encode payments from your own account'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+    const { network, chain } = selected;
+
+    let signer;
+    try {
+      signer = await chain.recoverOfflineTxSigner(message, signature);
+    } catch (error) {
+      signer = null;
+    }
+    if (!signer || signer.toLowerCase() !== message.from.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        code: 'BAD_SIGNATURE',
+        message: 'Invalid signature: does not recover the sender address'
+      });
+    }
+
+    const domain = await chain.getEip712Domain();
+    let payload;
+    try {
+      payload = offlinePayload.encode({
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract,
+        message: message,
+        signature: signature
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        code: error.failureCode,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      network: network.id,
+      version: offlinePayload.VERSION,
+      payload: payload,
+      length: payload.length
+    });
+
+  } catch (error) {
+    console.error('❌ Payload encode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Decode a scanned payload and check it against the chain
+app.post('/api/transaction/payload/decode', sessionManager.authenticate, async (req, res) => {
+  try {
+    let payment;
+    try {
+      payment = offlinePayload.decode(req.body.payload);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        code: error.failureCode,
+        message: error.message
+      });
+    }
+
+    const verified = await verifyPayload(payment);
+    if (!verified.network) {
+      return res.status(verified.status).json({
+        success: false,
+        code: verified.code,
+        message: verified.message,
+        payment: payment
+      });
+    }
+
+    res.json({
+      success: true,
+      network: verified.network.id,
+      payment: { ...payment, amount: ethers.formatEther(payment.message.amount) },
+      valid: !verified.code,
+      code: verified.code,
+      reason: verified.reason,
+      checks: verified.checks
+    });
+
+  } catch (error) {
+    console.error('❌ Payload decode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Queue a payment received as a payload, on behalf of the payee once they
+// are back online; the payer may still be offline
+app.post('/api/transaction/payload/accept', sessionManager.authenticate, async (req, res) => {
+  try {
+    let payment;
+    try {
+      payment = offlinePayload.decode(req.body.payload);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        code: error.failureCode,
+        message: error.message
+      });
+    }
+    const { message } = payment;
+
+    if (!sessionManager.isSelf(req.user, message.to)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only accept payments made to your own account'
+      });
+    }
+
+    console.log(`📥 Accepting payload payment: ${message.from} -> ${message.to}`);
+
+    const verified = await verifyPayload(payment);
+    if (!verified.network) {
+      return res.status(verified.status).json({
+        success: false,
+        code: verified.code,
+        message: verified.message
+      });
+    }
+    if (verified.code) {
+      return res.status(verified.code === 'ALREADY_QUEUED' ? 409 : 400).json({
+        success: false,
+        code: verified.code,
+        message: verified.reason,
+        checks: verified.checks
+      });
+    }
+    const { network } = verified;
+
+    const fromUserData = await accountManager.getUserByAddress(message.from);
+
+    // Same record as /api/transaction/queue, so sync relays it
+    const transaction = {
+      id: uuidv4(),
+      from: message.from,
+      fromUser: fromUserData ? fromUserData.username : null,
+      fromUserId: message.from,
+      to: message.to,
+      toUserId: message.to,
+      amount: ethers.formatEther(message.amount),
+      amountWei: message.amount,
+      signature: payment.signature,
+      nonce: message.nonce,
+      expiry: message.expiry,
+      clientTxId: message.clientTxId,
+      network: network.id,
+      source: 'payload',
+      acceptedBy: req.user.username,
+      timestamp: new Date().toISOString(),
+      status: 'pending'
+    };
+
+    // The payer's balance and offline limits apply as if they had queued it
+    let reserved;
+    try {
+      reserved = await offlineLimits.reserve(transaction, { unique: ['clientTxId'] });
+    } catch (error) {
+      if (error.code !== 'DUPLICATE') {
+        throw error;
+      }
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_QUEUED',
+        message: 'This payment is already queued'
+      });
+    }
+    if (!reserved.success) {
+      console.log(`❌ Payload payment from ${message.from} rejected (${reserved.code})`);
+      return res.status(reserved.code === 'CHAIN_UNAVAILABLE' ? 503 : 400).json({
+        success: false,
+        code: reserved.code,
+        message: reserved.error,
+        checks: verified.checks
+      });
+    }
+
+    console.log(`✅ Payload payment queued: ${transaction.id}`);
+
+    res.json({
+      success: true,
+      message: 'Transaction queued for offline processing',
+      transactionId: transaction.id,
+      network: network.id,
+      checks: verified.checks
+    });
+
+  } catch (error) {
+    console.error('❌ Payload accept error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get pending transactions
+app.get('/api/transaction/pending/:userId', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!sessionManager.isSelf(req.user, userId) && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only view your own transactions' 
+      });
+    }
+    
+    const filter = networkFilter(req);
+    if (!filter.matches) {
+      return res.status(filter.status).json({ 
+        success: false, 
+        code: filter.code,
+        message: filter.message 
+      });
+    }
+
+    // userId may be a username; records are kept by address
+    const userData = sessionManager.isSelf(req.user, userId)
+      ? await accountManager.getUserByAddress(req.user.address)
+      : await findUser(userId);
+    const address = userData ? userData.address : userId;
+
+    const userPendingTxs = (await storage.queue.find([
+      { status: 'pending', fromUserId: address },
+      { status: 'pending', from: address },
+      { status: 'relaying', from: address }
+    ])).filter(filter.matches);
+
+    // Relayed payments still inside their dispute window, sent or received
+    const awaitingFinalization = (await storage.history.find([
+      { status: 'submitted', from: address },
+      { status: 'submitted', to: address }
+    ])).filter(filter.matches).map(withDisputeWindow);
+
+    // What the user can still pay offline on each network with BridgePay
+    const allowanceNetworks = req.query.network
+      ? [selectNetwork(req).network]
+      : networks.list().filter(network => network.bridgePayAddress);
+    const offlineAllowance = await Promise.all(allowanceNetworks.map(async network => {
+      const result = await offlineLimits.getAllowance(address, network, userData);
+      return result.success ? result.allowance : { network: network.id, code: result.code, error: result.error };
+    }));
+
+    res.json({
+      success: true,
+      count: userPendingTxs.length,
+      transactions: userPendingTxs,
+      awaitingFinalization: awaitingFinalization,
+      offlineAllowance: offlineAllowance
+    });
+
+  } catch (error) {
+    console.error('❌ Pending transactions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Sync offline transactions
+app.post('/api/transaction/sync', sessionManager.authenticate, async (req, res) => {
+  try {
+    // FIX: Added backticks/quotes
+    console.log('🔄 Syncing offline transactions...');
+
+    // One network if asked for, otherwise every network with a relayer
+    let relayNetworks = networks.list();
+    if (req.query.network || req.body.network) {
+      const selected = selectNetwork(req);
+      if (!selected.network) {
+        return res.status(selected.status).json({ 
+          success: false, 
+          code: selected.code,
+          message: selected.message 
+        });
+      }
+      relayNetworks = [selected.network];
+    }
+
+    relayNetworks = relayNetworks.filter(network => contractManager.forNetwork(network).hasRelayer());
+    if (relayNetworks.length === 0) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Relayer not configured' 
+      });
+    }
+    
+    // The relayer pays the gas, so a user relays only payments they sent or
+    // are owed; an admin relays everyone's
+    const isAdmin = req.user.role === 'admin';
+    const candidates = (await storage.queue.find([{ status: 'pending' }, { status: 'relaying' }]))
+      .filter(tx => relayNetworks.includes(networks.forRecord(tx)))
+      .filter(tx => isAdmin || sessionManager.isSelf(req.user, tx.from) || sessionManager.isSelf(req.user, tx.to));
+
+    // Claim each item by moving it to relaying in one storage update, so a
+    // sync running at the same time skips it instead of relaying it again
+    const pendingTxs = [];
+    for (const candidate of candidates) {
+      if (candidate.status === 'relaying' && await isRelayInFlight(candidate)) {
+        continue;
+      }
+      let claimed = false;
+      const record = await storage.queue.update(candidate.id, tx => {
+        const abandoned = tx.status === 'relaying' &&
+          Date.now() - new Date(tx.relayingAt).getTime() >= RELAY_CLAIM_TIMEOUT_MS;
+        if (tx.status === 'pending' || abandoned) {
+          tx.status = 'relaying';
+          tx.relayingAt = new Date().toISOString();
+          claimed = true;
+        }
+      });
+      if (claimed) {
+        pendingTxs.push(record);
+      }
+    }
+    
+    if (pendingTxs.length === 0) {
+      console.log('✅ No pending transactions to sync');
+      return res.json({
+        success: true,
+        message: 'No pending transactions to sync',
+        synced: 0,
+        failed: 0
+      });
+    }
+
+    let syncedCount = 0;
+    let failedCount = 0;
+    const results = [];
+
+    // Relay each pending transaction to BridgePay, one at a time so the
+    // relayer's account nonce stays in order
+    for (let tx of pendingTxs) {
+      if (!tx.signature || tx.nonce === null || tx.nonce === undefined || !tx.expiry || !tx.clientTxId) {
+        tx.status = 'failed';
+        tx.failureReason = 'MISSING_SIGNATURE';
+        tx.error = 'Transaction was queued without an EIP-712 signature';
+        tx.failedAt = new Date().toISOString();
+        await storage.queue.update(tx.id, tx);
+        failedCount++;
+        results.push({ id: tx.id, status: tx.status, failureReason: tx.failureReason, error: tx.error });
+        console.log(`❌ Cannot relay unsigned transaction: ${tx.id}`);
+        continue;
+      }
+
+      const chain = chainFor(tx);
+      const relayResult = await chain.submitOfflineTx({
+        from: tx.from,
+        to: tx.to,
+        amountWei: tx.amountWei || ethers.parseEther(tx.amount.toString()).toString(),
+        signature: tx.signature,
+        nonce: tx.nonce,
+        expiry: tx.expiry,
+        clientTxId: tx.clientTxId
+      });
+
+      if (!relayResult.success) {
+        failedCount++;
+        // Contract rejections are final; anything else (RPC outage, gas) goes
+        // back to pending so the next sync retries it
+        if (relayResult.reason) {
+          tx.status = 'failed';
+          tx.failureReason = relayResult.reason;
+          tx.failedAt = new Date().toISOString();
+        } else {
+          tx.status = 'pending';
+        }
+        tx.error = relayResult.error;
+        await storage.queue.update(tx.id, tx);
+        results.push({
+          id: tx.id,
+          status: tx.status,
+          failureReason: relayResult.reason || 'RELAY_ERROR',
+          error: relayResult.error
+        });
+        console.log(`❌ Failed to relay transaction ${tx.id}: ${relayResult.error}`);
+        continue;
+      }
+
+      const invoice = await completeRelay(tx, chain, relayResult);
+      syncedCount++;
+      results.push({
+        id: tx.id,
+        network: tx.network,
+        status: tx.status,
+        txHash: tx.txHash,
+        onChainTxId: tx.onChainTxId,
+        invoiceId: invoice ? invoice.id : undefined
+      });
+      
+      // FIX: Added backticks
+      console.log(`✅ Synced transaction: ${tx.id} (${tx.txHash})`);
+    }
+
+    // FIX: Added backticks
+    console.log(`✅ Sync complete: ${syncedCount} synced, ${failedCount} failed`);
+
+    // Payers and payees with a stream open hear how their payments went
+    const resultsByAddress = {};
+    for (const result of results) {
+      const tx = pendingTxs.find(pending => pending.id === result.id);
+      for (const address of new Set([tx.from, tx.to].map(party => party.toLowerCase()))) {
+        (resultsByAddress[address] = resultsByAddress[address] || []).push(result);
+      }
+    }
+    for (const [address, own] of Object.entries(resultsByAddress)) {
+      eventStream.publish(address, 'sync', { results: own });
+    }
+
+    res.json({
+      success: true,
+      // FIX: Added backticks for the message property
+      message: `Synced ${syncedCount} transactions`,
+      synced: syncedCount,
+      failed: failedCount,
+      results: results
+    });
+
+  } catch (error) {
+    console.error('❌ Sync error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Dispute a relayed offline transaction during its dispute window
+app.post('/api/transaction/:id/dispute', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password, evidence } = req.body;
+
+    console.log(`⚖️  Dispute request for ${id} by ${req.user.username}`);
+
+    if (!password || !evidence || !evidence.text) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'password and evidence.text are required' 
+      });
+    }
+
+    if (typeof evidence.text !== 'string' || evidence.text.length > 1000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'evidence.text must be a string of at most 1000 characters' 
+      });
+    }
+
+    if (evidence.fileHash !== undefined && !ethers.isHexString(evidence.fileHash, 32)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'evidence.fileHash must be a 32-byte hex string (e.g. sha-256 of the file)' 
+      });
+    }
+
+    const userData = req.user;
+
+    // Unlock the caller's key; disputeTx must come from a party
+    const loginResult = await accountManager.login(req.user.username, password);
+    if (!loginResult.success) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password'
+      });
+    }
+
+    const transaction = await findRelayedTransaction(id);
+
+    if (!transaction || !transaction.onChainTxId) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Relayed offline transaction not found' 
+      });
+    }
+
+    const address = userData.address.toLowerCase();
+    if (transaction.from.toLowerCase() !== address && transaction.to.toLowerCase() !== address) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the payer or payee can dispute this transaction' 
+      });
+    }
+
+    const chain = chainFor(transaction);
+    if (!chain) {
+      return res.status(503).json({ 
+        success: false, 
+        message: `Network ${transaction.network} is not configured` 
+      });
+    }
+
+    // Check against the contract rather than local status, which may lag
+    const onChain = await chain.getOfflineTransaction(transaction.onChainTxId);
+    const block = await chain.getLatestBlock();
+    if (!onChain.success || !block.success) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Could not read transaction from BridgePay: ' + (onChain.error || block.error)
+      });
+    }
+
+    if (onChain.transaction.status !== 'PENDING') {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Transaction is ${onChain.transaction.status.toLowerCase()}, not pending` 
+      });
+    }
+
+    const windowEndsAt = onChain.transaction.submittedAt + contractManager.DISPUTE_WINDOW_SECONDS;
+    if (block.timestamp >= windowEndsAt) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Dispute window closed' 
+      });
+    }
+
+    const disputeEvidence = {
+      text: evidence.text,
+      fileHash: evidence.fileHash || null
+    };
+
+    const disputeResult = await chain.disputeOfflineTx(
+      loginResult.privateKey,
+      transaction.onChainTxId,
+      ethers.toUtf8Bytes(JSON.stringify(disputeEvidence))
+    );
+
+    if (!disputeResult.success) {
+      console.log(`❌ Dispute failed: ${disputeResult.error}`);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Dispute failed: ' + disputeResult.error
+      });
+    }
+
+    const updated = await storage.history.update(transaction.id, {
+      status: 'disputed',
+      disputedBy: disputeResult.disputedBy,
+      disputedAt: new Date().toISOString(),
+      disputeTxHash: disputeResult.txHash,
+      disputeEvidence: disputeEvidence
+    });
+
+    console.log(`✅ Transaction ${transaction.id} disputed in block ${disputeResult.blockNumber}`);
+
+    res.json({
+      success: true,
+      message: 'Transaction disputed',
+      transaction: updated,
+      txHash: disputeResult.txHash,
+      blockNumber: disputeResult.blockNumber
+    });
+
+  } catch (error) {
+    console.error('❌ Dispute error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Look up an offline transaction in BridgePay by its on-chain txHash or its clientTxId
+app.get('/api/transaction/onchain/:id', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ethers.isHexString(id, 32)) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a 32-byte hex txHash or clientTxId'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    const result = await chain.findOfflineTransaction(id);
+    if (!result.success) {
+      const notFound = result.error === 'Transaction not found';
+      return res.status(notFound ? 404 : 502).json({
+        success: false,
+        message: notFound ? result.error : 'Could not read BridgePay: ' + result.error
+      });
+    }
+
+    const { transaction } = result;
+    const record = await findRelayedTransaction(transaction.onChainTxId);
+    const windowEndsAt = transaction.submittedAt + contractManager.DISPUTE_WINDOW_SECONDS;
+
+    res.json({
+      success: true,
+      network: network.id,
+      matchedBy: result.matchedBy,
+      transaction: {
+        ...transaction,
+        disputeWindowEndsAt: new Date(windowEndsAt * 1000).toISOString()
+      },
+      // The server's own record of it, if it relayed the payment
+      recordId: record ? record.id : null
+    });
+
+  } catch (error) {
+    console.error('❌ On-chain lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get transaction history
+app.get('/api/transaction/history/:userId', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    // FIX: Added backticks
+    console.log(`📜 History request for: ${userId}`);
+
+    if (!sessionManager.isSelf(req.user, userId) && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only view your own transactions' 
+      });
+    }
+    
+    const filter = networkFilter(req);
+    if (!filter.matches) {
+      return res.status(filter.status).json({ 
+        success: false, 
+        code: filter.code,
+        message: filter.message 
+      });
+    }
+
+    // ?cursor=&limit= pages; from, to, direction, type, status, minAmount
+    // and maxAmount filter (see historyQuery.js)
+    const parsed = historyQuery.parseFilters(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ 
+        success: false, 
+        code: parsed.code,
+        message: parsed.error 
+      });
+    }
+
+    const userData = await findUser(userId);
+    const address = userData ? userData.address : userId;
+    const network = req.query.network ? networks.resolve(req.query.network) : null;
+    const page = await historyQuery.query(address, parsed.filters, network);
+
+    // FIX: Added backticks
+    console.log(`✅ Returning ${page.transactions.length} transactions`);
+
+    res.json({
+      success: true,
+      count: page.transactions.length,
+      transactions: page.transactions.map(withDisputeWindow),
+      nextCursor: page.nextCursor,
+      hasMore: page.nextCursor !== null
+    });
+
+  } catch (error) {
+    console.error('❌ History error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Statement of a user's balances on one network for a period, as JSON or
+// CSV (?format=csv). The period defaults to the current month so far.
+app.get('/api/transaction/statement/:userId', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!sessionManager.isSelf(req.user, userId) && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You can only view your own statements' 
+      });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'format must be json or csv' 
+      });
+    }
+
+    const parsed = historyQuery.parseFilters({ from: req.query.from, to: req.query.to });
+    if (!parsed.success) {
+      return res.status(400).json({ 
+        success: false, 
+        code: parsed.code,
+        message: parsed.error 
+      });
+    }
+    const now = new Date();
+    const from = parsed.filters.from !== null ? parsed.filters.from : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const to = parsed.filters.to !== null ? parsed.filters.to : now.getTime();
+
+    const userData = await findUser(userId);
+    if (!userData) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+
+    console.log(`🧾 Statement for ${userData.address} on ${selected.network.id}: ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+
+    const result = await historyQuery.buildStatement(userData.address, selected.network, from, to);
+    if (!result.success) {
+      return res.status(502).json({ 
+        success: false, 
+        code: result.code,
+        message: result.error 
+      });
+    }
+    const { statement } = result;
+
+    const filename = `statement-${userData.address}-${statement.from.slice(0, 10)}-${statement.to.slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(historyQuery.toCsv(statement));
+    } else {
+      res.json({
+        success: true,
+        statement: statement
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Statement error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// ===== INVOICE ENDPOINTS =====
+
+// Create a payment request for the signed-in merchant
+app.post('/api/invoices', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { amount, memo, reference, expiresInMinutes } = req.body;
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is required'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+
+    const result = await invoiceManager.create(req.user, {
+      amount,
+      memo,
+      reference,
+      expiresInMinutes,
+      network: selected.network
+    });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice: result.invoice
+    });
+
+  } catch (error) {
+    console.error('❌ Invoice create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the signed-in merchant's invoices (admins: any merchant's with ?merchant=)
+app.get('/api/invoices', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { status, reference } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    if (status && !invoiceManager.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${invoiceManager.STATUSES.join(', ')}`
+      });
+    }
+
+    let merchant = req.user.address;
+    if (req.query.merchant && !sessionManager.isSelf(req.user, req.query.merchant)) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own invoices'
+        });
+      }
+      const merchantUser = await findUser(req.query.merchant);
+      merchant = merchantUser ? merchantUser.address : req.query.merchant;
+    }
+
+    let network = null;
+    if (req.query.network) {
+      const selected = selectNetwork(req);
+      if (!selected.network) {
+        return res.status(selected.status).json({
+          success: false,
+          code: selected.code,
+          message: selected.message
+        });
+      }
+      network = selected.network;
+    }
+
+    const invoices = await invoiceManager.list(merchant, { status, reference, network, limit });
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      invoices: invoices
+    });
+
+  } catch (error) {
+    console.error('❌ Invoice list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Look up an invoice, e.g. after scanning its payment URI
+app.get('/api/invoices/:id', sessionManager.authenticate, async (req, res) => {
+  try {
+    const invoice = await invoiceManager.get(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        code: 'INVOICE_NOT_FOUND',
+        message: 'Invoice not found'
+      });
+    }
+
+    // Payers see what they need to pay; payments stay with the merchant
+    const isMerchant = sessionManager.isSelf(req.user, invoice.merchant) || req.user.role === 'admin';
+    const { payment, otherPayments, ...summary } = invoice;
+
+    res.json({
+      success: true,
+      invoice: isMerchant ? invoice : summary
+    });
+
+  } catch (error) {
+    console.error('❌ Invoice lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel an open invoice
+app.post('/api/invoices/:id/cancel', sessionManager.authenticate, async (req, res) => {
+  try {
+    const invoice = await invoiceManager.get(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        code: 'INVOICE_NOT_FOUND',
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!sessionManager.isSelf(req.user, invoice.merchant)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only cancel your own invoices'
+      });
+    }
+
+    const result = await invoiceManager.cancel(invoice.id);
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    console.log(`🧾 Invoice ${invoice.id} cancelled`);
+
+    res.json({
+      success: true,
+      invoice: result.invoice
+    });
+
+  } catch (error) {
+    console.error('❌ Invoice cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== WEBHOOK ENDPOINTS =====
+
+// Subscribe a URL to transaction events. The signing secret is only returned here.
+app.post('/api/webhooks', sessionManager.authenticate, async (req, res) => {
+  try {
+    const { url, scope, events } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'url is required'
+      });
+    }
+
+    const result = await webhookManager.subscribe(req.user, { url, scope, events });
+    if (!result.success) {
+      return res.status(result.code === 'LIMIT_EXCEEDED' ? 409 : 400).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Keep the secret: it signs every delivery and is not shown again',
+      webhook: result.subscription
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook subscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the caller's webhooks
+app.get('/api/webhooks', sessionManager.authenticate, async (req, res) => {
+  try {
+    const webhooks = await webhookManager.list(req.user.username);
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      events: webhookManager.EVENTS,
+      webhooks: webhooks
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', sessionManager.authenticate, async (req, res) => {
+  try {
+    const found = await findOwnedWebhook(req, req.params.id);
+    if (!found.subscription) {
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    await webhookManager.unsubscribe(found.subscription.id);
+    console.log(`🪝 Webhook ${found.subscription.id} removed`);
+
+    res.json({
+      success: true,
+      message: 'Webhook removed'
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook remove error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delivery log for a webhook, newest first (?status=pending|delivered|failed)
+app.get('/api/webhooks/:id/deliveries', sessionManager.authenticate, async (req, res) => {
+  try {
+    const found = await findOwnedWebhook(req, req.params.id);
+    if (!found.subscription) {
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    const deliveries = await webhookManager.getDeliveries(found.subscription.id, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Send a delivery again, e.g. after fixing the receiver
+app.post('/api/webhooks/deliveries/:id/replay', sessionManager.authenticate, async (req, res) => {
+  try {
+    const delivery = await webhookManager.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const found = await findOwnedWebhook(req, delivery.subscriptionId);
+    if (!found.subscription) {
+      return res.status(found.status).json({
+        success: false,
+        message: found.message
+      });
+    }
+
+    const replayed = await webhookManager.replay(delivery.id);
+    console.log(`🪝 Replaying webhook delivery ${delivery.id}`);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued again',
+      delivery: replayed
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// ===== STREAM ENDPOINTS =====
+
+// Server-sent events for the caller's own address: balance, transaction,
+// payment and sync (see eventStream.js). One network with ?network=,
+// otherwise all of them. The stream ends when its access token expires or
+// the session is revoked; reconnect with a fresh token.
+app.get('/api/stream', tokenFromQuery, sessionManager.authenticate, (req, res) => {
+  let streamNetworks = networks.list();
+  if (req.query.network) {
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+    streamNetworks = [selected.network];
+  }
+
+  eventStream.subscribe(req, res, req.user, streamNetworks);
+});
+
+// ===== ADMIN ENDPOINTS =====
+
+// Admin funding page; it signs in and calls the routes below
+app.get('/admin', (req, res) => {
+  res.sendFile(ADMIN_PAGE);
+});
+
+// Every admin route needs a session with the admin role
+app.use('/api/admin', sessionManager.authenticate, sessionManager.requireRole('admin'));
+
+// List relayed transactions stuck past the force-finalize delay
+app.get('/api/admin/force-finalize', async (req, res) => {
+  try {
+    const includeAll = req.query.all === 'true';
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+    const { network, chain } = selected;
+
+    const submitted = (await storage.history.find({ status: 'submitted' }))
+      .filter(tx => networks.forRecord(tx) === network);
+
+    // Eligibility is judged on chain time, like the contract does
+    const block = await chain.getLatestBlock();
+    if (!block.success) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Could not read latest block: ' + block.error
+      });
+    }
+
+    const candidates = submitted.filter(tx => 
+      tx.onChainTxId && 
+      (includeAll || tx.chainSubmittedAt + contractManager.FORCE_FINALIZE_DELAY_SECONDS <= block.timestamp)
+    );
+
+    const transactions = [];
+    for (const tx of candidates) {
+      const status = await getForceFinalizeStatus(tx, block.timestamp);
+      if (status.onChainStatus === 'PENDING') {
+        transactions.push(status);
+      }
+    }
+
+    res.json({
+      success: true,
+      network: network.id,
+      count: transactions.length,
+      chainTime: new Date(block.timestamp * 1000).toISOString(),
+      transactions: transactions
+    });
+
+  } catch (error) {
+    console.error('❌ Force-finalize list error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Internal server error' 
+    });
+  }
+});
+
+// Submit a MULTISIG_ROLE approval for forceFinalize
+app.post('/api/admin/force-finalize/:id/approve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, password, signedTransaction } = req.body;
+
+    console.log(`🔏 Force-finalize approval for ${id}`);
+
+    if (!signedTransaction && (!userId || !password)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Provide userId and password of a multisig account, or a signedTransaction' 
+      });
+    }
+
+    const transaction = await findRelayedTransaction(id);
+
+    if (!transaction || !transaction.onChainTxId) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Relayed offline transaction not found' 
+      });
+    }
+
+    const chain = chainFor(transaction);
+    if (!chain) {
+      return res.status(503).json({ 
+        success: false, 
+        message: `Network ${transaction.network} is not configured` 
+      });
+    }
+
+    const block = await chain.getLatestBlock();
+    if (!block.success) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Could not read latest block: ' + block.error
+      });
+    }
+
+    const status = await getForceFinalizeStatus(transaction, block.timestamp);
+
+    if (status.onChainStatus !== 'PENDING') {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Transaction is ${(status.onChainStatus || 'unknown').toLowerCase()}, not pending` 
+      });
+    }
+
+    if (!status.eligible) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Force-finalize delay has not elapsed (eligible at ${status.forceFinalizeEligibleAt})` 
+      });
+    }
 
-    // Create queued transaction
-    const transaction = {
-      id: uuidv4(),
-      from: fromUserData.address,
-      fromUser: fromUsername,
-      fromUserId: fromUserData.address,
-      to: toUserData.address,
-      toUserId: toUserData.address,
-      amount: amount,
-      timestamp: new Date().toISOString(),
-      status: 'pending'
-    };
+    // Work out who is approving
+    let signer;
+    let privateKey = null;
+    if (signedTransaction) {
+      try {
+        signer = ethers.Transaction.from(signedTransaction).from;
+      } catch (error) {
+        signer = null;
+      }
+      if (!signer) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'signedTransaction is not a valid signed transaction' 
+        });
+      }
+    } else {
+      const user = await findUser(userId);
+
+      if (!user) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'User not found' 
+        });
+      }
 
-    // Add to offline queue
-    let queue = await readJsonFile(OFFLINE_QUEUE_FILE);
-    if (!queue) queue = [];
-    if (!Array.isArray(queue)) queue = [queue];
-    
-    queue.push(transaction);
-    await writeJsonFile(OFFLINE_QUEUE_FILE, queue);
+      const loginResult = await accountManager.login(user.username, password);
+      if (!loginResult.success) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid password'
+        });
+      }
+      signer = loginResult.address;
+      privateKey = loginResult.privateKey;
+    }
 
-    // FIX: Added backticks
-    console.log(`✅ Transaction queued: ${transaction.id}`);
+    const roleResult = await chain.hasMultisigRole(signer);
+    if (!roleResult.success || !roleResult.hasRole) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `${signer} does not hold MULTISIG_ROLE` 
+      });
+    }
+
+    if (status.signers.some(address => address.toLowerCase() === signer.toLowerCase())) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `${signer} has already approved this transaction` 
+      });
+    }
+
+    const result = signedTransaction
+      ? await chain.broadcastForceFinalize(signedTransaction, transaction.onChainTxId)
+      : await chain.forceFinalizeOfflineTx(privateKey, transaction.onChainTxId);
+
+    if (!result.success) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Approval failed: ' + result.error
+      });
+    }
+
+    const signers = result.thresholdReached ? result.signers : [...status.signers, result.signer];
+
+    if (result.thresholdReached) {
+      await storage.history.update(transaction.id, {
+        status: 'finalized',
+        finalizedBy: 'multisig',
+        finalizedAt: new Date(result.finalizedAt * 1000).toISOString(),
+        finalizedBlock: result.blockNumber,
+        forceFinalizeSigners: signers
+      });
+
+      console.log(`✅ Threshold reached, ${transaction.id} auto-finalized`);
+    }
 
     res.json({
       success: true,
-      message: 'Transaction queued for offline processing',
-      transactionId: transaction.id
+      message: result.thresholdReached
+        ? 'Threshold reached: transaction auto-finalized'
+        : `Approval recorded (${signers.length}/${contractManager.MULTISIG_THRESHOLD})`,
+      thresholdReached: result.thresholdReached,
+      signers: signers,
+      signaturesNeeded: Math.max(0, contractManager.MULTISIG_THRESHOLD - signers.length),
+      txHash: result.txHash,
+      blockNumber: result.blockNumber
     });
 
   } catch (error) {
-    console.error('❌ Queue error:', error);
+    console.error('❌ Force-finalize approval error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -484,137 +2907,384 @@ app.post('/api/transaction/queue', async (req, res) => {
   }
 });
 
-// Get pending transactions
-app.get('/api/transaction/pending/:userId', async (req, res) => {
+// Mint tokens to an address, within the funding caps
+app.post('/api/admin/fund', async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    let queue = await readJsonFile(OFFLINE_QUEUE_FILE);
-    if (!queue) queue = [];
-    if (!Array.isArray(queue)) queue = [queue];
-
-    const userPendingTxs = queue.filter(tx => 
-      tx.status === 'pending' && 
-      (tx.fromUserId.toLowerCase() === userId.toLowerCase() || 
-       tx.from.toLowerCase() === userId.toLowerCase())
-    );
+    const { address, reason } = req.body;
+    // amountETH is what earlier copies of admin-fund.html sent
+    const amount = req.body.amount !== undefined ? req.body.amount : req.body.amountETH;
+
+    if (!address || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address and amount are required'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+
+    const result = await fundingManager.fundAddress(address, amount, req.user.username, reason || null, selected.network);
+
+    if (!result.success) {
+      console.log(`❌ Funding failed (${result.code}): ${result.error}`);
+
+      const statuses = {
+        INVALID_ADDRESS: 400,
+        INVALID_AMOUNT: 400,
+        LIMIT_EXCEEDED: 429,
+        FUNDING_FAILED: 502,
+        TOKEN_NOT_CONFIGURED: 503
+      };
+      return res.status(statuses[result.code] || 500).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    const { entry } = result;
+    await auditLog.record('admin_fund', {
+      username: req.user.username,
+      network: entry.network,
+      address: entry.address,
+      amount: entry.amount,
+      txHash: entry.txHash,
+      ...auditLog.requestContext(req)
+    });
 
     res.json({
       success: true,
-      count: userPendingTxs.length,
-      transactions: userPendingTxs
+      message: 'Address funded',
+      network: entry.network,
+      address: entry.address,
+      amountAdded: entry.amount,
+      newBalance: result.newBalance,
+      txHash: entry.txHash,
+      blockNumber: entry.blockNumber,
+      fundingId: entry.id
     });
 
   } catch (error) {
-    console.error('❌ Pending transactions error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
+    console.error('❌ Funding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
   }
 });
 
-// Sync offline transactions
-app.post('/api/transaction/sync', async (req, res) => {
+// Token balance of an address and what it can still be funded
+app.get('/api/admin/fund/:address', async (req, res) => {
   try {
-    // FIX: Added backticks/quotes
-    console.log('🔄 Syncing offline transactions...');
-    
-    let queue = await readJsonFile(OFFLINE_QUEUE_FILE);
-    if (!queue) queue = [];
-    if (!Array.isArray(queue)) queue = [queue];
+    const { address } = req.params;
 
-    const pendingTxs = queue.filter(tx => tx.status === 'pending');
-    
-    if (pendingTxs.length === 0) {
-      console.log('✅ No pending transactions to sync');
-      return res.json({
-        success: true,
-        message: 'No pending transactions to sync',
-        synced: 0,
-        failed: 0
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address'
       });
     }
 
-    let syncedCount = 0;
-    let failedCount = 0;
-    let history = await readJsonFile(TRANSACTION_HISTORY_FILE);
-    if (!history) history = [];
-    if (!Array.isArray(history)) history = [history];
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+    const { network, chain } = selected;
 
-    // Process each pending transaction
-    for (let tx of pendingTxs) {
-      tx.status = 'completed';
-      tx.syncedAt = new Date().toISOString();
-      tx.type = 'offline-synced';
-      
-      history.push(tx);
-      syncedCount++;
-      
-      // FIX: Added backticks
-      console.log(`✅ Synced transaction: ${tx.id}`);
+    const balanceResult = await chain.getTokenBalance(address);
+    if (!balanceResult.success) {
+      return res.status(balanceResult.code === 'TOKEN_NOT_CONFIGURED' ? 503 : 502).json({
+        success: false,
+        code: balanceResult.code,
+        message: 'Could not read balance: ' + balanceResult.error
+      });
     }
 
-    await writeJsonFile(OFFLINE_QUEUE_FILE, queue);
-    await writeJsonFile(TRANSACTION_HISTORY_FILE, history);
+    res.json({
+      success: true,
+      network: network.id,
+      address: ethers.getAddress(address),
+      balance: balanceResult.balance,
+      limits: await fundingManager.getLimits(address, network)
+    });
+
+  } catch (error) {
+    console.error('❌ Funding status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-    // FIX: Added backticks
-    console.log(`✅ Sync complete: ${syncedCount} synced, ${failedCount} failed`);
+// Funding ledger, newest first
+app.get('/api/admin/funding', async (req, res) => {
+  try {
+    let network = null;
+    if (req.query.network) {
+      const selected = selectNetwork(req);
+      if (!selected.network) {
+        return res.status(selected.status).json({
+          success: false,
+          code: selected.code,
+          message: selected.message
+        });
+      }
+      network = selected.network;
+    }
+
+    const entries = await fundingManager.getLedger({
+      address: req.query.address,
+      status: req.query.status,
+      network: network,
+      limit: parseInt(req.query.limit) || 100
+    });
 
     res.json({
       success: true,
-      // FIX: Added backticks for the message property
-      message: `Synced ${syncedCount} transactions`,
-      synced: syncedCount,
-      failed: failedCount
+      count: entries.length,
+      entries: entries
     });
 
   } catch (error) {
-    console.error('❌ Sync error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
+    console.error('❌ Funding ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
   }
 });
 
-// Get transaction history
-app.get('/api/transaction/history/:userId', async (req, res) => {
+// Gas sponsored for users: ledger entries (newest first) and totals per user
+app.get('/api/admin/gas-sponsorship', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 20;
-    
-    // FIX: Added backticks
-    console.log(`📜 History request for: ${userId} (limit: ${limit})`);
-    
-    let history = await readJsonFile(TRANSACTION_HISTORY_FILE);
-    if (!history) history = [];
-    if (!Array.isArray(history)) history = [history];
-
-    // Filter transactions for this user
-    const userTxs = history.filter(tx => 
-      tx.fromUserId.toLowerCase() === userId.toLowerCase() || 
-      tx.toUserId.toLowerCase() === userId.toLowerCase() ||
-      tx.from.toLowerCase() === userId.toLowerCase() || 
-      tx.to.toLowerCase() === userId.toLowerCase()
-    );
+    let network = null;
+    if (req.query.network) {
+      const selected = selectNetwork(req);
+      if (!selected.network) {
+        return res.status(selected.status).json({
+          success: false,
+          code: selected.code,
+          message: selected.message
+        });
+      }
+      network = selected.network;
+    }
 
-    // Sort by timestamp and limit
-    const sortedTxs = userTxs
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    const [entries, totals] = await Promise.all([
+      gasSponsor.getLedger({
+        address: req.query.address,
+        status: req.query.status,
+        network: network,
+        limit: parseInt(req.query.limit) || 100
+      }),
+      gasSponsor.getTotals({ network: network })
+    ]);
+
+    // Name the users behind the addresses
+    for (const total of totals) {
+      const user = await accountManager.getUserByAddress(total.address);
+      total.username = user ? user.username : null;
+    }
 
-    // FIX: Added backticks
-    console.log(`✅ Returning ${sortedTxs.length} transactions`);
+    res.json({
+      success: true,
+      mode: gasSponsor.MODE,
+      totals: totals,
+      count: entries.length,
+      entries: entries
+    });
+
+  } catch (error) {
+    console.error('❌ Gas sponsorship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Gas sponsorship caps for one address
+app.get('/api/admin/gas-sponsorship/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
 
     res.json({
       success: true,
-      count: sortedTxs.length,
-      transactions: sortedTxs
+      limits: await gasSponsor.getLimits(ethers.getAddress(address), selected.network)
     });
 
   } catch (error) {
-    console.error('❌ History error:', error);
+    console.error('❌ Gas sponsorship limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// A user's offline spending limits and what they can still pay offline
+app.get('/api/admin/offline-limits/:username', async (req, res) => {
+  try {
+    const user = await storage.users.get(req.params.username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({
+        success: false,
+        code: selected.code,
+        message: selected.message
+      });
+    }
+
+    const result = await offlineLimits.getAllowance(user.address, selected.network, user);
+    res.json({
+      success: true,
+      limits: offlineLimits.getLimits(user),
+      allowance: result.success ? result.allowance : null,
+      allowanceError: result.success ? undefined : result.error
+    });
+
+  } catch (error) {
+    console.error('❌ Offline limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set a user's offline credit limit and per-transaction cap (null restores
+// the default)
+app.post('/api/admin/offline-limits/:username', async (req, res) => {
+  try {
+    const { creditLimit, maxPerTransaction } = req.body;
+    if (creditLimit === undefined && maxPerTransaction === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'creditLimit or maxPerTransaction is required'
+      });
+    }
+
+    const result = await offlineLimits.setLimits(req.params.username, { creditLimit, maxPerTransaction });
+    if (!result.success) {
+      return res.status(result.code === 'USER_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    await auditLog.record('admin_offline_limits', {
+      username: req.user.username,
+      target: req.params.username,
+      creditLimit: result.limits.creditLimit,
+      maxPerTransaction: result.limits.maxPerTransaction,
+      ...auditLog.requestContext(req)
+    });
+
+    res.json({
+      success: true,
+      limits: result.limits
+    });
+
+  } catch (error) {
+    console.error('❌ Offline limits update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Transactions sent from the admin and relayer keys, newest first
+app.get('/api/admin/outbound', async (req, res) => {
+  try {
+    let network = null;
+    if (req.query.network) {
+      const selected = selectNetwork(req);
+      if (!selected.network) {
+        return res.status(selected.status).json({
+          success: false,
+          code: selected.code,
+          message: selected.message
+        });
+      }
+      network = selected.network;
+    }
+
+    const transactions = await txManager.list({
+      status: req.query.status,
+      purpose: req.query.purpose,
+      network: network,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      transactions: transactions
+    });
+
+  } catch (error) {
+    console.error('❌ Outbound transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Security audit entries, newest first
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    const entries = await auditLog.list({
+      username: req.query.username,
+      action: req.query.action,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries: entries
+    });
+
+  } catch (error) {
+    console.error('❌ Audit log error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -626,37 +3296,102 @@ app.get('/api/transaction/history/:userId', async (req, res) => {
 
 // Health check
 app.get('/api/health', async (req, res) => {
-  const tokenInfo = await contractManager.getTokenInfo();
+  try {
+    const statuses = await Promise.all(networks.list().map(getNetworkHealth));
+    const primary = statuses.find(status => status.isDefault);
+
+    // Down only when the default network is; any other failure is degraded
+    let status = 'ok';
+    let message = 'Server is running';
+    if (primary.status === 'down') {
+      status = 'down';
+      message = `Network ${primary.id} is unavailable`;
+    } else if (statuses.some(network => network.status !== 'ok')) {
+      status = 'degraded';
+      message = 'Server is running with failing RPC endpoints or networks';
+    }
   
-  // FIX: Added quotes around string
-  console.log('🏥 Health check - Token info:', tokenInfo.success ? 'OK' : 'FAILED');
+    // FIX: Added quotes around string
+    console.log(`🏥 Health check (${status}) -`, statuses.map(network =>
+      `${network.id}: ${network.rpc.endpoints.filter(endpoint => endpoint.healthy).length}/${network.rpc.endpoints.length} RPC up, BridgePay ${network.contract ? 'OK' : 'FAILED'}, token ${network.token ? 'OK' : (network.tokenAddress ? 'FAILED' : 'not configured')}`
+    ).join('; '));
   
-  res.json({ 
-    success: true, 
-    message: 'Server is running',
-    network: NETWORK,
-    chainId: CHAIN_ID,
-    contractAddress: contractManager.CONTRACT_ADDRESS,
-    token: tokenInfo.success ? {
-      name: tokenInfo.name,
-      symbol: tokenInfo.symbol,
-      decimals: tokenInfo.decimals
-    } : null,
-    timestamp: new Date().toISOString()
-  });
+    // The top-level fields describe the default network
+    res.status(status === 'down' ? 503 : 200).json({ 
+      success: status !== 'down', 
+      status: status,
+      message: message,
+      network: primary.id,
+      chainId: primary.chainId,
+      contractAddress: primary.bridgePayAddress,
+      contract: primary.contract,
+      contractError: primary.contractError,
+      tokenAddress: primary.tokenAddress,
+      token: primary.token,
+      rpc: primary.rpc,
+      networks: statuses,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // A network's health could not be read at all, as opposed to reading as down
+    console.error('❌ Health check error:', error);
+    res.status(503).json({ 
+      success: false, 
+      status: 'degraded',
+      message: 'Health check failed',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// EIP-712 domain and types for signing offline transactions
+app.get('/api/eip712-domain', async (req, res) => {
+  try {
+    const selected = selectNetwork(req);
+    if (!selected.network) {
+      return res.status(selected.status).json({ 
+        success: false, 
+        code: selected.code,
+        message: selected.message 
+      });
+    }
+
+    const domain = await selected.chain.getEip712Domain();
+
+    res.json({
+      success: true,
+      network: selected.network.id,
+      domain: domain,
+      types: contractManager.OFFLINE_TX_TYPES,
+      primaryType: 'OfflineTransaction'
+    });
+  } catch (error) {
+    console.error('❌ EIP-712 domain error:', error);
+    res.status(503).json({ 
+      success: false, 
+      message: 'Could not determine EIP-712 domain: ' + error.message
+    });
+  }
 });
 
 // Get server info
 app.get('/api/info', async (req, res) => {
-  const tokenInfo = await contractManager.getTokenInfo();
+  const network = networks.getDefault();
+  const tokenInfo = await contractManager.forNetwork(network).getTokenInfo();
   
+  // The top-level fields describe the default network
   res.json({
     success: true,
-    network: NETWORK,
-    chainId: parseInt(CHAIN_ID),
-    rpcConfigured: !!RPC_URL,
-    contractAddress: contractManager.CONTRACT_ADDRESS,
-    token: tokenInfo.success ? tokenInfo : null
+    network: network.id,
+    chainId: network.chainId,
+    rpcConfigured: isRpcConfigured(network),
+    contractAddress: network.bridgePayAddress,
+    tokenAddress: network.tokenAddress,
+    token: tokenInfo.success ? tokenInfo : null,
+    gasSponsorship: gasSponsor.MODE,
+    networks: networks.list().map(networks.describe)
   });
 });
 
@@ -668,28 +3403,71 @@ app.listen(PORT, '0.0.0.0', async () => {
   console.log('========================================');
   console.log(`  Status: RUNNING`);
   console.log(`  Port: ${PORT}`);
-  console.log(`  Network: ${NETWORK}`);
-  console.log(`  Chain ID: ${CHAIN_ID}`);
-  console.log(`  RPC: ${RPC_URL ? 'Configured ✅' : 'NOT CONFIGURED ❌'}`);
-  console.log(`  Contract: ${contractManager.CONTRACT_ADDRESS}`);
+  console.log(`  Storage: ${storage.BACKEND}`);
+  console.log(`  Gas sponsorship: ${gasSponsor.MODE}`);
+  console.log(`  Networks: ${networks.CONFIG_SOURCE === 'file' ? networks.CONFIG_FILE : 'from .env'}`);
   
-  // Get and display token info
-  const tokenInfo = await contractManager.getTokenInfo();
-  if (tokenInfo.success) {
+  for (const network of networks.list()) {
+    const chain = contractManager.forNetwork(network);
+
     // FIX: Added backticks
-    console.log(`  Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
-    console.log(`  Decimals: ${tokenInfo.decimals}`);
-    console.log(`  Total Supply: ${tokenInfo.totalSupply}`);
+    console.log(`  - ${network.name} (${network.id})${network.id === networks.DEFAULT_NETWORK ? ' [default]' : ''}`);
+    console.log(`    Chain ID: ${network.chainId || 'from RPC'}`);
+    console.log(`    RPC: ${isRpcConfigured(network) ? 'Configured ✅' : 'NOT CONFIGURED ❌'}${network.rpcUrls.length > 1 ? ` (${network.rpcUrls.length} endpoints, quorum ${network.quorum})` : ''}`);
+    console.log(`    Contract: ${network.bridgePayAddress}`);
+
+    // Get and display token info
+    const tokenInfo = await chain.getTokenInfo();
+    if (!chain.hasToken()) {
+      console.log('    ⚠  No token address: online sends and funding disabled');
+    } else if (tokenInfo.success) {
+      // FIX: Added backticks
+      console.log(`    Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+      console.log(`    Decimals: ${tokenInfo.decimals}`);
+      console.log(`    Total Supply: ${tokenInfo.totalSupply}`);
+    } else {
+      console.log(`    ⚠  Token info unavailable: ${tokenInfo.error}`);
+    }
+  }
+  
+  // Keep watching transactions a previous run left in flight
+  const resumed = await txManager.resume();
+  if (resumed > 0) {
+    console.log(`  🔁 Resumed ${resumed} outbound transaction(s)`);
+  }
+
+  // Finalize relayed offline payments once their dispute window closes
+  const relaying = networks.list().some(network => contractManager.forNetwork(network).hasRelayer());
+  if (relaying && process.env.FINALIZER_ENABLED !== 'false') {
+    finalizer.start();
   } else {
-    // FIX: Added backticks
-    console.log(`  ⚠  Token info unavailable: ${tokenInfo.error}`);
+    console.log('  ⚠  Finalizer disabled');
+  }
+
+  // Push balance and transaction updates to open streams
+  eventStream.start({ readBalances });
+
+  // POST transaction events to subscribed webhooks
+  if (process.env.WEBHOOKS_ENABLED !== 'false') {
+    webhookManager.start();
+  } else {
+    console.log('  ⚠  Webhook delivery disabled');
+  }
+
+  // Reconcile local history with BridgePay events
+  const deployed = networks.list().some(network => network.bridgePayAddress);
+  if (deployed && process.env.INDEXER_ENABLED !== 'false') {
+    eventIndexer.start();
+  } else {
+    console.log('  ⚠  Event indexer disabled');
   }
   
   console.log('========================================\n');
   
-  if (!RPC_URL || RPC_URL.includes('YOUR_')) {
-    console.log('⚠  WARNING: RPC_URL not configured!');
-    console.log('Please update .env file\n');
+  const unconfigured = networks.list().filter(network => !isRpcConfigured(network));
+  if (unconfigured.length > 0) {
+    console.log(`⚠  WARNING: RPC not configured for ${unconfigured.map(network => network.id).join(', ')}!`);
+    console.log('Please update .env or blockchain_config.json\n');
   }
 });
 
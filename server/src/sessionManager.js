@@ -0,0 +1,281 @@
+// Session Manager
+// Signed access/refresh tokens for API callers, with server-side revocation
+
+const crypto = require('crypto');
+const storage = require('./storage');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;            // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // seconds
+const KEY_UNLOCK_TTL = parseInt(process.env.KEY_UNLOCK_TTL) || 15 * 60;                 // seconds
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    // Tokens stay valid only for the life of this process
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+    console.log('⚠  SESSION_SECRET not set, using a random secret (sessions end on restart)');
+}
+
+// Private keys unlocked at login, by session id. Memory only: never written to
+// disk, and gone after KEY_UNLOCK_TTL, logout or a restart.
+const unlockedKeys = new Map();
+
+const revokeHandlers = [];
+
+// Drop sessions whose refresh token can no longer be used
+async function pruneSessions() {
+    const now = Math.floor(Date.now() / 1000);
+    for (const session of await storage.sessions.all()) {
+        if (session.expiresAt < now) {
+            await storage.sessions.remove(session.sessionId);
+        }
+    }
+}
+
+function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Verify a token's signature and expiry; returns its payload or null
+function verify(token) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (payload.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+function issueTokens(sid, session) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        sid,
+        sub: session.username,
+        addr: session.address,
+        role: session.role
+    };
+
+    return {
+        accessToken: sign({ ...claims, typ: 'access', iat: now, exp: now + ACCESS_TOKEN_TTL }),
+        refreshToken: sign({ ...claims, typ: 'refresh', jti: session.refreshId, iat: now, exp: session.expiresAt }),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL,
+        sessionId: sid
+    };
+}
+
+// Start a session for a user who just logged in or registered
+async function createSession(user) {
+    await pruneSessions();
+
+    const now = Math.floor(Date.now() / 1000);
+    const sid = crypto.randomUUID();
+    const session = await storage.sessions.insert({
+        sessionId: sid,
+        username: user.username,
+        address: user.address,
+        role: user.role || 'user',
+        refreshId: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        expiresAt: now + REFRESH_TOKEN_TTL,
+        revokedAt: null
+    });
+
+    return issueTokens(sid, session);
+}
+
+// Exchange a refresh token for new tokens. Refresh tokens rotate: reusing an
+// old one revokes the whole session, since it has probably leaked.
+async function refreshSession(refreshToken) {
+    const payload = verify(refreshToken);
+    if (!payload || payload.typ !== 'refresh') {
+        return { success: false, error: 'Invalid or expired refresh token' };
+    }
+
+    // Check and rotate in one update, so two uses of the same token cannot
+    // both succeed
+    let outcome = 'revoked';
+    const session = await storage.sessions.update(payload.sid, current => {
+        if (current.revokedAt) {
+            return;
+        }
+        if (current.refreshId !== payload.jti) {
+            current.revokedAt = new Date().toISOString();
+            outcome = 'reused';
+            return;
+        }
+        current.refreshId = crypto.randomUUID();
+        outcome = 'rotated';
+    });
+
+    if (!session || outcome === 'revoked') {
+        return { success: false, error: 'Session has been revoked' };
+    }
+
+    if (outcome === 'reused') {
+        unlockedKeys.delete(payload.sid);
+        notifyRevoked(payload.sid);
+        console.log(`⚠ Refresh token reuse for ${session.username}, session revoked`);
+        return { success: false, error: 'Refresh token already used; session revoked' };
+    }
+
+    return { success: true, ...issueTokens(payload.sid, session) };
+}
+
+// Keep a session's decrypted key so money-moving calls need no password
+function unlockKey(sid, privateKey) {
+    unlockedKeys.set(sid, {
+        privateKey,
+        expiresAt: Date.now() + KEY_UNLOCK_TTL * 1000
+    });
+}
+
+// Get a session's unlocked key, or null if it must be unlocked again
+function getUnlockedKey(sid) {
+    const entry = unlockedKeys.get(sid);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expiresAt < Date.now()) {
+        unlockedKeys.delete(sid);
+        return null;
+    }
+    return entry.privateKey;
+}
+
+// handler(sid) runs when this process revokes a session. Sessions revoked
+// elsewhere (the CLI) are seen by isSessionActive.
+function onRevoke(handler) {
+    revokeHandlers.push(handler);
+}
+
+function notifyRevoked(sid) {
+    for (const handler of revokeHandlers) {
+        try {
+            handler(sid);
+        } catch (error) {
+            console.error('❌ Session revoke handler failed:', error.message);
+        }
+    }
+}
+
+// Whether a session is neither revoked nor past its refresh token's expiry
+async function isSessionActive(sid) {
+    const session = await storage.sessions.get(sid);
+    return Boolean(session && !session.revokedAt && session.expiresAt >= Math.floor(Date.now() / 1000));
+}
+
+// Revoke a single session (logout)
+async function revokeSession(sid) {
+    unlockedKeys.delete(sid);
+    await storage.sessions.update(sid, session => {
+        session.revokedAt = session.revokedAt || new Date().toISOString();
+    });
+    notifyRevoked(sid);
+}
+
+// Revoke every session of a user (logout everywhere)
+async function revokeUserSessions(username) {
+    let revoked = 0;
+    for (const session of await storage.sessions.find({ username: username })) {
+        if (session.revokedAt) {
+            continue;
+        }
+        await storage.sessions.update(session.sessionId, current => {
+            current.revokedAt = current.revokedAt || new Date().toISOString();
+        });
+        unlockedKeys.delete(session.sessionId);
+        notifyRevoked(session.sessionId);
+        revoked++;
+    }
+    return revoked;
+}
+
+// Express middleware: require a valid access token and expose the caller as req.user
+async function authenticate(req, res, next) {
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const payload = verify(token);
+
+        if (!payload || payload.typ !== 'access') {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        // Read from storage on every request so revocations made by the CLI
+        // are seen immediately
+        const session = await storage.sessions.get(payload.sid);
+        if (!session || session.revokedAt) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked'
+            });
+        }
+
+        req.user = {
+            username: session.username,
+            address: session.address,
+            role: session.role,
+            sessionId: payload.sid,
+            tokenExpiresAt: payload.exp
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Express middleware: require the authenticated caller to have a role
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || req.user.role !== role) {
+            return res.status(403).json({
+                success: false,
+                message: `${role} role required`
+            });
+        }
+        next();
+    };
+}
+
+// Check that an address or username in a request refers to the caller
+function isSelf(user, userId) {
+    if (!userId) {
+        return false;
+    }
+    const id = userId.toLowerCase();
+    return id === user.address.toLowerCase() || id === user.username.toLowerCase();
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    onRevoke,
+    isSessionActive,
+    unlockKey,
+    getUnlockedKey,
+    authenticate,
+    requireRole,
+    isSelf
+};
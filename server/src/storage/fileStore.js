@@ -0,0 +1,182 @@
+// File Storage Backend
+// One JSON file per collection. Writes go to a temp file that is renamed over
+// the original, and every read-modify-write holds a per-file lock, so
+// concurrent requests in this process no longer overwrite each other.
+
+const fs = require('fs').promises;
+
+// Pending operations per file; each one waits for the previous to finish
+const locks = new Map();
+let tmpCounter = 0;
+
+async function withLock(filePath, fn) {
+    const previous = locks.get(filePath) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    locks.set(filePath, tail);
+
+    await previous;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (locks.get(filePath) === tail) {
+            locks.delete(filePath);
+        }
+    }
+}
+
+async function readJsonFile(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Readers only ever see the old or the new file, never a partial write
+async function writeJsonFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp-${process.pid}-${++tmpCounter}`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 4), 'utf8');
+    await fs.rename(tmpPath, filePath);
+}
+
+// String comparisons are case-insensitive (addresses, hashes, usernames)
+function sameValue(actual, expected) {
+    if (typeof actual === 'string' && typeof expected === 'string') {
+        return actual.toLowerCase() === expected.toLowerCase();
+    }
+    return actual === expected;
+}
+
+// A filter is { field: value, ... } or an array of those, any of which may match
+function matches(record, filter) {
+    const clauses = Array.isArray(filter) ? filter : [filter];
+    return clauses.some(clause =>
+        Object.entries(clause).every(([field, value]) => sameValue(record[field], value))
+    );
+}
+
+function duplicateError(message) {
+    const error = new Error(message);
+    error.code = 'DUPLICATE';
+    return error;
+}
+
+// options.key: field that identifies a record
+// options.file: path of the JSON file
+// options.keyed: stored as an object keyed by options.key (blockchain_users.json,
+//                sessions.json) rather than an array
+function createRepository(name, options) {
+    const { key, file, keyed } = options;
+
+    async function load() {
+        const data = await readJsonFile(file);
+        if (!data) {
+            return [];
+        }
+        if (keyed) {
+            return Object.entries(data).map(([id, value]) => ({ [key]: id, ...value }));
+        }
+        return Array.isArray(data) ? data : [data];
+    }
+
+    async function save(records) {
+        if (!keyed) {
+            return writeJsonFileAtomic(file, records);
+        }
+
+        const data = {};
+        for (const record of records) {
+            const { [key]: id, ...value } = record;
+            data[id] = value;
+        }
+        return writeJsonFileAtomic(file, data);
+    }
+
+    async function all() {
+        return load();
+    }
+
+    async function get(id) {
+        const records = await load();
+        return records.find(record => record[key] === id) || null;
+    }
+
+    async function find(filter) {
+        const records = await load();
+        return records.filter(record => matches(record, filter));
+    }
+
+    // Add a record; fails with code DUPLICATE if its key, or any of the
+    // unique fields, is already taken
+    async function insert(record, { unique = [] } = {}) {
+        return withLock(file, async () => {
+            const records = await load();
+
+            if (records.some(existing => existing[key] === record[key])) {
+                throw duplicateError(`${name} ${record[key]} already exists`);
+            }
+            for (const field of unique) {
+                if (record[field] !== undefined && records.some(existing => sameValue(existing[field], record[field]))) {
+                    throw duplicateError(`${name} with ${field} ${record[field]} already exists`);
+                }
+            }
+
+            records.push(record);
+            await save(records);
+            return record;
+        });
+    }
+
+    // Merge changes into a record, or pass a function that edits it in place.
+    // Returns the updated record, or null if there is none with that key.
+    async function update(id, changes) {
+        return withLock(file, async () => {
+            const records = await load();
+            const record = records.find(existing => existing[key] === id);
+            if (!record) {
+                return null;
+            }
+
+            if (typeof changes === 'function') {
+                changes(record);
+            } else {
+                Object.assign(record, changes);
+            }
+            record[key] = id;
+
+            await save(records);
+            return record;
+        });
+    }
+
+    async function remove(id) {
+        return withLock(file, async () => {
+            const records = await load();
+            const kept = records.filter(record => record[key] !== id);
+            if (kept.length === records.length) {
+                return false;
+            }
+            await save(kept);
+            return true;
+        });
+    }
+
+    return { name, key, all, get, find, insert, update, remove };
+}
+
+async function close() {}
+
+module.exports = {
+    createRepository,
+    readJsonFile,
+    writeJsonFileAtomic,
+    withLock,
+    close
+};
@@ -0,0 +1,257 @@
+// Storage
+// Repositories for users, sessions, the offline queue, transaction history,
+// the audit log, the funding ledger, transactions sent from server keys, gas
+// sponsored for users, merchant invoices, webhooks and idempotent responses.
+// STORAGE_BACKEND picks where they live: file (default), sqlite or mongo.
+
+const path = require('path');
+const fileStore = require('./fileStore');
+require('dotenv').config();
+
+const BACKEND = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+const DATA_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', '..');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'bridgepay.sqlite');
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bridgepay';
+
+// key: field that identifies a record
+// file: JSON file used by the file backend (and imported by migrate)
+// keyed: file holds an object keyed by the key field rather than an array
+// indexes: fields that are often filtered on
+// watchStatus: report records added and status changes to onStatusChange handlers
+const COLLECTIONS = {
+    users: {
+        key: 'username',
+        file: 'blockchain_users.json',
+        keyed: true,
+        indexes: ['address']
+    },
+    sessions: {
+        key: 'sessionId',
+        file: 'sessions.json',
+        keyed: true,
+        indexes: ['username']
+    },
+    queue: {
+        key: 'id',
+        file: 'offline_transactions.json',
+        indexes: ['status', 'from', 'clientTxId'],
+        watchStatus: true
+    },
+    history: {
+        key: 'id',
+        file: 'transaction_history.json',
+        indexes: ['status', 'from', 'to', 'clientTxId', 'onChainTxId', 'eventId'],
+        watchStatus: true
+    },
+    audit: {
+        key: 'id',
+        file: 'audit_log.json',
+        indexes: ['username', 'action']
+    },
+    funding: {
+        key: 'id',
+        file: 'funding_ledger.json',
+        indexes: ['address', 'status']
+    },
+    outbound: {
+        key: 'id',
+        file: 'outbound_transactions.json',
+        indexes: ['status', 'from', 'purpose']
+    },
+    sponsorship: {
+        key: 'id',
+        file: 'gas_sponsorship.json',
+        indexes: ['address', 'status']
+    },
+    invoices: {
+        key: 'id',
+        file: 'invoices.json',
+        indexes: ['merchant', 'status', 'clientTxId']
+    },
+    webhooks: {
+        key: 'id',
+        file: 'webhooks.json',
+        indexes: ['owner']
+    },
+    webhookDeliveries: {
+        key: 'id',
+        file: 'webhook_deliveries.json',
+        indexes: ['subscriptionId', 'status']
+    },
+    idempotencyKeys: {
+        key: 'id',
+        file: 'idempotency_keys.json',
+        indexes: ['status']
+    }
+};
+
+function loadAdapter(backend) {
+    switch(backend) {
+        case 'file':
+            return fileStore;
+        case 'sqlite':
+            return require('./sqliteStore');
+        case 'mongo':
+            return require('./mongoStore');
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use file, sqlite or mongo)`);
+    }
+}
+
+const statusHandlers = [];
+
+// handler(collection, record, previousStatus) runs after a record is added
+// (previousStatus null) or its status changes, once the write is done
+function onStatusChange(handler) {
+    statusHandlers.push(handler);
+}
+
+function notifyStatusChange(name, record, previousStatus) {
+    for (const handler of statusHandlers) {
+        // A handler cannot fail or hold up the write that triggered it
+        Promise.resolve()
+            .then(() => handler(name, record, previousStatus))
+            .catch(error => console.error(`❌ Status change handler failed for ${name}:`, error.message));
+    }
+}
+
+function watchStatus(name, repository) {
+    return {
+        ...repository,
+        // { announce: false } holds back the notice until announce(record)
+        async insert(record, { announce = true, ...options } = {}) {
+            const inserted = await repository.insert(record, options);
+            if (announce) {
+                notifyStatusChange(name, inserted || record, null);
+            }
+            return inserted;
+        },
+        announce(record) {
+            notifyStatusChange(name, record, null);
+        },
+        async update(id, changes) {
+            let previousStatus;
+            const updated = await repository.update(id, record => {
+                previousStatus = record.status;
+                if (typeof changes === 'function') {
+                    changes(record);
+                } else {
+                    Object.assign(record, changes);
+                }
+            });
+            if (updated && updated.status !== previousStatus) {
+                notifyStatusChange(name, updated, previousStatus);
+            }
+            return updated;
+        }
+    };
+}
+
+function createRepositories(adapter, dataDir, watch = false) {
+    const repositories = {};
+    for (const [name, collection] of Object.entries(COLLECTIONS)) {
+        const repository = adapter.createRepository(name, {
+            ...collection,
+            file: path.join(dataDir, collection.file),
+            path: SQLITE_PATH,
+            uri: MONGODB_URI
+        });
+        repositories[name] = watch && collection.watchStatus ? watchStatus(name, repository) : repository;
+    }
+    return repositories;
+}
+
+const adapter = loadAdapter(BACKEND);
+const repositories = createRepositories(adapter, DATA_DIR, true);
+
+// Import the JSON files from a directory into the configured backend.
+// Records that already exist are skipped, so it is safe to run again.
+async function migrate(sourceDir = DATA_DIR) {
+    try {
+        if (BACKEND === 'file') {
+            throw new Error('STORAGE_BACKEND is file; set it to sqlite or mongo to migrate');
+        }
+
+        const source = createRepositories(fileStore, sourceDir);
+        const summary = {};
+
+        for (const name of Object.keys(COLLECTIONS)) {
+            const target = repositories[name];
+            const records = await source[name].all();
+            summary[name] = { imported: 0, skipped: 0 };
+
+            for (const record of records) {
+                if (await target.get(record[target.key])) {
+                    summary[name].skipped++;
+                    continue;
+                }
+                await target.insert(record);
+                summary[name].imported++;
+            }
+
+            console.log(`✅ ${name}: ${summary[name].imported} imported, ${summary[name].skipped} already present`);
+        }
+
+        return { success: true, backend: BACKEND, ...summary };
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// Background workers (finalizer, event indexer) keep their cursors in a JSON
+// file in DATA_DIR whatever the backend, written like the file backend's
+// collections: under the file's lock, to a temp file renamed over it
+async function readState(file, fallback = null) {
+    const data = await fileStore.readJsonFile(path.join(DATA_DIR, file));
+    return data === null ? fallback : data;
+}
+
+async function writeState(file, state) {
+    const filePath = path.join(DATA_DIR, file);
+    await fileStore.withLock(filePath, () => fileStore.writeJsonFileAtomic(filePath, state));
+}
+
+// Close database connections so CLI tools can exit
+async function close() {
+    await adapter.close();
+}
+
+module.exports = {
+    BACKEND,
+    users: repositories.users,
+    sessions: repositories.sessions,
+    queue: repositories.queue,
+    history: repositories.history,
+    audit: repositories.audit,
+    funding: repositories.funding,
+    outbound: repositories.outbound,
+    sponsorship: repositories.sponsorship,
+    invoices: repositories.invoices,
+    webhooks: repositories.webhooks,
+    webhookDeliveries: repositories.webhookDeliveries,
+    idempotencyKeys: repositories.idempotencyKeys,
+    onStatusChange,
+    readState,
+    writeState,
+    migrate,
+    close
+};
+
+// CLI usage: node src/storage/index.js migrate [dir]
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'migrate':
+            migrate(process.argv[3] ? path.resolve(process.argv[3]) : DATA_DIR).then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log(`  migrate [dir]    Import JSON files from dir (default ${DATA_DIR}) into the ${BACKEND} backend`);
+    }
+}
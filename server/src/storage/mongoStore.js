@@ -0,0 +1,331 @@
+// MongoDB Storage Backend
+// Uses the schemas first sketched in index.ts. Record fields that a schema does
+// not list are stored as they are (strict: false).
+
+const mongoose = require('mongoose');
+
+// Case-insensitive matching, like the file and SQLite backends
+const COLLATION = { locale: 'en', strength: 2 };
+
+// TransactionSchema from index.ts; serverTxId holds the record id
+const TransactionSchema = new mongoose.Schema({
+    serverTxId: { type: String, required: true, unique: true },
+    clientTxId: String,
+    onChainTxId: { type: String, index: true },
+    eventId: String,
+    from: { type: String, index: true },
+    to: { type: String, index: true },
+    nonce: Number,
+    expiry: Number,
+    signature: String,
+    status: { type: String, index: true }
+}, { strict: false, collation: COLLATION });
+
+// Fields inserts may ask to be unique (insert's unique option) in the queue
+// and history. A unique index enforces them, so two inserts racing with the
+// same value cannot both get in; records without the field are not indexed.
+const TRANSACTION_UNIQUE_FIELDS = ['clientTxId', 'eventId'];
+for (const field of TRANSACTION_UNIQUE_FIELDS) {
+    TransactionSchema.index({ [field]: 1 }, {
+        unique: true,
+        partialFilterExpression: { [field]: { $type: 'string' } }
+    });
+}
+
+const UserSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true },
+    address: { type: String, required: true, index: true },
+    encryptedPrivateKey: String,
+    role: { type: String, default: 'user' }
+}, { strict: false, collation: COLLATION });
+
+const SessionSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true, unique: true },
+    username: { type: String, required: true, index: true },
+    refreshId: String,
+    expiresAt: Number,
+    revokedAt: String
+}, { strict: false, collation: COLLATION });
+
+const AuditSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    action: { type: String, index: true },
+    username: { type: String, index: true },
+    timestamp: String
+}, { strict: false, collation: COLLATION });
+
+const FundingSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    address: { type: String, index: true },
+    amount: Number,
+    status: { type: String, index: true },
+    requestedBy: String,
+    txHash: String,
+    createdAt: String
+}, { strict: false, collation: COLLATION });
+
+// Transactions sent from server keys (txManager.js)
+const OutboundSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    network: String,
+    from: { type: String, index: true },
+    nonce: Number,
+    purpose: { type: String, index: true },
+    status: { type: String, index: true },
+    txHash: String,
+    createdAt: String
+}, { strict: false, collation: COLLATION });
+
+// Gas paid for users (gasSponsor.js)
+const SponsorshipSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    network: String,
+    address: { type: String, index: true },
+    mode: String,
+    amountWei: String,
+    status: { type: String, index: true },
+    createdAt: String
+}, { strict: false, collation: COLLATION });
+
+// Merchant payment requests (invoiceManager.js)
+const InvoiceSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    merchant: { type: String, index: true },
+    network: String,
+    amountWei: String,
+    reference: String,
+    clientTxId: { type: String, index: true },
+    status: { type: String, index: true },
+    createdAt: String,
+    expiresAt: String
+}, { strict: false, collation: COLLATION });
+
+// Webhook subscriptions and their deliveries (webhookManager.js)
+const WebhookSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    owner: { type: String, index: true },
+    address: String,
+    url: String,
+    scope: String,
+    events: [String],
+    secret: String,
+    createdAt: String
+}, { strict: false, collation: COLLATION });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    subscriptionId: { type: String, index: true },
+    eventId: String,
+    type: String,
+    status: { type: String, index: true },
+    nextAttemptAt: String,
+    createdAt: String
+}, { strict: false, collation: COLLATION });
+
+// First responses to requests with an Idempotency-Key (idempotency.js)
+const IdempotencyKeySchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    scope: String,
+    status: { type: String, index: true },
+    createdAt: String,
+    expiresAt: String
+}, { strict: false, collation: COLLATION });
+
+// Model and document key field for each collection, and the fields with a
+// unique index
+const MODELS = {
+    users: { model: 'User', schema: UserSchema, docKey: 'username' },
+    sessions: { model: 'Session', schema: SessionSchema, docKey: 'sessionId' },
+    queue: { model: 'QueuedTransaction', schema: TransactionSchema, docKey: 'serverTxId', uniqueFields: TRANSACTION_UNIQUE_FIELDS },
+    history: { model: 'Transaction', schema: TransactionSchema, docKey: 'serverTxId', uniqueFields: TRANSACTION_UNIQUE_FIELDS },
+    audit: { model: 'AuditEntry', schema: AuditSchema, docKey: 'id' },
+    funding: { model: 'FundingEntry', schema: FundingSchema, docKey: 'id' },
+    outbound: { model: 'OutboundTransaction', schema: OutboundSchema, docKey: 'id' },
+    sponsorship: { model: 'SponsorshipEntry', schema: SponsorshipSchema, docKey: 'id' },
+    invoices: { model: 'Invoice', schema: InvoiceSchema, docKey: 'id' },
+    webhooks: { model: 'WebhookSubscription', schema: WebhookSchema, docKey: 'id' },
+    webhookDeliveries: { model: 'WebhookDelivery', schema: WebhookDeliverySchema, docKey: 'id' },
+    idempotencyKeys: { model: 'IdempotencyKey', schema: IdempotencyKeySchema, docKey: 'id' }
+};
+
+let connecting = null;
+
+function connect(uri) {
+    if (!connecting) {
+        connecting = mongoose.connect(uri).then(() => {
+            console.log('✅ Connected to MongoDB');
+        }, error => {
+            // Let the next call try again
+            connecting = null;
+            throw error;
+        });
+    }
+    return connecting;
+}
+
+function duplicateError(message) {
+    const error = new Error(message);
+    error.code = 'DUPLICATE';
+    return error;
+}
+
+// Earlier versions indexed the now unique fields without unique, and MongoDB
+// will not build a second index on the same key
+async function dropPlainIndexes(collection, fields) {
+    let indexes;
+    try {
+        indexes = await collection.indexes();
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound') {
+            // The collection does not exist yet
+            return;
+        }
+        throw error;
+    }
+    for (const index of indexes) {
+        const keys = Object.keys(index.key);
+        if (keys.length === 1 && fields.includes(keys[0]) && !index.unique) {
+            console.log(`🔧 Replacing index ${index.name} on ${collection.collectionName} with a unique one`);
+            await collection.dropIndex(index.name);
+        }
+    }
+}
+
+// options.key: field that identifies a record
+// options.uri: MongoDB connection string
+function createRepository(name, options) {
+    const { key } = options;
+    const { model, schema, docKey, uniqueFields = [] } = MODELS[name];
+    const Model = mongoose.models[model] || mongoose.model(model, schema);
+
+    let ready = null;
+    function collection() {
+        if (!ready) {
+            ready = connect(options.uri)
+                .then(() => dropPlainIndexes(Model.collection, uniqueFields))
+                .then(() => Model.init())
+                .catch(error => {
+                    ready = null;
+                    throw error;
+                });
+        }
+        return ready.then(() => Model.collection);
+    }
+
+    function toDoc(record) {
+        const { [key]: id, ...rest } = record;
+        return { [docKey]: id, ...rest };
+    }
+
+    function toRecord(doc) {
+        if (!doc) {
+            return null;
+        }
+        const { _id, __v, [docKey]: id, ...rest } = doc;
+        return { [key]: id, ...rest };
+    }
+
+    function toQuery(filter) {
+        const clauses = (Array.isArray(filter) ? filter : [filter]).map(clause => {
+            const query = {};
+            for (const [field, value] of Object.entries(clause)) {
+                query[field === key ? docKey : field] = value;
+            }
+            return query;
+        });
+        return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    }
+
+    async function all() {
+        const docs = await (await collection()).find({}).sort({ _id: 1 }).toArray();
+        return docs.map(toRecord);
+    }
+
+    async function get(id) {
+        const doc = await (await collection()).findOne({ [docKey]: id });
+        return toRecord(doc);
+    }
+
+    async function find(filter) {
+        const docs = await (await collection())
+            .find(toQuery(filter), { collation: COLLATION })
+            .sort({ _id: 1 })
+            .toArray();
+        return docs.map(toRecord);
+    }
+
+    async function insert(record, { unique = [] } = {}) {
+        const coll = await collection();
+
+        // Fields without a unique index can only be checked before inserting
+        for (const field of unique.filter(field => !uniqueFields.includes(field))) {
+            if (record[field] !== undefined &&
+                await coll.findOne(toQuery({ [field]: record[field] }), { collation: COLLATION })) {
+                throw duplicateError(`${name} with ${field} ${record[field]} already exists`);
+            }
+        }
+
+        try {
+            await coll.insertOne({ ...toDoc(record), __v: 0 });
+        } catch (error) {
+            if (error.code === 11000) {
+                // Duplicate key: the record's own key or a unique field
+                const [field] = Object.keys(error.keyValue || {});
+                throw duplicateError(field && field !== docKey
+                    ? `${name} with ${field} ${error.keyValue[field]} already exists`
+                    : `${name} ${record[key]} already exists`);
+            }
+            throw error;
+        }
+        return record;
+    }
+
+    // Optimistic update: retried if another writer changed the document
+    // between the read and the write
+    async function update(id, changes) {
+        const coll = await collection();
+
+        for (;;) {
+            const doc = await coll.findOne({ [docKey]: id });
+            if (!doc) {
+                return null;
+            }
+
+            const record = toRecord(doc);
+            if (typeof changes === 'function') {
+                changes(record);
+            } else {
+                Object.assign(record, changes);
+            }
+            record[key] = id;
+
+            const version = doc.__v || 0;
+            const result = await coll.replaceOne(
+                { _id: doc._id, __v: doc.__v },
+                { ...toDoc(record), __v: version + 1 }
+            );
+            if (result.matchedCount === 1) {
+                return record;
+            }
+        }
+    }
+
+    async function remove(id) {
+        const result = await (await collection()).deleteOne({ [docKey]: id });
+        return result.deletedCount > 0;
+    }
+
+    return { name, key, all, get, find, insert, update, remove };
+}
+
+async function close() {
+    if (connecting) {
+        await mongoose.disconnect();
+        connecting = null;
+    }
+}
+
+module.exports = {
+    createRepository,
+    close
+};
@@ -0,0 +1,148 @@
+// SQLite Storage Backend
+// One table per collection holding each record as a JSON document. Needs the
+// optional better-sqlite3 dependency.
+
+const Database = require('better-sqlite3');
+
+let db = null;
+
+function open(filePath) {
+    if (!db) {
+        db = new Database(filePath);
+        // Lets the API and CLI tools (finalizer, indexer) use the file together
+        db.pragma('journal_mode = WAL');
+        db.pragma('busy_timeout = 5000');
+    }
+    return db;
+}
+
+function checkField(field) {
+    if (!/^\w+$/.test(field)) {
+        throw new Error(`Invalid field name: ${field}`);
+    }
+    return field;
+}
+
+function fieldExpression(field) {
+    return `lower(json_extract(data, '$.${checkField(field)}'))`;
+}
+
+// Same filter shape as the file backend; strings compare case-insensitively
+function whereClause(filter) {
+    const clauses = Array.isArray(filter) ? filter : [filter];
+    const params = [];
+
+    const sql = clauses.map(clause => {
+        const parts = Object.entries(clause).map(([field, value]) => {
+            params.push(String(value));
+            return `${fieldExpression(field)} = lower(?)`;
+        });
+        return parts.length > 0 ? `(${parts.join(' AND ')})` : '1';
+    }).join(' OR ');
+
+    return { sql: sql || '1', params };
+}
+
+function duplicateError(message) {
+    const error = new Error(message);
+    error.code = 'DUPLICATE';
+    return error;
+}
+
+// options.key: field that identifies a record
+// options.path: database file
+// options.indexes: fields that are often filtered on
+function createRepository(name, options) {
+    const { key, indexes = [] } = options;
+    const table = checkField(name);
+    open(options.path);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    for (const field of indexes) {
+        db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${checkField(field)} ON ${table} (${fieldExpression(field)})`);
+    }
+
+    const selectAll = db.prepare(`SELECT data FROM ${table} ORDER BY rowid`);
+    const selectOne = db.prepare(`SELECT data FROM ${table} WHERE key = ?`);
+    const insertRow = db.prepare(`INSERT INTO ${table} (key, data) VALUES (?, ?)`);
+    const updateRow = db.prepare(`UPDATE ${table} SET data = ? WHERE key = ?`);
+    const deleteRow = db.prepare(`DELETE FROM ${table} WHERE key = ?`);
+
+    function findSync(filter) {
+        const { sql, params } = whereClause(filter);
+        return db.prepare(`SELECT data FROM ${table} WHERE ${sql} ORDER BY rowid`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    const insertTx = db.transaction((record, unique) => {
+        if (selectOne.get(record[key])) {
+            throw duplicateError(`${name} ${record[key]} already exists`);
+        }
+        for (const field of unique) {
+            if (record[field] !== undefined && findSync({ [field]: record[field] }).length > 0) {
+                throw duplicateError(`${name} with ${field} ${record[field]} already exists`);
+            }
+        }
+        insertRow.run(record[key], JSON.stringify(record));
+        return record;
+    });
+
+    const updateTx = db.transaction((id, changes) => {
+        const row = selectOne.get(id);
+        if (!row) {
+            return null;
+        }
+
+        const record = JSON.parse(row.data);
+        if (typeof changes === 'function') {
+            changes(record);
+        } else {
+            Object.assign(record, changes);
+        }
+        record[key] = id;
+
+        updateRow.run(JSON.stringify(record), id);
+        return record;
+    });
+
+    async function all() {
+        return selectAll.all().map(row => JSON.parse(row.data));
+    }
+
+    async function get(id) {
+        const row = selectOne.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async function find(filter) {
+        return findSync(filter);
+    }
+
+    async function insert(record, { unique = [] } = {}) {
+        return insertTx(record, unique);
+    }
+
+    // A changes function runs inside the transaction, so it must be synchronous
+    async function update(id, changes) {
+        return updateTx(id, changes);
+    }
+
+    async function remove(id) {
+        return deleteRow.run(id).changes > 0;
+    }
+
+    return { name, key, all, get, find, insert, update, remove };
+}
+
+async function close() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+module.exports = {
+    createRepository,
+    close
+};
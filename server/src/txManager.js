@@ -0,0 +1,420 @@
+// Admin Transaction Manager
+// Sends transactions from the server's own keys: PRIVATE_KEY ("admin") and
+// RELAYER_PRIVATE_KEY ("relayer"). Transactions from one account on one
+// network are prepared one at a time with nonces handed out here, so
+// concurrent requests never race for the same nonce. Each transaction is
+// stored in the outbound collection before it is broadcast; one that is not
+// mined within TX_STUCK_TIMEOUT_MS is replaced with the same nonce and higher
+// fees. send() resolves with the receipt once mined. Transactions left in
+// flight by a previous run are picked up by resume(), which tells the
+// handlers registered with onSettled() how they ended.
+
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+const networks = require('./networks');
+const rpcProvider = require('./rpcProvider');
+const storage = require('./storage');
+require('dotenv').config();
+
+// Server-owned keys; the relayer is the admin unless it has its own key
+const SIGNER_KEYS = {
+    admin: process.env.PRIVATE_KEY,
+    relayer: process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY
+};
+
+const STUCK_TIMEOUT_MS = parseInt(process.env.TX_STUCK_TIMEOUT_MS) || 2 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.TX_POLL_INTERVAL_MS) || 1000;
+// Each replacement raises fees by this much; nodes want at least 10%
+const GAS_BUMP_PERCENT = parseInt(process.env.TX_GAS_BUMP_PERCENT) || 25;
+// Replacements never offer more than this per gas (unset: no limit)
+const MAX_FEE_WEI = process.env.TX_MAX_FEE_GWEI ? ethers.parseUnits(process.env.TX_MAX_FEE_GWEI, 'gwei') : null;
+// Polls in a row that may find the nonce used but none of our receipts
+// before the transaction is given up as replaced by someone else
+const NONCE_TAKEN_POLLS = 3;
+
+// `${network}:${address}` -> { tail, nextNonce }
+const lanes = new Map();
+
+// purpose -> handlers for resumed transactions
+const handlers = {};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function codedError(code, message) {
+    const error = new Error(message);
+    error.failureCode = code;
+    return error;
+}
+
+function getSignerAddress(signer) {
+    return SIGNER_KEYS[signer] ? new ethers.Wallet(SIGNER_KEYS[signer]).address : null;
+}
+
+function getWallet(network, signer) {
+    if (!SIGNER_KEYS[signer]) {
+        throw codedError('SIGNER_NOT_CONFIGURED', `No ${signer} key configured`);
+    }
+    return new ethers.Wallet(SIGNER_KEYS[signer], rpcProvider.getProvider(network));
+}
+
+function getLane(network, address) {
+    const id = `${network.id}:${address}`;
+    if (!lanes.has(id)) {
+        lanes.set(id, { tail: Promise.resolve(), nextNonce: null });
+    }
+    return lanes.get(id);
+}
+
+// Run fn after everything already queued on the lane
+function inLane(lane, fn) {
+    const run = lane.tail.then(fn);
+    lane.tail = run.catch(() => {});
+    return run;
+}
+
+// The chain's pending count, but never a nonce that a stored in-flight
+// transaction holds: it may have dropped out of the node's mempool
+async function allocateNonce(lane, network, wallet) {
+    if (lane.nextNonce === null) {
+        const [pendingCount, inFlight] = await Promise.all([
+            wallet.provider.getTransactionCount(wallet.address, 'pending'),
+            storage.outbound.find({ status: 'pending', network: network.id, from: wallet.address })
+        ]);
+        lane.nextNonce = inFlight.reduce((next, record) => Math.max(next, record.nonce + 1), pendingCount);
+    }
+    return lane.nextNonce++;
+}
+
+async function currentFees(provider) {
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas) {
+        return {
+            maxFeePerGas: feeData.maxFeePerGas,
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+        };
+    }
+    return { gasPrice: feeData.gasPrice };
+}
+
+// Fees for a replacement: the last ones raised by GAS_BUMP_PERCENT, or the
+// current ones if higher. null when TX_MAX_FEE_GWEI leaves no room to raise.
+function bumpFees(previous, current) {
+    const bumped = {};
+    for (const [field, value] of Object.entries(previous)) {
+        const raised = BigInt(value) * BigInt(100 + GAS_BUMP_PERCENT) / 100n;
+        bumped[field] = current[field] && current[field] > raised ? current[field] : raised;
+    }
+
+    const capField = bumped.gasPrice !== undefined ? 'gasPrice' : 'maxFeePerGas';
+    if (MAX_FEE_WEI && bumped[capField] > MAX_FEE_WEI) {
+        if (BigInt(previous[capField]) >= MAX_FEE_WEI) {
+            return null;
+        }
+        bumped[capField] = MAX_FEE_WEI;
+        if (bumped.maxPriorityFeePerGas > MAX_FEE_WEI) {
+            bumped.maxPriorityFeePerGas = MAX_FEE_WEI;
+        }
+    }
+    return bumped;
+}
+
+function feesToStrings(fees) {
+    const stored = {};
+    for (const [field, value] of Object.entries(fees)) {
+        stored[field] = value.toString();
+    }
+    return stored;
+}
+
+// Sign the record's transaction with these fees and broadcast it. The
+// attempt is stored first, so a crash mid-broadcast still leaves its hash.
+async function broadcast(wallet, record, fees) {
+    const populated = await wallet.populateTransaction({
+        to: record.to,
+        data: record.data,
+        value: BigInt(record.value),
+        nonce: record.nonce,
+        gasLimit: BigInt(record.gasLimit),
+        ...fees
+    });
+    const signed = await wallet.signTransaction(populated);
+    const attempt = {
+        txHash: ethers.keccak256(signed),
+        fees: feesToStrings(fees),
+        sentAt: new Date().toISOString()
+    };
+
+    await storage.outbound.update(record.id, stored => {
+        stored.attempts.push(attempt);
+        stored.lastAttemptAt = attempt.sentAt;
+    });
+    try {
+        await wallet.provider.broadcastTransaction(signed);
+    } catch (error) {
+        await storage.outbound.update(record.id, stored => {
+            stored.attempts = stored.attempts.filter(existing => existing.txHash !== attempt.txHash);
+        });
+        throw error;
+    }
+
+    return storage.outbound.update(record.id, {
+        txHash: attempt.txHash,
+        fees: attempt.fees
+    });
+}
+
+// Store the transaction with the lane's next nonce and broadcast it. Runs
+// inside the lane; gas is estimated first so a call that would revert is
+// rejected before it takes a nonce.
+async function submit(network, signer, wallet, lane, request, purpose, reference) {
+    const value = request.value ? BigInt(request.value) : 0n;
+    const gasLimit = request.gasLimit || await wallet.estimateGas({
+        to: request.to,
+        data: request.data,
+        value: value
+    });
+    const fees = await currentFees(wallet.provider);
+
+    let record = await storage.outbound.insert({
+        id: uuidv4(),
+        network: network.id,
+        signer: signer,
+        from: wallet.address,
+        to: request.to,
+        data: request.data || '0x',
+        value: value.toString(),
+        gasLimit: gasLimit.toString(),
+        nonce: await allocateNonce(lane, network, wallet),
+        purpose: purpose,
+        reference: reference,
+        status: 'pending',
+        txHash: null,
+        fees: null,
+        attempts: [],
+        replacements: 0,
+        lastAttemptAt: null,
+        createdAt: new Date().toISOString()
+    });
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await broadcast(wallet, record, fees);
+        } catch (error) {
+            // The nonce was not used after all; count again from the chain
+            lane.nextNonce = null;
+            if (error.code === 'NONCE_EXPIRED' && attempt === 0) {
+                // Something outside this manager sent from the key
+                record = await storage.outbound.update(record.id, {
+                    nonce: await allocateNonce(lane, network, wallet)
+                });
+                continue;
+            }
+            await storage.outbound.update(record.id, {
+                status: 'failed',
+                error: error.shortMessage || error.message,
+                settledAt: new Date().toISOString()
+            });
+            throw error;
+        }
+    }
+}
+
+async function findReceipt(provider, record) {
+    for (const attempt of record.attempts) {
+        const receipt = await provider.getTransactionReceipt(attempt.txHash);
+        if (receipt) {
+            return receipt;
+        }
+    }
+    return null;
+}
+
+// Broadcast the record again with higher fees
+async function replace(wallet, record) {
+    const current = await currentFees(wallet.provider);
+    const fees = record.fees ? bumpFees(record.fees, current) : current;
+    if (!fees) {
+        console.warn(`⚠  Outbound transaction ${record.id} is stuck at the TX_MAX_FEE_GWEI cap`);
+        return storage.outbound.update(record.id, { lastAttemptAt: new Date().toISOString() });
+    }
+
+    console.log(`⛽ Replacing stuck transaction ${record.txHash || record.id} (nonce ${record.nonce}) with higher fees`);
+    try {
+        const replaced = await broadcast(wallet, record, fees);
+        return storage.outbound.update(replaced.id, { replacements: replaced.replacements + 1 });
+    } catch (error) {
+        if (error.code === 'NONCE_EXPIRED') {
+            throw error;
+        }
+        // Underpriced for the node or an RPC failure: try again after the next timeout
+        console.warn(`⚠  Replacing ${record.id} failed: ${error.shortMessage || error.message}`);
+        return storage.outbound.update(record.id, {
+            fees: feesToStrings(fees),
+            lastAttemptAt: new Date().toISOString()
+        });
+    }
+}
+
+async function settle(record, receipt) {
+    const status = receipt.status === 1 ? 'confirmed' : 'reverted';
+    return storage.outbound.update(record.id, {
+        status: status,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        settledAt: new Date().toISOString()
+    });
+}
+
+async function fail(record, error) {
+    return storage.outbound.update(record.id, {
+        status: 'failed',
+        error: error.message,
+        settledAt: new Date().toISOString()
+    });
+}
+
+// Wait until one of the record's transactions is mined, replacing it while
+// it is stuck. Resolves with { record, receipt }; a transaction whose nonce
+// was used by someone else resolves with no receipt.
+async function monitor(wallet, record) {
+    let nonceTakenPolls = 0;
+    for (;;) {
+        try {
+            const receipt = await findReceipt(wallet.provider, record);
+            if (receipt) {
+                return { record: await settle(record, receipt), receipt };
+            }
+            if (nonceTakenPolls > 0 && ++nonceTakenPolls > NONCE_TAKEN_POLLS) {
+                const error = codedError('NONCE_TAKEN', `Nonce ${record.nonce} was used by another transaction`);
+                return { record: await fail(record, error), receipt: null, error };
+            }
+
+            const waited = record.lastAttemptAt ? Date.now() - Date.parse(record.lastAttemptAt) : Infinity;
+            if (nonceTakenPolls === 0 && waited >= STUCK_TIMEOUT_MS) {
+                record = await replace(wallet, record);
+            }
+        } catch (error) {
+            if (error.code === 'NONCE_EXPIRED') {
+                // Usually one of our attempts was mined meanwhile
+                nonceTakenPolls = 1;
+            } else {
+                console.warn(`⚠  Checking outbound transaction ${record.id} failed: ${error.shortMessage || error.message}`);
+            }
+        }
+        await sleep(POLL_INTERVAL_MS);
+    }
+}
+
+// Send { to, data, value, gasLimit? } from a server key ('admin' or
+// 'relayer') on a network. purpose and reference are stored with the
+// transaction for onSettled handlers; onSubmitted(txHash) is called once it
+// is broadcast. Resolves with { id, txHash, receipt, replacements } when
+// mined. Throws what estimating gas or broadcasting threw, or an error with
+// failureCode TX_REVERTED (and the receipt) or NONCE_TAKEN.
+async function send(network, signer, request, { purpose = null, reference = null, onSubmitted = null } = {}) {
+    const wallet = getWallet(network, signer);
+    const lane = getLane(network, wallet.address);
+
+    const submitted = await inLane(lane, () =>
+        submit(network, signer, wallet, lane, request, purpose, reference)
+    );
+    if (onSubmitted) {
+        await onSubmitted(submitted.txHash);
+    }
+
+    const { record, receipt, error } = await monitor(wallet, submitted);
+    if (error) {
+        throw error;
+    }
+    if (record.status === 'reverted') {
+        const reverted = codedError('TX_REVERTED', `Transaction ${receipt.hash} reverted`);
+        reverted.receipt = receipt;
+        throw reverted;
+    }
+    return {
+        id: record.id,
+        txHash: record.txHash,
+        receipt: receipt,
+        replacements: record.replacements
+    };
+}
+
+// Be told how a transaction with this purpose ended when it is finished by
+// resume(), that is when the request that sent it is gone
+function onSettled(purpose, handler) {
+    (handlers[purpose] = handlers[purpose] || []).push(handler);
+}
+
+async function notify(record) {
+    for (const handler of handlers[record.purpose] || []) {
+        try {
+            await handler(record);
+        } catch (error) {
+            console.error(`❌ ${record.purpose} handler failed for ${record.id}:`, error.message);
+        }
+    }
+}
+
+// Watch transactions left in flight by a previous run until they are
+// mined or replaced. Returns how many were picked up.
+async function resume() {
+    const inFlight = await storage.outbound.find({ status: 'pending' });
+
+    for (const record of inFlight) {
+        const network = networks.resolve(record.network);
+        if (!network || !SIGNER_KEYS[record.signer]) {
+            console.warn(`⚠  Cannot resume outbound transaction ${record.id}: ${record.network}/${record.signer} is not configured`);
+            continue;
+        }
+
+        console.log(`🔁 Resuming outbound transaction ${record.id} (${record.purpose || 'no purpose'}, nonce ${record.nonce})`);
+        monitor(getWallet(network, record.signer), record)
+            .then(({ record: settled }) => notify(settled))
+            .catch(error => console.error(`❌ Outbound transaction ${record.id}:`, error.message));
+    }
+
+    return inFlight.length;
+}
+
+// Outbound transactions, newest first
+async function list({ status, network, purpose, limit = 100 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (purpose) filter.purpose = purpose;
+
+    const records = await storage.outbound.find(filter);
+    return records
+        .filter(record => !network || record.network === network.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+module.exports = {
+    SIGNER_KEYS,
+    getSignerAddress,
+    send,
+    onSettled,
+    resume,
+    list
+};
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'list':
+            list({ status: process.argv[3] }).then(async records => {
+                console.log(JSON.stringify(records, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  list [status]    Show outbound transactions (pending, confirmed, reverted, failed)');
+    }
+}
@@ -0,0 +1,526 @@
+// Webhook Manager
+// Users subscribe a URL to the lifecycle of their transactions instead of
+// polling history. Whenever a queue or history record is added or changes
+// status, an event is queued as a delivery to each matching subscription:
+//   scope user      payments the owner sent or received
+//   scope merchant  payments the owner received
+// Deliveries are POSTed by a background worker and retried with exponential
+// backoff. Each carries an HMAC-SHA256 signature of its timestamp and body
+// made with the subscription's secret:
+//   X-BridgePay-Signature: t=<unix seconds>,v1=<hex hmac of "<t>.<body>">
+// The delivery log keeps every attempt and any delivery can be replayed.
+//
+// Webhook URLs may not point at loopback, private, link-local or other
+// internal addresses, checked when subscribing and again on every delivery
+// against the address actually connected to. WEBHOOK_ALLOW_PRIVATE_URLS=true
+// lifts this for development (e.g. the local receiver below).
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+require('dotenv').config();
+
+const SCOPES = ['user', 'merchant'];
+const EVENTS = [
+    'transaction.queued',
+    'transaction.submitted',
+    'transaction.confirmed',
+    'transaction.failed',
+    'transaction.disputed',
+    'transaction.finalized',
+    'transaction.expired',
+    'transaction.completed'
+];
+const MAX_SUBSCRIPTIONS = parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 5000;
+const MAX_BACKOFF_MS = parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS) || 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS) || 5000;
+// Receivers should reject signatures older than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Ranges a webhook may not reach: this host, private networks, link-local
+// (including cloud metadata at 169.254.169.254), multicast and reserved
+const BLOCKED_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+// NAT64 addresses are blocked whole rather than unwrapped. IPv4-mapped ones
+// (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList itself;
+// listing ::ffff:0:0/96 here would block every IPv4 address.
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// What a delivery (or a stream event, see eventStream.js) tells the receiver
+// about a transaction. Stored records also hold signatures, usernames and
+// internal bookkeeping, which stay here.
+const TRANSACTION_FIELDS = [
+    'id', 'network', 'type', 'status', 'from', 'to', 'amount', 'amountWei',
+    'clientTxId', 'onChainTxId', 'txHash', 'blockNumber', 'contractAddress',
+    'invoiceId', 'failureReason', 'expiry', 'timestamp', 'syncedAt',
+    'chainSubmittedAt', 'finalizedAt', 'finalizeTxHash'
+];
+
+let timer = null;
+let running = false;
+// Set when new deliveries arrive during a run, so they are not left for the next tick
+let rerun = false;
+
+function webhookError(code, error) {
+    return { success: false, code, error };
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+// For receivers: check an X-BridgePay-Signature header against the raw body
+function verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(hostname, address) {
+    const target = hostname === address ? address : `${hostname} (${address})`;
+    const error = new Error(`Webhooks may not be sent to ${target}: it is a loopback, private or reserved address`);
+    error.code = 'URL_NOT_ALLOWED';
+    return error;
+}
+
+// dns.lookup that refuses blocked addresses, so a delivery connects only to
+// an address that was checked (a host cannot resolve to a public address when
+// subscribing and a private one later)
+function checkedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = ALLOW_PRIVATE_URLS ? null : addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(blockedError(hostname, blocked.address));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Check every address a URL's host resolves to. Returns null or an error.
+async function checkHost(url) {
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return webhookError('INVALID_URL', `${hostname} could not be resolved`);
+    }
+    const blocked = ALLOW_PRIVATE_URLS ? null : addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+        return webhookError('URL_NOT_ALLOWED', blockedError(hostname, blocked.address).message);
+    }
+    return null;
+}
+
+// Subscriptions are returned without their secret, which is shown once on creation
+function describe(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+}
+
+async function subscribe(owner, { url, scope = 'user', events = ['*'] }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return webhookError('INVALID_URL', 'url must be an http or https URL');
+    }
+    const hostError = await checkHost(parsed);
+    if (hostError) {
+        return hostError;
+    }
+    if (!SCOPES.includes(scope)) {
+        return webhookError('INVALID_SCOPE', `scope must be one of ${SCOPES.join(', ')}`);
+    }
+    if (!Array.isArray(events) || events.length === 0 ||
+        !events.every(event => event === '*' || EVENTS.includes(event))) {
+        return webhookError('INVALID_EVENTS', `events must be "*" or from ${EVENTS.join(', ')}`);
+    }
+
+    const existing = await storage.webhooks.find({ owner: owner.username });
+    if (existing.length >= MAX_SUBSCRIPTIONS) {
+        return webhookError('LIMIT_EXCEEDED', `At most ${MAX_SUBSCRIPTIONS} webhooks per user`);
+    }
+
+    const subscription = {
+        id: uuidv4(),
+        owner: owner.username,
+        address: owner.address,
+        url: parsed.toString(),
+        scope: scope,
+        events: events,
+        secret: 'whsec_' + crypto.randomBytes(24).toString('hex'),
+        createdAt: new Date().toISOString()
+    };
+    await storage.webhooks.insert(subscription);
+    console.log(`🪝 Webhook ${subscription.id} added for ${owner.username}: ${subscription.url}`);
+    return { success: true, subscription: subscription };
+}
+
+async function list(owner) {
+    const subscriptions = await storage.webhooks.find({ owner: owner });
+    return subscriptions
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(describe);
+}
+
+async function get(id) {
+    const subscription = await storage.webhooks.get(id);
+    return subscription ? describe(subscription) : null;
+}
+
+// Pending deliveries for a removed subscription fail on their next attempt
+async function unsubscribe(id) {
+    return storage.webhooks.remove(id);
+}
+
+// Deliveries for a subscription, newest first
+async function getDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+    const filter = { subscriptionId };
+    if (status) filter.status = status;
+
+    const deliveries = await storage.webhookDeliveries.find(filter);
+    return deliveries
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+async function getDelivery(id) {
+    return storage.webhookDeliveries.get(id);
+}
+
+// Send a delivery again now, with a fresh set of retries
+async function replay(id) {
+    const delivery = await storage.webhookDeliveries.update(id, record => {
+        record.status = 'pending';
+        record.tries = 0;
+        record.nextAttemptAt = new Date().toISOString();
+        record.replays = (record.replays || 0) + 1;
+    });
+    if (delivery) {
+        trigger();
+    }
+    return delivery;
+}
+
+// Event type for a queue or history record, or null if it is not announced.
+// Queued payments move to history once relayed, so only the queue's own
+// outcomes count there (an item going back to pending after a relay that
+// could not be sent was already announced as queued).
+function eventType(collection, record, previousStatus) {
+    if (collection === 'queue') {
+        if (record.status === 'pending') {
+            return previousStatus === null ? 'transaction.queued' : null;
+        }
+        return record.status === 'failed' ? 'transaction.failed' : null;
+    }
+    const type = `transaction.${record.status}`;
+    return EVENTS.includes(type) ? type : null;
+}
+
+function describeTransaction(record) {
+    const view = {};
+    for (const field of TRANSACTION_FIELDS) {
+        if (record[field] !== undefined) {
+            view[field] = record[field];
+        }
+    }
+    return view;
+}
+
+function isInScope(subscription, record) {
+    const owner = subscription.address.toLowerCase();
+    const received = record.to && record.to.toLowerCase() === owner;
+    const sent = record.from && record.from.toLowerCase() === owner;
+    return subscription.scope === 'merchant' ? received : (received || sent);
+}
+
+// Queue deliveries of a record's new status to every matching subscription
+async function publish(collection, record, previousStatus) {
+    const type = eventType(collection, record, previousStatus);
+    if (!type) {
+        return 0;
+    }
+
+    const subscriptions = (await storage.webhooks.all()).filter(subscription =>
+        isInScope(subscription, record) &&
+        (subscription.events.includes('*') || subscription.events.includes(type))
+    );
+    if (subscriptions.length === 0) {
+        return 0;
+    }
+
+    const event = {
+        id: uuidv4(),
+        type: type,
+        createdAt: new Date().toISOString(),
+        data: {
+            transaction: describeTransaction(record),
+            previousStatus: previousStatus
+        }
+    };
+    const body = JSON.stringify(event);
+
+    for (const subscription of subscriptions) {
+        await storage.webhookDeliveries.insert({
+            id: uuidv4(),
+            subscriptionId: subscription.id,
+            owner: subscription.owner,
+            eventId: event.id,
+            type: type,
+            transactionId: record.id,
+            body: body,
+            status: 'pending',
+            tries: 0,
+            attempts: [],
+            nextAttemptAt: event.createdAt,
+            createdAt: event.createdAt
+        });
+    }
+    trigger();
+    return subscriptions.length;
+}
+
+// POST a delivery. Redirects are not followed; a 3xx is a failed attempt.
+function post(subscription, delivery) {
+    const started = Date.now();
+    const url = new URL(subscription.url);
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    const failed = error => ({ ok: false, statusCode: null, error: error.message, durationMs: Date.now() - started });
+
+    // An IP literal is connected to without a lookup
+    if (!ALLOW_PRIVATE_URLS && isBlockedAddress(hostname)) {
+        return Promise.resolve(failed(blockedError(hostname, hostname)));
+    }
+
+    return new Promise(resolve => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'content-length': Buffer.byteLength(delivery.body),
+                'user-agent': 'BridgePay-Webhooks/1',
+                'x-bridgepay-event': delivery.type,
+                'x-bridgepay-delivery': delivery.id,
+                'x-bridgepay-signature': signatureHeader(subscription.secret, delivery.body)
+            },
+            lookup: checkedLookup,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        }, response => {
+            // The body is not used
+            response.resume();
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            resolve({
+                ok: ok,
+                statusCode: response.statusCode,
+                error: ok ? null : `HTTP ${response.statusCode}`,
+                durationMs: Date.now() - started
+            });
+        });
+        request.on('error', error => resolve(failed(error)));
+        request.end(delivery.body);
+    });
+}
+
+async function attempt(delivery) {
+    const subscription = await storage.webhooks.get(delivery.subscriptionId);
+    const result = subscription
+        ? await post(subscription, delivery)
+        : { ok: false, statusCode: null, error: 'Subscription was removed', durationMs: 0 };
+    const at = new Date();
+
+    return storage.webhookDeliveries.update(delivery.id, record => {
+        record.attempts.push({
+            at: at.toISOString(),
+            statusCode: result.statusCode,
+            error: result.error,
+            durationMs: result.durationMs
+        });
+        record.tries = (record.tries || 0) + 1;
+        record.lastStatusCode = result.statusCode;
+        record.lastError = result.error;
+
+        if (result.ok) {
+            record.status = 'delivered';
+            record.deliveredAt = at.toISOString();
+        } else if (!subscription || record.tries >= MAX_ATTEMPTS) {
+            record.status = 'failed';
+        } else {
+            const backoff = Math.min(BACKOFF_MS * 2 ** (record.tries - 1), MAX_BACKOFF_MS);
+            record.nextAttemptAt = new Date(at.getTime() + backoff).toISOString();
+        }
+    });
+}
+
+// Attempt every delivery that is due, oldest first
+async function runOnce() {
+    if (running) {
+        return { success: false, error: 'Webhook delivery already running' };
+    }
+    running = true;
+
+    try {
+        const now = Date.now();
+        const due = (await storage.webhookDeliveries.find({ status: 'pending' }))
+            .filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        const summary = { attempted: due.length, delivered: 0, failed: 0 };
+        for (const delivery of due) {
+            const updated = await attempt(delivery);
+            if (updated.status === 'delivered') {
+                summary.delivered++;
+            } else if (updated.status === 'failed') {
+                summary.failed++;
+                console.log(`❌ Webhook delivery ${delivery.id} gave up after ${updated.tries} attempt(s): ${updated.lastError}`);
+            }
+        }
+        return { success: true, ...summary };
+    } catch (error) {
+        console.error('❌ Webhook delivery error:', error.message);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+        if (rerun) {
+            rerun = false;
+            trigger();
+        }
+    }
+}
+
+// Deliver new events right away rather than on the next tick
+function trigger() {
+    if (!timer) {
+        return;
+    }
+    if (running) {
+        rerun = true;
+    } else {
+        setImmediate(runOnce);
+    }
+}
+
+// Start the background worker
+function start(intervalMs = INTERVAL_MS) {
+    if (timer) {
+        return;
+    }
+
+    console.log(`🪝 Webhook delivery running every ${Math.round(intervalMs / 1000)}s`);
+    timer = setInterval(runOnce, intervalMs);
+    runOnce();
+}
+
+// Stop the background worker
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+storage.onStatusChange(publish);
+
+module.exports = {
+    SCOPES,
+    EVENTS,
+    verifySignature,
+    describeTransaction,
+    subscribe,
+    list,
+    get,
+    unsubscribe,
+    getDeliveries,
+    getDelivery,
+    replay,
+    runOnce,
+    start,
+    stop
+};
+
+// Local receiver for trying webhooks out: prints each delivery and whether
+// its signature checks out. The server needs WEBHOOK_ALLOW_PRIVATE_URLS=true
+// to deliver to it. The first failFirst requests get a 500, to see
+// the retries.
+function receive(port, secret, failFirst = 0) {
+    let received = 0;
+    http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received++;
+            const valid = secret ? verifySignature(secret, req.headers['x-bridgepay-signature'], body) : null;
+            const failing = received <= failFirst;
+            console.log(`${failing ? '↩️ ' : '📨'} ${req.headers['x-bridgepay-event']} ${req.headers['x-bridgepay-delivery']}` +
+                ` signature ${valid === null ? 'not checked' : (valid ? 'valid' : 'INVALID')}`);
+
+            res.statusCode = failing ? 500 : (valid === false ? 401 : 200);
+            res.end();
+        });
+    }).listen(port, () => {
+        console.log(`🪝 Receiving webhooks on http://localhost:${port}/`);
+    });
+}
+
+// CLI usage
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch(command) {
+        case 'receive':
+            receive(parseInt(process.argv[3]) || 4000, process.argv[4], parseInt(process.argv[5]) || 0);
+            break;
+
+        case 'run':
+            runOnce().then(async result => {
+                console.log(JSON.stringify(result, null, 2));
+                await storage.close();
+            });
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  receive [port] [secret] [failFirst]    Run a local test receiver');
+            console.log('  run                                    Attempt every due delivery once');
+    }
+}
@@ -1,12 +1,15 @@
 const contractManager = require('./src/contractManager');
 
+// Default network; pass a network id to test another one
+const chain = contractManager.forNetwork(process.argv[2]);
+
 async function test() {
-    console.log('Testing contract connection...');
+    console.log(`Testing contract connection on ${chain.network.id}...`);
     
-    const info = await contractManager.getTokenInfo();
+    const info = await chain.getTokenInfo();
     console.log('Token Info:', info);
     
-    const balance = await contractManager.getTokenBalance('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    const balance = await chain.getTokenBalance('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
     console.log('Balance:', balance);
 }
 
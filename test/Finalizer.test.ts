@@ -0,0 +1,87 @@
+
+import { expect } from "chai";
+import { ethers, network } from "hardhat";
+import { serverNode } from "./helpers/server";
+
+// Drives the server's finalizer (server/src/finalizer.js) through a relayed
+// payment's dispute window
+describe("Finalizer", function () {
+  this.timeout(60000);
+
+  let bridgePay: any;
+  let chain: any;
+  let storage: any;
+  let finalizer: any;
+
+  before(async function () {
+    ({ bridgePay } = await serverNode());
+
+    const contractManager = require("../server/src/contractManager");
+    chain = contractManager.forNetwork("localhost");
+    storage = require("../server/src/storage");
+    finalizer = require("../server/src/finalizer");
+  });
+
+  it("Should finalize a relayed offline payment after the dispute window", async function () {
+    const [, payer, payee] = await ethers.getSigners();
+    await (await bridgePay.connect(payer).deposit({ value: ethers.utils.parseEther("1.0") })).wait();
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const message = {
+      from: payer.address,
+      to: payee.address,
+      amount: ethers.utils.parseEther("0.25").toString(),
+      nonce: 0,
+      expiry: timestamp + 30 * 24 * 60 * 60,
+      clientTxId: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+    };
+    const { OFFLINE_TX_TYPES } = require("../server/src/contractManager");
+    const signature = await payer._signTypedData(await chain.getEip712Domain(), OFFLINE_TX_TYPES, message);
+
+    const relayed = await chain.submitOfflineTx({ ...message, amountWei: message.amount, signature });
+    expect(relayed.success).to.equal(true);
+
+    // The history record sync writes for a relayed payment
+    await storage.history.insert({
+      id: "offline-1",
+      from: payer.address,
+      to: payee.address,
+      amount: "0.25",
+      amountWei: message.amount,
+      nonce: message.nonce,
+      expiry: message.expiry,
+      clientTxId: message.clientTxId,
+      status: "submitted",
+      type: "offline-synced",
+      txHash: relayed.txHash,
+      blockNumber: relayed.blockNumber,
+      onChainTxId: relayed.onChainTxId,
+      chainSubmittedAt: relayed.submittedAt,
+      network: "localhost",
+      timestamp: new Date().toISOString()
+    });
+
+    const early = await finalizer.runOnce();
+    expect(early.success).to.equal(true);
+    expect(early.finalized).to.equal(0);
+    expect(early.pending).to.equal(1);
+
+    // Past BridgePay's 7-day dispute window, as scripts/advance-time.ts does
+    await network.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+    await network.provider.send("evm_mine", []);
+    // ethers answers a repeated read from its cache for 250ms
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const result = await finalizer.runOnce();
+    expect(result.success).to.equal(true);
+    expect(result.finalized).to.equal(1);
+    expect(result.pending).to.equal(0);
+
+    const record = await storage.history.get("offline-1");
+    expect(record.status).to.equal("finalized");
+    expect(record.finalizeTxHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await bridgePay.getNonce(payer.address)).to.equal(1);
+    expect(await bridgePay.getBalance(payee.address)).to.equal(ethers.utils.parseEther("0.25"));
+    console.log("✅ Finalized in block", record.finalizedBlock);
+  });
+});
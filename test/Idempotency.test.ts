@@ -0,0 +1,136 @@
+
+import { expect } from "chai";
+import { serverEnv } from "./helpers/server";
+
+type Response = { statusCode: number; body: any; headers: { [name: string]: string } };
+
+// Idempotency keys (server/src/idempotency.js) in front of a route that
+// counts how often it runs
+describe("Idempotency", function () {
+  let idempotency: any;
+  let storage: any;
+  let scopes = 0;
+
+  before(function () {
+    serverEnv();
+    idempotency = require("../server/src/idempotency");
+    storage = require("../server/src/storage");
+  });
+
+  // A route behind the middleware, called the way Express would call it
+  function idempotentRoute(route: (req: any, res: any) => any, options: any = {}) {
+    const middleware = idempotency.middleware(`test-${++scopes}`, options);
+
+    return ({ key, body = {}, user = "alice" }: { key?: string; body?: any; user?: string }) =>
+      new Promise<Response>((resolve, reject) => {
+        const req = {
+          body,
+          user: { username: user },
+          get: (name: string) => (name === "Idempotency-Key" ? key : undefined)
+        };
+        const res: any = {
+          statusCode: 200,
+          headers: {},
+          status(code: number) {
+            this.statusCode = code;
+            return this;
+          },
+          set(name: string, value: string) {
+            this.headers[name] = value;
+            return this;
+          },
+          json(sent: any) {
+            resolve({ statusCode: this.statusCode, body: sent, headers: this.headers });
+            return this;
+          }
+        };
+        middleware(req, res, (error?: any) => (error ? reject(error) : route(req, res)));
+      });
+  }
+
+  function counting(statusCode = 201) {
+    const route: any = (req: any, res: any) => {
+      route.runs++;
+      res.status(statusCode).json({ success: true, run: route.runs });
+    };
+    route.runs = 0;
+    return route;
+  }
+
+  it("Should replay the first response for a retry of the same request", async function () {
+    const route = counting();
+    const call = idempotentRoute(route);
+
+    const first = await call({ key: "key-1", body: { amount: "1", to: "bob" } });
+    const retry = await call({ key: "key-1", body: { to: "bob", amount: "1" } });
+
+    expect(route.runs).to.equal(1);
+    expect(retry.statusCode).to.equal(201);
+    expect(retry.body).to.deep.equal(first.body);
+    expect(retry.headers["Idempotent-Replayed"]).to.equal("true");
+  });
+
+  it("Should refuse a key reused for a different request", async function () {
+    const route = counting();
+    const call = idempotentRoute(route);
+
+    await call({ key: "key-2", body: { amount: "1" } });
+    const reused = await call({ key: "key-2", body: { amount: "2" } });
+
+    expect(reused.statusCode).to.equal(422);
+    expect(reused.body.code).to.equal("IDEMPOTENCY_KEY_REUSED");
+    expect(route.runs).to.equal(1);
+  });
+
+  it("Should answer 409 while the first request is still running", async function () {
+    let finish: () => void = () => {};
+    const call = idempotentRoute((req: any, res: any) => {
+      finish = () => res.status(201).json({ success: true });
+    });
+
+    const first = call({ key: "key-3" });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const during = await call({ key: "key-3" });
+    finish();
+
+    expect(during.statusCode).to.equal(409);
+    expect(during.body.code).to.equal("IDEMPOTENCY_KEY_IN_USE");
+    expect((await first).statusCode).to.equal(201);
+  });
+
+  it("Should run a retry again when the first response may change", async function () {
+    let statusCode = 400;
+    let runs = 0;
+    const call = idempotentRoute((req: any, res: any) => {
+      runs++;
+      res.status(statusCode).json({ success: statusCode < 400 });
+    });
+
+    expect((await call({ key: "key-4" })).statusCode).to.equal(400);
+    statusCode = 201;
+    expect((await call({ key: "key-4" })).statusCode).to.equal(201);
+    expect(runs).to.equal(2);
+  });
+
+  it("Should keep keys apart per user and take the body key when there is no header", async function () {
+    const route = counting();
+    const call = idempotentRoute(route, { bodyKey: "clientTxId" });
+
+    await call({ body: { clientTxId: "0xabc" } });
+    const retry = await call({ body: { clientTxId: "0xabc" } });
+    await call({ body: { clientTxId: "0xabc" }, user: "bob" });
+
+    expect(retry.headers["Idempotent-Replayed"]).to.equal("true");
+    expect(route.runs).to.equal(2);
+  });
+
+  it("Should store neither the key nor the response in the clear", async function () {
+    const call = idempotentRoute((req: any, res: any) => res.status(201).json({ mnemonic: "plain words here" }));
+    await call({ key: "secret-key-5" });
+
+    const stored = JSON.stringify(await storage.idempotencyKeys.all());
+    expect(stored).to.not.include("secret-key-5");
+    expect(stored).to.not.include("plain words here");
+    expect((await call({ key: "secret-key-5" })).body.mnemonic).to.equal("plain words here");
+  });
+});
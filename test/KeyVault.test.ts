@@ -0,0 +1,92 @@
+
+import { expect } from "chai";
+import crypto from "crypto";
+import { ethers } from "hardhat";
+import { serverEnv } from "./helpers/server";
+
+// A value in the version 1 format: AES-256-CBC under scrypt(password, 'salt')
+function encryptV1(text: string, password: string): string {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-256-cbc", crypto.scryptSync(password, "salt", 32), iv);
+  return `${iv.toString("hex")}:${cipher.update(text, "utf8", "hex")}${cipher.final("hex")}`;
+}
+
+async function expectInvalidPassword(promise: Promise<any>) {
+  try {
+    await promise;
+  } catch (error: any) {
+    expect(error.message).to.equal("Invalid password");
+    return;
+  }
+  expect.fail("expected Invalid password");
+}
+
+// server/src/keyVault.js, and the upgrade of version 1 records at login
+describe("KeyVault", function () {
+  let keyVault: any;
+  let accountManager: any;
+  let storage: any;
+
+  before(function () {
+    serverEnv();
+    keyVault = require("../server/src/keyVault");
+    accountManager = require("../server/src/accountManager");
+    storage = require("../server/src/storage");
+  });
+
+  it("Should encrypt with a fresh salt and IV and decrypt with the password", async function () {
+    const first = await keyVault.encrypt("secret", "pw");
+    const second = await keyVault.encrypt("secret", "pw");
+
+    expect(first.version).to.equal(2);
+    expect(first.kdfParams.salt).to.not.equal(second.kdfParams.salt);
+    expect(first.iv).to.not.equal(second.iv);
+    expect(await keyVault.decrypt(first, "pw")).to.equal("secret");
+    expect(keyVault.needsUpgrade(first)).to.equal(false);
+  });
+
+  it("Should refuse a wrong password or a tampered ciphertext", async function () {
+    const vault = await keyVault.encrypt("secret", "pw");
+    await expectInvalidPassword(keyVault.decrypt(vault, "wrong"));
+
+    const flipped = (parseInt(vault.ciphertext.slice(0, 2), 16) ^ 1).toString(16).padStart(2, "0");
+    await expectInvalidPassword(keyVault.decrypt({ ...vault, ciphertext: flipped + vault.ciphertext.slice(2) }, "pw"));
+  });
+
+  it("Should read version 1 values and mark them for upgrade", async function () {
+    const legacy = encryptV1("secret", "pw");
+
+    expect(keyVault.getVersion(legacy)).to.equal(1);
+    expect(await keyVault.decrypt(legacy, "pw")).to.equal("secret");
+    expect(keyVault.needsUpgrade(legacy)).to.equal(true);
+  });
+
+  it("Should mark values made with a lower scrypt cost for upgrade", async function () {
+    const vault = await keyVault.encrypt("secret", "pw");
+    const cheaper = { ...vault, kdfParams: { ...vault.kdfParams, N: vault.kdfParams.N / 2 } };
+
+    expect(keyVault.needsUpgrade(cheaper)).to.equal(true);
+  });
+
+  it("Should upgrade a version 1 key and mnemonic at login", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    await storage.users.insert({
+      username: "legacy-user",
+      address: wallet.address,
+      encryptedPrivateKey: encryptV1(wallet.privateKey, "pw"),
+      mnemonic: encryptV1(wallet.mnemonic.phrase, "pw"),
+      role: "user"
+    });
+
+    const result = await accountManager.login("legacy-user", "pw");
+    expect(result.success).to.equal(true);
+    expect(result.privateKey).to.equal(wallet.privateKey);
+
+    const user = await storage.users.get("legacy-user");
+    expect(keyVault.getVersion(user.encryptedPrivateKey)).to.equal(2);
+    expect(keyVault.getVersion(user.mnemonic)).to.equal(2);
+    expect(await keyVault.decrypt(user.mnemonic, "pw")).to.equal(wallet.mnemonic.phrase);
+    expect((await accountManager.login("legacy-user", "pw")).privateKey).to.equal(wallet.privateKey);
+    expect((await accountManager.login("legacy-user", "wrong")).success).to.equal(false);
+  });
+});
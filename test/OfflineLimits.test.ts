@@ -0,0 +1,121 @@
+
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { serverNode } from "./helpers/server";
+
+// Spending limits of server/src/offlineLimits.js against a payer with 1 ETH
+// in BridgePay
+describe("OfflineLimits", function () {
+  let offlineLimits: any;
+  let networks: any;
+  let storage: any;
+  let payer: string;
+  let payee: string;
+  let count = 0;
+
+  function payment(amount: string, fields: any = {}) {
+    count++;
+    return {
+      id: `limits-${count}`,
+      from: payer,
+      to: payee,
+      amount,
+      amountWei: ethers.utils.parseEther(amount).toString(),
+      clientTxId: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+      status: "pending",
+      network: "localhost",
+      timestamp: new Date().toISOString(),
+      ...fields
+    };
+  }
+
+  async function allowance() {
+    const result = await offlineLimits.getAllowance(payer, networks.resolve("localhost"));
+    expect(result.success).to.equal(true);
+    return result.allowance;
+  }
+
+  before(async function () {
+    const { bridgePay } = await serverNode();
+    offlineLimits = require("../server/src/offlineLimits");
+    networks = require("../server/src/networks");
+    storage = require("../server/src/storage");
+
+    const signers = await ethers.getSigners();
+    [payer, payee] = [signers[5].address, signers[6].address];
+    await (await bridgePay.connect(signers[5]).deposit({ value: ethers.utils.parseEther("1.0") })).wait();
+  });
+
+  afterEach(async function () {
+    for (const record of await storage.queue.find({ from: payer })) {
+      await storage.queue.remove(record.id);
+    }
+  });
+
+  it("Should hold queued payments against the BridgePay balance", async function () {
+    expect((await offlineLimits.reserve(payment("0.4"))).success).to.equal(true);
+
+    const after = await allowance();
+    expect(after.pending).to.equal("0.4");
+    expect(after.available).to.equal("0.6");
+    expect(after.nextPaymentMax).to.equal("0.6");
+
+    const refused = await offlineLimits.reserve(payment("0.7"));
+    expect(refused.code).to.equal("INSUFFICIENT_FUNDS");
+    expect(await storage.queue.find({ from: payer })).to.have.length(1);
+  });
+
+  it("Should count relayed payments until they finalize", async function () {
+    await storage.history.insert(payment("0.3", { id: "limits-relayed", status: "submitted", onChainTxId: "0x01" }));
+    expect((await allowance()).pending).to.equal("0.3");
+
+    await storage.history.update("limits-relayed", { status: "finalized" });
+    expect((await allowance()).pending).to.equal("0.0");
+  });
+
+  it("Should apply a user's own per-payment cap and credit limit", async function () {
+    const user = { username: "limited", offlineLimits: { creditLimit: "0.5", maxPerTransaction: "0.3" } };
+    const network = networks.resolve("localhost");
+
+    const capped = await offlineLimits.check(payer, network, ethers.utils.parseEther("0.35").toBigInt(), user);
+    expect(capped.code).to.equal("TRANSACTION_CAP_EXCEEDED");
+
+    await offlineLimits.reserve(payment("0.3"));
+    const overCredit = await offlineLimits.check(payer, network, ethers.utils.parseEther("0.25").toBigInt(), user);
+    expect(overCredit.code).to.equal("CREDIT_LIMIT_EXCEEDED");
+    expect(overCredit.allowance.creditRemaining).to.equal("0.2");
+  });
+
+  it("Should accept only one of two payments queued together that do not both fit", async function () {
+    const results = await Promise.all([
+      offlineLimits.reserve(payment("0.6")),
+      offlineLimits.reserve(payment("0.6"))
+    ]);
+
+    expect(results.map((result: any) => result.success)).to.have.members([true, false]);
+    expect(results.find((result: any) => !result.success).code).to.equal("INSUFFICIENT_FUNDS");
+    expect((await allowance()).pending).to.equal("0.6");
+  });
+
+  it("Should withdraw, without announcing, a payment overtaken by another server's", async function () {
+    const announced: string[] = [];
+    storage.onStatusChange((collection: string, record: any) => announced.push(record.id));
+
+    // Another server sharing the database queues 0.7 between this one's
+    // check and its insert
+    const insert = storage.queue.insert;
+    storage.queue.insert = async (record: any, options: any) => {
+      storage.queue.insert = insert;
+      await insert(payment("0.7"));
+      return insert(record, options);
+    };
+    const mine = payment("0.5");
+    const result = await offlineLimits.reserve(mine);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(result.code).to.equal("INSUFFICIENT_FUNDS");
+    expect(await storage.queue.get(mine.id)).to.equal(null);
+    expect(announced).to.not.include(mine.id);
+    expect((await allowance()).pending).to.equal("0.7");
+  });
+});
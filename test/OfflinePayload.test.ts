@@ -0,0 +1,86 @@
+
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { serverNode } from "./helpers/server";
+
+function expectFailure(fn: () => any, failureCode: string) {
+  try {
+    fn();
+  } catch (error: any) {
+    expect(error.failureCode).to.equal(failureCode);
+    return;
+  }
+  expect.fail(`expected ${failureCode}`);
+}
+
+// The BP: payload (server/src/offlinePayload.js) a payer hands over by QR
+// code or NFC
+describe("OfflinePayload", function () {
+  let offlinePayload: any;
+  let payment: any;
+
+  before(async function () {
+    await serverNode();
+    offlinePayload = require("../server/src/offlinePayload");
+    const { OFFLINE_TX_TYPES, forNetwork } = require("../server/src/contractManager");
+
+    const [, , , payer, payee] = await ethers.getSigners();
+    const domain = await forNetwork("localhost").getEip712Domain();
+    const message = {
+      from: payer.address,
+      to: payee.address,
+      amount: ethers.utils.parseEther("0.125").toString(),
+      nonce: 0,
+      expiry: Math.floor(Date.now() / 1000) + 24 * 60 * 60,
+      clientTxId: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+    };
+    payment = {
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract,
+      message,
+      signature: await payer._signTypedData(domain, OFFLINE_TX_TYPES, message),
+      domain,
+      types: OFFLINE_TX_TYPES
+    };
+  });
+
+  it("Should round-trip a signed payment through QR-friendly text", async function () {
+    const text = offlinePayload.encode(payment);
+    expect(text).to.match(/^BP:[0-9A-Z $%*+\-./:]+$/);
+    expect(offlinePayload.encodeBytes(payment).length).to.be.below(200);
+
+    const decoded = offlinePayload.decode(text);
+    expect(decoded.version).to.equal(1);
+    expect(decoded.chainId).to.equal(payment.chainId);
+    expect(decoded.verifyingContract).to.equal(payment.verifyingContract);
+    expect(decoded.message).to.deep.equal(payment.message);
+    expect(decoded.signature).to.equal(payment.signature);
+    expect(ethers.utils.verifyTypedData(payment.domain, payment.types, decoded.message, decoded.signature))
+      .to.equal(payment.message.from);
+  });
+
+  it("Should ignore line breaks a scanner adds", async function () {
+    const text = offlinePayload.encode(payment);
+    expect(offlinePayload.decode(`\r\n${text}\n`).message).to.deep.equal(payment.message);
+  });
+
+  it("Should detect a corrupted payload by its checksum", async function () {
+    const bytes = offlinePayload.encodeBytes(payment);
+    bytes[50] ^= 0x01;
+    expectFailure(() => offlinePayload.decodeBytes(bytes), "BAD_CHECKSUM");
+  });
+
+  it("Should refuse other versions", async function () {
+    const bytes = offlinePayload.encodeBytes(payment);
+    bytes[0] = 2;
+    expectFailure(() => offlinePayload.decodeBytes(bytes), "UNSUPPORTED_VERSION");
+  });
+
+  it("Should refuse text that is not a BP: payload", async function () {
+    const text = offlinePayload.encode(payment);
+    expectFailure(() => offlinePayload.decode(text.slice(3)), "INVALID_PAYLOAD");
+    expectFailure(() => offlinePayload.decode(text.slice(0, -1)), "INVALID_PAYLOAD");
+    expectFailure(() => offlinePayload.decode("BP:abc"), "INVALID_PAYLOAD");
+    expectFailure(() => offlinePayload.decodeBytes(offlinePayload.encodeBytes(payment).slice(0, 4)), "INVALID_PAYLOAD");
+  });
+});
@@ -0,0 +1,100 @@
+
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The storage backends (server/src/storage) must agree on what a duplicate
+// is and must not lose concurrent writes. MongoDB is covered when
+// MONGODB_URI points at a database the test may write to.
+const BACKENDS = ["file", "sqlite", ...(process.env.MONGODB_URI ? ["mongo"] : [])];
+const STORES: { [backend: string]: string } = {
+  file: "fileStore",
+  sqlite: "sqliteStore",
+  mongo: "mongoStore"
+};
+
+async function expectDuplicate(promise: Promise<any>) {
+  try {
+    await promise;
+  } catch (error: any) {
+    expect(error.code).to.equal("DUPLICATE");
+    return;
+  }
+  expect.fail("expected a DUPLICATE error");
+}
+
+for (const backend of BACKENDS) {
+  describe(`Storage (${backend})`, function () {
+    let store: any;
+    let history: any;
+    let dir: string;
+
+    before(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "bridgepay-storage-"));
+      store = require(`../server/src/storage/${STORES[backend]}`);
+      history = store.createRepository("history", {
+        key: "id",
+        indexes: ["status", "clientTxId"],
+        file: path.join(dir, "transaction_history.json"),
+        path: path.join(dir, "bridgepay.sqlite"),
+        uri: process.env.MONGODB_URI
+      });
+    });
+
+    after(async function () {
+      await store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Unique per run, so a shared MongoDB database keeps no stale matches
+    function newId(label: string) {
+      return `${label}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    }
+
+    it("Should refuse a record whose key is taken", async function () {
+      const id = newId("key");
+      await history.insert({ id, status: "submitted" });
+
+      await expectDuplicate(history.insert({ id, status: "failed" }));
+      expect((await history.get(id)).status).to.equal("submitted");
+    });
+
+    it("Should refuse a record whose unique field is taken, in any case", async function () {
+      const clientTxId = `0x${newId("ab").replace(/\W/g, "")}`;
+      await history.insert({ id: newId("first"), clientTxId }, { unique: ["clientTxId"] });
+
+      const second = newId("second");
+      await expectDuplicate(history.insert({ id: second, clientTxId: clientTxId.toUpperCase() }, { unique: ["clientTxId"] }));
+      expect(await history.get(second)).to.equal(null);
+      expect(await history.find({ clientTxId })).to.have.length(1);
+    });
+
+    it("Should let only one of two racing inserts with the same unique field in", async function () {
+      const clientTxId = newId("race");
+      const results = await Promise.allSettled([
+        history.insert({ id: newId("a"), clientTxId }, { unique: ["clientTxId"] }),
+        history.insert({ id: newId("b"), clientTxId }, { unique: ["clientTxId"] })
+      ]);
+
+      expect(results.filter((result) => result.status === "fulfilled")).to.have.length(1);
+      const [refused] = results.filter((result) => result.status === "rejected") as PromiseRejectedResult[];
+      expect(refused.reason.code).to.equal("DUPLICATE");
+    });
+
+    it("Should apply concurrent updates one after another", async function () {
+      const id = newId("counter");
+      await history.insert({ id, count: 0 });
+
+      await Promise.all(Array.from({ length: 20 }, () => history.update(id, (record: any) => {
+        record.count += 1;
+      })));
+
+      expect((await history.get(id)).count).to.equal(20);
+    });
+
+    it("Should return null when updating a record that does not exist", async function () {
+      expect(await history.update(newId("missing"), { status: "failed" })).to.equal(null);
+    });
+  });
+}
@@ -0,0 +1,103 @@
+
+import { expect } from "chai";
+import crypto from "crypto";
+import { ethers } from "hardhat";
+import { serverEnv } from "./helpers/server";
+
+// A documentation address: public, so allowed, and never connected to here
+const PUBLIC_URL = "http://192.0.2.10/hooks/bridgepay";
+
+function signatureHeader(secret: string, body: string, timestamp: number) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+async function waitFor(check: () => Promise<boolean>) {
+  for (let i = 0; i < 50; i++) {
+    if (await check()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  expect.fail("timed out");
+}
+
+// Webhook signatures and the SSRF guard of server/src/webhookManager.js.
+// Private addresses are refused, as without WEBHOOK_ALLOW_PRIVATE_URLS.
+describe("Webhooks", function () {
+  let webhookManager: any;
+  let storage: any;
+  const owner = { username: "merchant", address: ethers.Wallet.createRandom().address };
+
+  before(function () {
+    serverEnv();
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    webhookManager = require("../server/src/webhookManager");
+    storage = require("../server/src/storage");
+  });
+
+  it("Should accept a signature made with the secret over the timestamp and body", async function () {
+    const body = JSON.stringify({ id: "evt", type: "transaction.queued" });
+    const now = Math.floor(Date.now() / 1000);
+    const header = signatureHeader("whsec_test", body, now);
+
+    expect(webhookManager.verifySignature("whsec_test", header, body)).to.equal(true);
+    expect(webhookManager.verifySignature("whsec_other", header, body)).to.equal(false);
+    expect(webhookManager.verifySignature("whsec_test", header, body.replace("queued", "failed"))).to.equal(false);
+    expect(webhookManager.verifySignature("whsec_test", signatureHeader("whsec_test", body, now - 600), body)).to.equal(false);
+    expect(webhookManager.verifySignature("whsec_test", "v1=abc", body)).to.equal(false);
+  });
+
+  it("Should refuse to subscribe internal addresses", async function () {
+    for (const url of [
+      "http://127.0.0.1:3000/hook",
+      "http://localhost/hook",
+      "http://10.1.2.3/hook",
+      "http://192.168.1.1/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook"
+    ]) {
+      const result = await webhookManager.subscribe(owner, { url });
+      expect(result.code, url).to.equal("URL_NOT_ALLOWED");
+    }
+
+    expect((await webhookManager.subscribe(owner, { url: "ftp://192.0.2.10/" })).code).to.equal("INVALID_URL");
+    expect((await webhookManager.list(owner.username))).to.have.length(0);
+  });
+
+  it("Should queue an allow-listed event and refuse to deliver it to an internal address", async function () {
+    const subscribed = await webhookManager.subscribe(owner, { url: PUBLIC_URL, scope: "merchant" });
+    expect(subscribed.success).to.equal(true);
+    expect(subscribed.subscription.secret).to.match(/^whsec_/);
+    const { id } = subscribed.subscription;
+
+    // As if the host now pointed inside the network
+    await storage.webhooks.update(id, { url: "http://127.0.0.1:9/hook" });
+
+    await storage.queue.insert({
+      id: "webhook-payment",
+      from: ethers.Wallet.createRandom().address,
+      to: owner.address,
+      amount: "0.5",
+      status: "pending",
+      signature: "0x1234",
+      fromUsername: "payer"
+    });
+    await waitFor(async () => (await webhookManager.getDeliveries(id)).length > 0);
+
+    const [queued] = await webhookManager.getDeliveries(id);
+    const event = JSON.parse(queued.body);
+    expect(event.type).to.equal("transaction.queued");
+    expect(event.data.transaction).to.include({ id: "webhook-payment", status: "pending" });
+    expect(event.data.transaction).to.not.have.property("signature");
+    expect(event.data.transaction).to.not.have.property("fromUsername");
+
+    const result = await webhookManager.runOnce();
+    expect(result.success).to.equal(true);
+    const delivery = await webhookManager.getDelivery(queued.id);
+    expect(delivery.status).to.equal("pending");
+    expect(delivery.attempts).to.have.length(1);
+    expect(delivery.lastError).to.match(/may not be sent to 127\.0\.0\.1/);
+  });
+});
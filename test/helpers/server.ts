@@ -0,0 +1,85 @@
+
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { AddressInfo } from "net";
+import { config, ethers, network } from "hardhat";
+import { HardhatNetworkHDAccountsConfig } from "hardhat/types";
+
+// The server modules (server/src) read their settings when first required,
+// and Mocha runs every test file in one process, so the tests share one set.
+// Call serverEnv() (or serverNode()) before requiring any of them.
+
+let storageDir: string | undefined;
+let node: Promise<{ bridgePay: any }> | undefined;
+
+// File storage in a temporary directory, and no blockchain_config.json
+export function serverEnv(): string {
+  if (!storageDir) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bridgepay-server-"));
+    Object.assign(process.env, {
+      BLOCKCHAIN_CONFIG: path.join(dir, "no-config.json"),
+      STORAGE_BACKEND: "file",
+      STORAGE_DIR: dir
+    });
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    storageDir = dir;
+  }
+  return storageDir;
+}
+
+// The server modules reach a node over JSON-RPC; answer them from the
+// network the tests run on, in-process by default
+function serveProvider(): Promise<http.Server> {
+  const call = async ({ id, method, params }: any) => {
+    try {
+      return { jsonrpc: "2.0", id, result: await network.provider.request({ method, params }) };
+    } catch (error: any) {
+      return { jsonrpc: "2.0", id, error: { code: error.code || -32603, message: error.message, data: error.data } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request) ? await Promise.all(request.map(call)) : await call(request);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+  // Never what keeps the test run alive
+  server.unref();
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+async function startNode() {
+  serverEnv();
+  const rpcServer = await serveProvider();
+
+  const BridgePay = await ethers.getContractFactory("BridgePay");
+  const bridgePay = await BridgePay.deploy();
+  await bridgePay.deployed();
+
+  // The deployer (account 0) is BridgePay's relayer
+  const { mnemonic } = config.networks.hardhat.accounts as HardhatNetworkHDAccountsConfig;
+  Object.assign(process.env, {
+    NETWORK: "localhost",
+    RPC_URL: `http://127.0.0.1:${(rpcServer.address() as AddressInfo).port}`,
+    CHAIN_ID: String((await ethers.provider.getNetwork()).chainId),
+    CONTRACT_ADDRESS: bridgePay.address,
+    PRIVATE_KEY: ethers.Wallet.fromMnemonic(mnemonic).privateKey
+  });
+  return { bridgePay };
+}
+
+// serverEnv() plus one BridgePay deployment, the server's "localhost"
+// network. Tests that pay through it use accounts of their own.
+export function serverNode(): Promise<{ bridgePay: any }> {
+  if (!node) {
+    node = startNode();
+  }
+  return node;
+}